@@ -0,0 +1,759 @@
+/**
+ * Import a function to create a new ID.
+ */
+import {createId} from './id.js';
+/**
+ * Import functions to get the ID of a to-do list item's parent and to arrange to-do list items as tasks and their subtasks.
+ */
+import {getParentId, toToDoListItemTree} from './subtasks.js';
+/**
+ * Import a function to convert a date to a local date string.
+ */
+import {toDateString} from './due.js';
+/**
+ * Import functions to determine the occurrences of recurring to-do list items.
+ */
+import {getNextOccurrence, getFirstOccurrence} from './recurrence.js';
+
+/**
+ * Private function to update the items of the to-do list associated with the passed ID.
+ * @param {array} toDoLists - The current to-do lists.
+ * @param {string} toDoListId - The to-do list's ID.
+ * @param {function} callback - A callback function receiving the current to-do list items and returning the changed ones.
+ */
+const updateToDoListItems = (toDoLists, toDoListId, callback) => {
+  return toDoLists.map(toDoList => {
+    if (toDoList.id === toDoListId) {
+      const toDoListDateLastUpdated = new Date();
+      return {...toDoList, lastUpdated: toDoListDateLastUpdated.toJSON(), items: callback(toDoList.items)};
+    }
+    return toDoList;
+  });
+};
+
+/**
+ * Private function to update the properties of a to-do list item and its last updated date.
+ * @param {array} toDoLists - The current to-do lists.
+ * @param {string} toDoListId - The to-do list's ID.
+ * @param {string} id - The to-do list item's ID.
+ * @param {object} properties - The to-do list item's properties to update.
+ */
+const updateToDoListItemProperties = (toDoLists, toDoListId, id, properties) => {
+  return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+    return toDoListItems.map(toDoListItem => {
+      if (toDoListItem.id === id) {
+        const toDoListItemDateLastUpdated = new Date();
+        return {...toDoListItem, ...properties, lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+      }
+      return toDoListItem;
+    });
+  });
+};
+
+/**
+ * Private function to move an entry (to-do list or to-do list item) before or after another one.
+ * @param {array} entries - The entries.
+ * @param {string} id - The ID of the entry to move.
+ * @param {string} targetId - The ID of the entry to move the entry next to.
+ * @param {string} placement - Either "before" or "after".
+ * @returns {array} The reordered entries or the passed ones if either entry doesn't exist.
+ */
+const moveEntry = (entries, id, targetId, placement) => {
+  const entry = entries.find(entry => entry.id === id);
+  if (entry === undefined || id === targetId || !entries.some(entry => entry.id === targetId)) {
+    return entries;
+  }
+  const entriesMoved = entries.filter(entry => entry.id !== id);
+  const targetIndex = entriesMoved.findIndex(entry => entry.id === targetId);
+  entriesMoved.splice(placement === 'after' ? targetIndex + 1 : targetIndex, 0, entry);
+  return entriesMoved;
+};
+
+/**
+ * Private function to move entries (to-do lists or to-do list items) to the top or the bottom, keeping their order.
+ * @param {array} entries - The entries.
+ * @param {array} ids - The IDs of the entries to move.
+ * @param {string} position - Either "top" or "bottom".
+ * @returns {array} The reordered entries.
+ */
+const moveEntries = (entries, ids, position) => {
+  const entriesMoved = entries.filter(entry => ids.includes(entry.id));
+  const entriesOther = entries.filter(entry => !ids.includes(entry.id));
+  return position === 'top' ? [...entriesMoved, ...entriesOther] : [...entriesOther, ...entriesMoved];
+};
+
+/**
+ * Private function to copy to-do list items, creating new IDs and keeping subtasks with the copies of their tasks.
+ * Subtasks copied without their task become tasks.
+ * @param {array} toDoListItems - The to-do list items to copy.
+ * @param {object} properties - The properties to set on every copy.
+ * @returns {array} The copies.
+ */
+const copyToDoListItems = (toDoListItems, properties = {}) => {
+  const ids = new Map(toDoListItems.map(toDoListItem => [toDoListItem.id, createId()]));
+  const toDoListItemDateCreated = new Date();
+  return toDoListItems.map(toDoListItem => {
+    return {
+      ...toDoListItem,
+      id: ids.get(toDoListItem.id),
+      created: toDoListItemDateCreated.toJSON(),
+      lastUpdated: null,
+      parentId: ids.get(getParentId(toDoListItem)) ?? null,
+      ...properties
+    };
+  });
+};
+
+/**
+ * Private function to add a tag to a to-do list item unless it's tagged already.
+ * @param {object} toDoListItem - The to-do list item.
+ * @param {string} tag - The normalized tag.
+ * @returns {object} The tagged to-do list item.
+ */
+const addTag = (toDoListItem, tag) => {
+  const tags = Array.isArray(toDoListItem.tags) ? toDoListItem.tags : [];
+  if (tags.includes(tag)) {
+    return toDoListItem;
+  }
+  const toDoListItemDateLastUpdated = new Date();
+  return {...toDoListItem, tags: [...tags, tag], lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+};
+
+/**
+ * Private function to add the next occurrences of recurring to-do list items just marked as done, along with copies of their subtasks.
+ * The recurrence rule moves on to the next occurrence, so marking an occurrence as pending and done again never adds another one.
+ * @param {array} toDoListItems - The to-do list items.
+ * @param {array} ids - The IDs of the to-do list items just toggled.
+ * @returns {array} The to-do list items including the next occurrences.
+ */
+const addNextOccurrences = (toDoListItems, ids) => {
+  const today = toDateString(new Date());
+  return toDoListItems.flatMap(toDoListItem => {
+    if (!ids.includes(toDoListItem.id) || !toDoListItem.recurrence || toDoListItem.done === false) {
+      return [toDoListItem];
+    }
+    const toDoListItemDateCreated = new Date();
+    // Never schedule the next occurrence in the past, even if the to-do list item was done late.
+    const due = getNextOccurrence(toDoListItem.recurrence, toDoListItem.due && toDoListItem.due > today ? toDoListItem.due : today);
+    const toDoListItemNext = {...toDoListItem, id: createId(), created: toDoListItemDateCreated.toJSON(), lastUpdated: null, done: false, due};
+    const subtasksNext = toDoListItems.filter(subtask => getParentId(subtask) === toDoListItem.id).map(subtask => {
+      return {...subtask, id: createId(), created: toDoListItemDateCreated.toJSON(), lastUpdated: null, done: false, parentId: toDoListItemNext.id};
+    });
+    return [{...toDoListItem, recurrence: null}, toDoListItemNext, ...subtasksNext];
+  });
+};
+
+/**
+ * An object containing the named actions to apply to the to-do lists.
+ * Each action receives the current to-do lists followed by its payload and returns the changed to-do lists.
+ * Actions never modify the passed to-do lists but copy each changed to-do list (item), so unchanged ones keep their identity.
+ */
+export const actions = {
+  /**
+   * Action to create a new to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListName - The new to-do list's name.
+   */
+  createToDoList(toDoLists, toDoListName) {
+    const toDoListDateCreated = new Date();
+    const toDoList = {
+      id: createId(),
+      created: toDoListDateCreated.toJSON(),
+      lastRenamed: null,
+      lastUpdated: null,
+      name: toDoListName,
+      done: false,
+      archived: false,
+      items: []
+    };
+    return [...toDoLists, toDoList];
+  },
+  /**
+   * Action to create a new to-do list containing copies of a template's items.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {object} template - The template.
+   * @param {string} toDoListName - The new to-do list's name.
+   */
+  createToDoListFromTemplate(toDoLists, template, toDoListName) {
+    const toDoListDateCreated = new Date();
+    const toDoList = {
+      id: createId(),
+      created: toDoListDateCreated.toJSON(),
+      lastRenamed: null,
+      lastUpdated: null,
+      name: toDoListName,
+      done: false,
+      archived: false,
+      items: copyToDoListItems(template.items)
+    };
+    return [...toDoLists, toDoList];
+  },
+  /**
+   * Action to duplicate a to-do list, placing the copy right after it.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   * @param {boolean} resetItems - Whether to reset all of the copy's items to pending.
+   * @param {string} duplicateId - The copy's ID, so the caller knows it in advance.
+   */
+  duplicateToDoList(toDoLists, id, resetItems = false, duplicateId = createId()) {
+    const index = toDoLists.findIndex(toDoList => toDoList.id === id);
+    if (index === -1) {
+      return toDoLists;
+    }
+    const toDoListDateCreated = new Date();
+    const toDoList = toDoLists[index];
+    const toDoListDuplicate = {
+      ...toDoList,
+      id: duplicateId,
+      created: toDoListDateCreated.toJSON(),
+      lastRenamed: null,
+      lastUpdated: null,
+      name: `${toDoList.name} (copy)`,
+      done: resetItems ? false : toDoList.done,
+      archived: false,
+      items: copyToDoListItems(toDoList.items, resetItems ? {done: false} : {})
+    };
+    return [...toDoLists.slice(0, index + 1), toDoListDuplicate, ...toDoLists.slice(index + 1)];
+  },
+  /**
+   * Action to update a to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   * @param {string} toDoListNameNew - The new to-do list's name.
+   */
+  updateToDoList(toDoLists, id, toDoListNameNew) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.id === id) {
+        const toDoListDateLastRenamed = new Date();
+        return {...toDoList, lastRenamed: toDoListDateLastRenamed.toJSON(), name: toDoListNameNew};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to delete a to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   */
+  deleteToDoList(toDoLists, id) {
+    return toDoLists.filter(toDoList => {
+      return toDoList.id !== id;
+    });
+  },
+  /**
+   * Action to restore a deleted to-do list at its former position.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {object} toDoList - The deleted to-do list.
+   * @param {number} index - The to-do list's former position.
+   */
+  restoreToDoList(toDoLists, toDoList, index) {
+    if (toDoLists.some(toDoListExisting => toDoListExisting.id === toDoList.id)) {
+      return toDoLists;
+    }
+    const toDoListsRestored = [...toDoLists];
+    toDoListsRestored.splice(Math.min(index, toDoLists.length), 0, toDoList);
+    return toDoListsRestored;
+  },
+  /**
+   * Action to move a to-do list before or after another one.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The ID of the to-do list to move.
+   * @param {string} targetId - The ID of the to-do list to move the to-do list next to.
+   * @param {string} placement - Either "before" or "after".
+   */
+  moveToDoList(toDoLists, id, targetId, placement) {
+    return moveEntry(toDoLists, id, targetId, placement);
+  },
+  /**
+   * Action to toggle a to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   */
+  toggleToDoList(toDoLists, id) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.id === id) {
+        const toDoListDateLastUpdated = new Date();
+        return {...toDoList, done: !toDoList.done, lastUpdated: toDoListDateLastUpdated.toJSON()};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to toggle all to-do lists not archived.
+   * @param {array} toDoLists - The current to-do lists.
+   */
+  toggleAllToDoLists(toDoLists) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.archived === true) {
+        return toDoList;
+      }
+      const toDoListDateLastUpdated = new Date();
+      return {...toDoList, done: !toDoList.done, lastUpdated: toDoListDateLastUpdated.toJSON()};
+    });
+  },
+  /**
+   * Action to clear (delete all done) to-do lists (to-do lists), except for archived ones.
+   * @param {array} toDoLists - The current to-do lists.
+   */
+  clearToDoLists(toDoLists) {
+    return toDoLists.filter(toDoList => {
+      return toDoList.done === false || toDoList.archived === true;
+    });
+  },
+  /**
+   * Action to archive a to-do list, hiding it from the to-do lists shown by default.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   */
+  archiveToDoList(toDoLists, id) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.id === id) {
+        return {...toDoList, archived: true};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to unarchive a to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   */
+  unarchiveToDoList(toDoLists, id) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.id === id) {
+        return {...toDoList, archived: false};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to archive all done to-do lists.
+   * @param {array} toDoLists - The current to-do lists.
+   */
+  archiveToDoLists(toDoLists) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.done !== false && toDoList.archived !== true) {
+        return {...toDoList, archived: true};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to mark several to-do lists as done or pending.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {array} ids - The to-do lists' IDs.
+   * @param {boolean} done - Whether to mark the to-do lists as done.
+   */
+  updateToDoListsDone(toDoLists, ids, done) {
+    return toDoLists.map(toDoList => {
+      if (ids.includes(toDoList.id) && toDoList.done !== done) {
+        const toDoListDateLastUpdated = new Date();
+        return {...toDoList, done, lastUpdated: toDoListDateLastUpdated.toJSON()};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to delete several to-do lists.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {array} ids - The to-do lists' IDs.
+   */
+  deleteToDoLists(toDoLists, ids) {
+    return toDoLists.filter(toDoList => {
+      return !ids.includes(toDoList.id);
+    });
+  },
+  /**
+   * Action to move several to-do lists to the top or the bottom, keeping their order.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {array} ids - The to-do lists' IDs.
+   * @param {string} position - Either "top" or "bottom".
+   */
+  moveToDoLists(toDoLists, ids, position) {
+    return moveEntries(toDoLists, ids, position);
+  },
+  /**
+   * Action to tag all items of several to-do lists.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {array} ids - The to-do lists' IDs.
+   * @param {string} tag - The normalized tag.
+   */
+  tagToDoLists(toDoLists, ids, tag) {
+    return ids.reduce((toDoListsTagged, id) => {
+      return updateToDoListItems(toDoListsTagged, id, toDoListItems => {
+        return toDoListItems.map(toDoListItem => addTag(toDoListItem, tag));
+      });
+    }, toDoLists);
+  },
+  /**
+   * Action to update the order to sort a to-do list's items by.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} id - The to-do list's ID.
+   * @param {string} sortBy - Either "priority" to sort by priority and then by creation date or null to keep the items' order.
+   */
+  updateToDoListSort(toDoLists, id, sortBy) {
+    return toDoLists.map(toDoList => {
+      if (toDoList.id === id) {
+        return {...toDoList, sortBy};
+      }
+      return toDoList;
+    });
+  },
+  /**
+   * Action to import to-do lists.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {array} toDoListsImported - The to-do lists to import.
+   * @param {string} mode - Either "replace" to replace all to-do lists, "merge" to replace to-do lists with the same ID and add the others
+   * or "copy" to add all to-do lists as copies with newly created IDs.
+   */
+  importToDoLists(toDoLists, toDoListsImported, mode) {
+    if (mode === 'replace') {
+      return toDoListsImported;
+    }
+    if (mode === 'merge') {
+      const toDoListsImportedById = new Map(toDoListsImported.map(toDoList => [toDoList.id, toDoList]));
+      const toDoListsMerged = toDoLists.map(toDoList => {
+        return toDoListsImportedById.get(toDoList.id) || toDoList;
+      });
+      const ids = new Set(toDoLists.map(toDoList => toDoList.id));
+      return [...toDoListsMerged, ...toDoListsImported.filter(toDoList => !ids.has(toDoList.id))];
+    }
+    if (mode === 'copy') {
+      const toDoListsCopied = toDoListsImported.map(toDoList => {
+        // Subtasks have to refer to the copies of their parents.
+        const ids = new Map(toDoList.items.map(toDoListItem => [toDoListItem.id, createId()]));
+        return {
+          ...toDoList,
+          id: createId(),
+          items: toDoList.items.map(toDoListItem => {
+            const parentId = getParentId(toDoListItem);
+            return {...toDoListItem, id: ids.get(toDoListItem.id), parentId: parentId !== null ? ids.get(parentId) ?? null : null};
+          })
+        };
+      });
+      return [...toDoLists, ...toDoListsCopied];
+    }
+    throw new Error(`Unknown import mode "${mode}"!`);
+  },
+  /**
+   * Action to create a new to-do list item.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} toDoListItemText - The new to-do list item's text.
+   * @param {string} parentId - The ID of the to-do list item to create a subtask of or null to create a task.
+   */
+  createToDoListItem(toDoLists, toDoListId, toDoListItemText, parentId = null) {
+    const toDoListItemDateCreated = new Date();
+    const toDoListItem = {
+      id: createId(),
+      created: toDoListItemDateCreated.toJSON(),
+      lastUpdated: null,
+      text: toDoListItemText,
+      done: false,
+      due: null,
+      priority: 'normal',
+      tags: [],
+      parentId,
+      recurrence: null,
+      notes: ''
+    };
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return [...toDoListItems, toDoListItem];
+    });
+  },
+  /**
+   * Action to update a to-do list item.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} toDoListItemTextNew - The new to-do list item's text.
+   */
+  updateToDoListItem(toDoLists, toDoListId, id, toDoListItemTextNew) {
+    return updateToDoListItemProperties(toDoLists, toDoListId, id, {text: toDoListItemTextNew});
+  },
+  /**
+   * Action to update a to-do list item's due date.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} due - The new due date as local date string (YYYY-MM-DD) or null to remove the due date.
+   */
+  updateToDoListItemDue(toDoLists, toDoListId, id, due) {
+    return updateToDoListItemProperties(toDoLists, toDoListId, id, {due});
+  },
+  /**
+   * Action to update a to-do list item's priority.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} priority - The new priority, either "low", "normal", "high" or "urgent".
+   */
+  updateToDoListItemPriority(toDoLists, toDoListId, id, priority) {
+    return updateToDoListItemProperties(toDoLists, toDoListId, id, {priority});
+  },
+  /**
+   * Action to update a to-do list item's tags.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {array} tags - The new normalized tags.
+   */
+  updateToDoListItemTags(toDoLists, toDoListId, id, tags) {
+    return updateToDoListItemProperties(toDoLists, toDoListId, id, {tags});
+  },
+  /**
+   * Action to update a to-do list item's recurrence rule.
+   * Recurring to-do list items without a due date become due on their first occurrence.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {object} recurrence - The new recurrence rule or null to stop the to-do list item from recurring.
+   */
+  updateToDoListItemRecurrence(toDoLists, toDoListId, id, recurrence) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return toDoListItems.map(toDoListItem => {
+        if (toDoListItem.id === id) {
+          const toDoListItemDateLastUpdated = new Date();
+          const due = toDoListItem.due || (recurrence !== null ? getFirstOccurrence(recurrence, toDateString(toDoListItemDateLastUpdated)) : null);
+          return {...toDoListItem, recurrence, due, lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+        }
+        return toDoListItem;
+      });
+    });
+  },
+  /**
+   * Action to update a to-do list item's notes.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} notes - The new notes written in Markdown, which are empty to remove the notes.
+   */
+  updateToDoListItemNotes(toDoLists, toDoListId, id, notes) {
+    return updateToDoListItemProperties(toDoLists, toDoListId, id, {notes});
+  },
+  /**
+   * Action to delete a to-do list item along with its subtasks.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   */
+  deleteToDoListItem(toDoLists, toDoListId, id) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return toDoListItems.filter(toDoListItem => {
+        return toDoListItem.id !== id && getParentId(toDoListItem) !== id;
+      });
+    });
+  },
+  /**
+   * Action to restore deleted to-do list items at their former position.
+   * If their to-do list doesn't exist any longer, an empty to-do list with its former ID and name is created to restore them to.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {object} origin - An object containing the to-do list's ID and name along with the to-do list items' former position.
+   * @param {array} toDoListItems - The deleted to-do list items.
+   */
+  restoreToDoListItems(toDoLists, origin, toDoListItems) {
+    let toDoListsRestored = toDoLists;
+    if (!toDoLists.some(toDoList => toDoList.id === origin.toDoListId)) {
+      const toDoListDateCreated = new Date();
+      toDoListsRestored = [...toDoLists, {
+        id: origin.toDoListId,
+        created: toDoListDateCreated.toJSON(),
+        lastRenamed: null,
+        lastUpdated: null,
+        name: origin.toDoListName,
+        done: false,
+        archived: false,
+        items: []
+      }];
+    }
+    return updateToDoListItems(toDoListsRestored, origin.toDoListId, toDoListItemsExisting => {
+      const ids = new Set(toDoListItemsExisting.map(toDoListItem => toDoListItem.id));
+      const toDoListItemsRestored = [...toDoListItemsExisting];
+      toDoListItemsRestored.splice(Math.min(origin.index, toDoListItemsExisting.length), 0, ...toDoListItems.filter(toDoListItem => !ids.has(toDoListItem.id)));
+      return toDoListItemsRestored;
+    });
+  },
+  /**
+   * Action to move a to-do list item before or after another one, which makes it a subtask of the other one's parent if there is one.
+   * Tasks having subtasks themselves are never moved to become subtasks, as subtasks can't have subtasks.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The ID of the to-do list item to move.
+   * @param {string} targetId - The ID of the to-do list item to move the to-do list item next to.
+   * @param {string} placement - Either "before" or "after".
+   */
+  moveToDoListItem(toDoLists, toDoListId, id, targetId, placement) {
+    const toDoList = toDoLists.find(toDoList => toDoList.id === toDoListId);
+    if (toDoList === undefined || moveEntry(toDoList.items, id, targetId, placement) === toDoList.items) {
+      return toDoLists;
+    }
+    const toDoListItem = toDoList.items.find(toDoListItem => toDoListItem.id === id);
+    const parentId = getParentId(toDoList.items.find(toDoListItem => toDoListItem.id === targetId));
+    const hasSubtasks = toDoList.items.some(subtask => getParentId(subtask) === id);
+    if (parentId !== null && hasSubtasks) {
+      return toDoLists;
+    }
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return moveEntry(toDoListItems, id, targetId, placement).map(entry => {
+        return entry === toDoListItem && getParentId(toDoListItem) !== parentId ? {...toDoListItem, parentId} : entry;
+      });
+    });
+  },
+  /**
+   * Action to toggle a to-do list item, adding the next occurrence of a recurring to-do list item marked as done.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {boolean} completeSubtasks - Whether to mark the to-do list item's subtasks as done as well when marking it as done.
+   */
+  toggleToDoListItem(toDoLists, toDoListId, id, completeSubtasks = false) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      const toDoListItemToggled = toDoListItems.find(toDoListItem => toDoListItem.id === id);
+      const completing = completeSubtasks && toDoListItemToggled !== undefined && toDoListItemToggled.done === false;
+      const toDoListItemDateLastUpdated = new Date();
+      const toDoListItemsToggled = toDoListItems.map(toDoListItem => {
+        if (toDoListItem.id === id) {
+          return {...toDoListItem, done: !toDoListItem.done, lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+        }
+        if (completing && getParentId(toDoListItem) === id && toDoListItem.done === false) {
+          return {...toDoListItem, done: true, lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+        }
+        return toDoListItem;
+      });
+      return addNextOccurrences(toDoListItemsToggled, [id]);
+    });
+  },
+  /**
+   * Action to toggle all to-do list items, adding the next occurrences of recurring to-do list items marked as done.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   */
+  toggleAllToDoListItems(toDoLists, toDoListId) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      const toDoListItemDateLastUpdated = new Date();
+      const toDoListItemsToggled = toDoListItems.map(toDoListItem => {
+        return {...toDoListItem, done: !toDoListItem.done, lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+      });
+      return addNextOccurrences(toDoListItemsToggled, toDoListItems.map(toDoListItem => toDoListItem.id));
+    });
+  },
+  /**
+   * Action to mark several to-do list items as done or pending, adding the next occurrences of recurring to-do list items marked as done.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {boolean} done - Whether to mark the to-do list items as done.
+   */
+  updateToDoListItemsDone(toDoLists, toDoListId, ids, done) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      const idsToggled = toDoListItems.filter(toDoListItem => ids.includes(toDoListItem.id) && toDoListItem.done !== done).map(toDoListItem => toDoListItem.id);
+      const toDoListItemDateLastUpdated = new Date();
+      const toDoListItemsToggled = toDoListItems.map(toDoListItem => {
+        return idsToggled.includes(toDoListItem.id) ? {...toDoListItem, done, lastUpdated: toDoListItemDateLastUpdated.toJSON()} : toDoListItem;
+      });
+      return addNextOccurrences(toDoListItemsToggled, idsToggled);
+    });
+  },
+  /**
+   * Action to delete several to-do list items along with their subtasks.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {array} ids - The to-do list items' IDs.
+   */
+  deleteToDoListItems(toDoLists, toDoListId, ids) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return toDoListItems.filter(toDoListItem => {
+        return !ids.includes(toDoListItem.id) && !ids.includes(getParentId(toDoListItem));
+      });
+    });
+  },
+  /**
+   * Action to move several to-do list items to the top or the bottom, keeping their order.
+   * Tasks are moved along with their subtasks, while subtasks are moved within their task only, as they're always shown below it.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} position - Either "top" or "bottom".
+   */
+  moveToDoListItems(toDoLists, toDoListId, ids, position) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      const tasks = toToDoListItemTree(toDoListItems).map(task => ({id: task.toDoListItem.id, ...task}));
+      return moveEntries(tasks, ids, position).flatMap(task => [task.toDoListItem, ...moveEntries(task.subtasks, ids, position)]);
+    });
+  },
+  /**
+   * Action to move several to-do list items along with their subtasks to another to-do list, keeping their IDs and creation dates.
+   * Subtasks moved without their task become tasks of the other to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} targetToDoListId - The ID of the to-do list to move the to-do list items to.
+   */
+  moveToDoListItemsToToDoList(toDoLists, toDoListId, ids, targetToDoListId) {
+    const toDoList = toDoLists.find(toDoList => toDoList.id === toDoListId);
+    if (toDoList === undefined || toDoListId === targetToDoListId || !toDoLists.some(toDoList => toDoList.id === targetToDoListId)) {
+      return toDoLists;
+    }
+    const toDoListItemsMoved = toDoList.items.filter(toDoListItem => {
+      return ids.includes(toDoListItem.id) || ids.includes(getParentId(toDoListItem));
+    });
+    const idsMoved = toDoListItemsMoved.map(toDoListItem => toDoListItem.id);
+    const toDoListItemDateLastUpdated = new Date();
+    const toDoListsMoved = updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return toDoListItems.filter(toDoListItem => !idsMoved.includes(toDoListItem.id));
+    });
+    return updateToDoListItems(toDoListsMoved, targetToDoListId, toDoListItems => {
+      return [...toDoListItems, ...toDoListItemsMoved.map(toDoListItem => {
+        const parentId = idsMoved.includes(getParentId(toDoListItem)) ? getParentId(toDoListItem) : null;
+        return {...toDoListItem, parentId, lastUpdated: toDoListItemDateLastUpdated.toJSON()};
+      })];
+    });
+  },
+  /**
+   * Action to copy several to-do list items along with their subtasks to another to-do list.
+   * Subtasks copied without their task become tasks of the other to-do list.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} targetToDoListId - The ID of the to-do list to copy the to-do list items to.
+   */
+  copyToDoListItemsToToDoList(toDoLists, toDoListId, ids, targetToDoListId) {
+    const toDoList = toDoLists.find(toDoList => toDoList.id === toDoListId);
+    if (toDoList === undefined || !toDoLists.some(toDoList => toDoList.id === targetToDoListId)) {
+      return toDoLists;
+    }
+    const toDoListItemsCopied = toDoList.items.filter(toDoListItem => {
+      return ids.includes(toDoListItem.id) || ids.includes(getParentId(toDoListItem));
+    });
+    return updateToDoListItems(toDoLists, targetToDoListId, toDoListItems => {
+      return [...toDoListItems, ...copyToDoListItems(toDoListItemsCopied)];
+    });
+  },
+  /**
+   * Action to tag several to-do list items.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} tag - The normalized tag.
+   */
+  tagToDoListItems(toDoLists, toDoListId, ids, tag) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      return toDoListItems.map(toDoListItem => {
+        return ids.includes(toDoListItem.id) ? addTag(toDoListItem, tag) : toDoListItem;
+      });
+    });
+  },
+  /**
+   * Action to clear (delete all done) to-do list (items), including the subtasks of done to-do list items.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {string} toDoListId - The to-do list's ID.
+   */
+  clearToDoList(toDoLists, toDoListId) {
+    return updateToDoListItems(toDoLists, toDoListId, toDoListItems => {
+      const idsDone = new Set(toDoListItems.filter(toDoListItem => toDoListItem.done !== false).map(toDoListItem => toDoListItem.id));
+      return toDoListItems.filter(toDoListItem => {
+        return !idsDone.has(toDoListItem.id) && !idsDone.has(getParentId(toDoListItem));
+      });
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * Import the to-do list items' priorities.
+ */
+import {priorities, defaultPriority} from './priority.js';
+/**
+ * Import a function to normalize tags.
+ */
+import {normalizeTag} from './tags.js';
+/**
+ * Import a function to validate recurrence rules.
+ */
+import {isRecurrence} from './recurrence.js';
+/**
+ * Import the current schema version along with functions to upgrade to-do lists and to check IDs and dates.
+ */
+import {schemaVersion, migrateToDoLists, isId, isDateOrNull} from './schema.js';
+
+/**
+ * The backup document's format name.
+ */
+export const backupFormat = 'vanilla-to-do-list-backup';
+
+/**
+ * The backup document's current version.
+ */
+export const backupVersion = 1;
+
+/**
+ * A function to create a versioned backup document of to-do lists.
+ * Besides the backup document's version it contains the to-do lists' schema version, so importing the backup upgrades them if needed.
+ * @param {array} toDoLists - The to-do lists to back up.
+ * @returns {object} The backup document.
+ */
+export const createBackup = toDoLists => {
+  const backupDateExported = new Date();
+  return {
+    format: backupFormat,
+    version: backupVersion,
+    schemaVersion,
+    exported: backupDateExported.toJSON(),
+    toDoLists
+  };
+};
+
+/**
+ * Private function to validate a backed up to-do list item.
+ * @param {*} toDoListItem - The to-do list item to validate.
+ * @param {string} path - The to-do list item's path within the backup document for error messages.
+ * @returns {object} The validated to-do list item.
+ */
+const parseToDoListItem = (toDoListItem, path) => {
+  if (toDoListItem === null || typeof toDoListItem !== 'object') {
+    throw new Error(`${path} is not an object!`);
+  }
+  if (!isId(toDoListItem.id)) {
+    throw new Error(`${path} has an invalid ID!`);
+  }
+  if (typeof toDoListItem.text !== 'string') {
+    throw new Error(`${path} has an invalid text!`);
+  }
+  if (typeof toDoListItem.done !== 'boolean') {
+    throw new Error(`${path} has an invalid status!`);
+  }
+  if (!isDateOrNull(toDoListItem.created ?? null) || !isDateOrNull(toDoListItem.lastUpdated ?? null)) {
+    throw new Error(`${path} has an invalid date!`);
+  }
+  if (toDoListItem.due !== undefined && toDoListItem.due !== null && !/^\d{4}-\d{2}-\d{2}$/.test(toDoListItem.due)) {
+    throw new Error(`${path} has an invalid due date!`);
+  }
+  if (toDoListItem.priority !== undefined && !priorities.includes(toDoListItem.priority)) {
+    throw new Error(`${path} has an invalid priority!`);
+  }
+  if (toDoListItem.parentId !== undefined && toDoListItem.parentId !== null && !isId(toDoListItem.parentId)) {
+    throw new Error(`${path} has an invalid parent ID!`);
+  }
+  if (!Array.isArray(toDoListItem.tags ?? []) || !(toDoListItem.tags ?? []).every(tag => typeof tag === 'string')) {
+    throw new Error(`${path} has invalid tags!`);
+  }
+  if (!isRecurrence(toDoListItem.recurrence ?? null)) {
+    throw new Error(`${path} has an invalid recurrence!`);
+  }
+  if (typeof (toDoListItem.notes ?? '') !== 'string') {
+    throw new Error(`${path} has invalid notes!`);
+  }
+  return {
+    ...toDoListItem,
+    created: toDoListItem.created ?? null,
+    lastUpdated: toDoListItem.lastUpdated ?? null,
+    due: toDoListItem.due ?? null,
+    priority: toDoListItem.priority ?? defaultPriority,
+    tags: [...new Set((toDoListItem.tags ?? []).map(normalizeTag).filter(tag => tag !== ''))],
+    parentId: toDoListItem.parentId ?? null,
+    recurrence: toDoListItem.recurrence ?? null,
+    notes: toDoListItem.notes ?? ''
+  };
+};
+
+/**
+ * Private function to validate a backed up to-do list.
+ * @param {*} toDoList - The to-do list to validate.
+ * @param {string} path - The to-do list's path within the backup document for error messages.
+ * @returns {object} The validated to-do list.
+ */
+const parseToDoList = (toDoList, path) => {
+  if (toDoList === null || typeof toDoList !== 'object') {
+    throw new Error(`${path} is not an object!`);
+  }
+  if (!isId(toDoList.id)) {
+    throw new Error(`${path} has an invalid ID!`);
+  }
+  if (typeof toDoList.name !== 'string') {
+    throw new Error(`${path} has an invalid name!`);
+  }
+  if (typeof toDoList.done !== 'boolean') {
+    throw new Error(`${path} has an invalid status!`);
+  }
+  if (typeof (toDoList.archived ?? false) !== 'boolean') {
+    throw new Error(`${path} has an invalid archived state!`);
+  }
+  if (!isDateOrNull(toDoList.created ?? null) || !isDateOrNull(toDoList.lastRenamed ?? null) || !isDateOrNull(toDoList.lastUpdated ?? null)) {
+    throw new Error(`${path} has an invalid date!`);
+  }
+  if (!Array.isArray(toDoList.items ?? [])) {
+    throw new Error(`${path} has invalid items!`);
+  }
+  const items = (toDoList.items ?? []).map((toDoListItem, index) => {
+    return parseToDoListItem(toDoListItem, `${path}, item ${index + 1},`);
+  });
+  return {...toDoList, created: toDoList.created ?? null, lastRenamed: toDoList.lastRenamed ?? null, lastUpdated: toDoList.lastUpdated ?? null, archived: toDoList.archived ?? false, items};
+};
+
+/**
+ * A function to parse and validate a backup document.
+ * @param {string} text - The backup document's JSON text.
+ * @returns {array} The backed up to-do lists.
+ * @throws {Error} If the text isn't a valid backup document, with a message describing the problem.
+ */
+export const parseBackup = text => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file doesn\'t contain valid JSON!');
+  }
+  if (backup === null || typeof backup !== 'object' || backup.format !== backupFormat) {
+    throw new Error('The file isn\'t a to-do lists backup!');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > backupVersion) {
+    throw new Error(`The backup's version ${backup.version} isn't supported!`);
+  }
+  if (!Array.isArray(backup.toDoLists)) {
+    throw new Error('The backup doesn\'t contain any to-do lists!');
+  }
+  // Backups created before stamping the schema version contain to-do lists of schema version 1, e. g. with numeric IDs,
+  // which are upgraded before validating them against the current schema.
+  const toDoLists = migrateToDoLists(backup.toDoLists, backup.schemaVersion ?? 1).map((toDoList, index) => {
+    return parseToDoList(toDoList, `To-do list ${index + 1}`);
+  });
+  const ids = new Set(toDoLists.map(toDoList => toDoList.id));
+  if (ids.size !== toDoLists.length) {
+    throw new Error('The backup contains several to-do lists with the same ID!');
+  }
+  return toDoLists;
+};
\ No newline at end of file
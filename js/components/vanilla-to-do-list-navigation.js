@@ -0,0 +1,390 @@
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+/**
+ * Import the router shared by all components.
+ */
+import {router} from '../router.js';
+/**
+ * Import the registry of keyboard shortcuts shared by all components.
+ */
+import {shortcuts} from '../shortcuts.js';
+/**
+ * Import a function to describe the progress of to-do list items.
+ */
+import {formatProgress} from '../subtasks.js';
+
+/**
+ * Class representing the navigation's dynamic data structure.
+ */
+class VanillaToDoListNavigationModel {
+  /**
+   * Retrieve the to-do lists from the shared store and the current route from the shared router.
+   */
+  constructor() {
+    this.toDoLists = store.toDoLists;
+    this.route = router.route;
+  }
+  /**
+   * Method to get the ID of the to-do list currently displayed or null if no to-do list is displayed.
+   */
+  get toDoListId() {
+    return this.route?.component === 'vanilla-to-do-list' ? this.route.params.id : null;
+  }
+  /**
+   * Method to get the to-do list currently displayed or null if no existing to-do list is displayed.
+   */
+  get toDoList() {
+    return this.toDoLists.find(toDoList => toDoList.id === this.toDoListId) || null;
+  }
+  /**
+   * Method to get the to-do lists to navigate between, i. e. the ones shown in the overview along with the one currently displayed.
+   */
+  get navigableToDoLists() {
+    return this.toDoLists.filter(toDoList => toDoList.archived !== true || toDoList.id === this.toDoListId);
+  }
+  /**
+   * Method to get a to-do list next to the one currently displayed.
+   * @param {number} offset - The offset, i. e. -1 for the previous and 1 for the next to-do list.
+   * @returns {object} The to-do list or null if there is none.
+   */
+  getAdjacentToDoList(offset) {
+    const toDoLists = this.navigableToDoLists;
+    const index = toDoLists.findIndex(toDoList => toDoList.id === this.toDoListId);
+    return index !== -1 ? toDoLists[index + offset] || null : null;
+  }
+  /**
+   * Method to bind a callback for when the to-do lists or the route changed.
+   * @param {function} callback - A callback function executed when the to-do lists or the route changed.
+   */
+  bindNavigationChanged(callback) {
+    this.onNavigationChanged = callback;
+  }
+  /**
+   * Method to subscribe to the shared store and the shared router to update the view whenever the to-do lists or the route changed.
+   */
+  connect() {
+    this.unsubscribeStore = store.subscribe(this.#handleToDoListsChanged);
+    this.unsubscribeRouter = router.subscribe(this.#handleRouteChanged);
+    // Catch up with changes applied while not being subscribed.
+    if (this.toDoLists !== store.toDoLists || this.route !== router.route) {
+      this.toDoLists = store.toDoLists;
+      this.route = router.route;
+      this.onNavigationChanged();
+    }
+  }
+  /**
+   * Method to unsubscribe from the shared store and the shared router.
+   */
+  disconnect() {
+    this.unsubscribeStore();
+    this.unsubscribeRouter();
+  }
+  /**
+   * Private method to handle changed to-do lists of the shared store.
+   * @param {array} toDoLists - The changed to-do lists.
+   */
+  #handleToDoListsChanged = toDoLists => {
+    this.toDoLists = toDoLists;
+    this.onNavigationChanged();
+  };
+  /**
+   * Private method to handle a changed route of the shared router.
+   * @param {object} route - The changed route.
+   */
+  #handleRouteChanged = route => {
+    this.route = route;
+    this.onNavigationChanged();
+  };
+}
+
+/**
+ * Class representing a visual representation of the navigation's dynamic data structure.
+ */
+class VanillaToDoListNavigationView {
+  /**
+   * Create a visual representation of the navigation as a bar.
+   */
+  constructor() {
+    this.style = `
+      :host {
+        --cyan: rgba(0, 157, 224, 1.0);
+        --white-semi-transparent: rgba(255, 255, 255, 0.5);
+        font-family: 'Montserrat', sans-serif;
+      }
+      .hidden {
+        display: none;
+      }
+      nav {
+        position: fixed;
+        bottom: 2em;
+        display: flex;
+        align-items: center;
+        max-width: calc(100vw - 2em);
+        transition: transform 0.5s ease-in-out;
+        border-radius: 0 0.5em 0.5em 0;
+        background: var(--cyan);
+        text-align: center;
+        color: white;
+      }
+      nav.hide {
+        transform: translate(-100%);
+      }
+      nav a {
+        display: inline-block;
+        padding: 1em;
+        text-decoration: none;
+        color: white;
+      }
+      i.arrow {
+        position: relative;
+        top: 0.05em;
+        display: inline-block;
+        transform: rotate(90deg);
+        width: 1em;
+        height: 1em;
+      }
+      i.arrow::before,
+      i.arrow::after {
+        content: '';
+        position: absolute;
+        border-radius: 0.1em;
+        width: 0.2em;
+        height: 0.8em;
+        background: white;
+      }
+      i.arrow::before {
+        transform: translate(20%) rotate(-45deg);
+        transform-origin: bottom right;
+      }
+      i.arrow::after {
+        transform: translate(-20%) rotate(45deg);
+        transform-origin: bottom left;
+      }
+      span#to-do-list {
+        display: flex;
+        align-items: center;
+        min-width: 0;
+        border-left: 0.1em solid var(--white-semi-transparent);
+        padding: 0 0.5em;
+      }
+      span#to-do-list.hidden {
+        display: none;
+      }
+      span#to-do-list button {
+        all: unset;
+        padding: 0.5em;
+        cursor: pointer;
+        font-weight: bold;
+      }
+      span#to-do-list button:disabled {
+        cursor: default;
+        color: var(--white-semi-transparent);
+      }
+      span#to-do-list select {
+        min-width: 0;
+        max-width: 12em;
+        border: none;
+        border-radius: 0.25em;
+        padding: 0.25em;
+        font-family: inherit;
+        text-overflow: ellipsis;
+        color: white;
+        background: transparent;
+        outline: none;
+        cursor: pointer;
+      }
+      span#to-do-list select:focus {
+        outline: var(--white-semi-transparent) solid 0.1em;
+      }
+      span#to-do-list select option {
+        color: black;
+      }
+      span#progress {
+        margin: 0 0 0 0.25em;
+        font-size: 0.8em;
+        white-space: nowrap;
+      }
+    `;
+    this.template = `
+      <nav class="hide">
+        <a id="overview"><i class="arrow" aria-hidden="true"></i>Overview</a>
+        <span id="to-do-list" class="hidden">
+          <button id="previous" title="Click to open the previous list (g p)" aria-label="Previous list">&lsaquo;</button>
+          <select title="Click to switch to another list" aria-label="To-do list"></select>
+          <span id="progress" title="Items done"></span>
+          <button id="next" title="Click to open the next list (g n)" aria-label="Next list">&rsaquo;</button>
+        </span>
+      </nav>
+    `;
+    this.nodeStyle = this.#createElement('style');
+    this.nodeStyle.innerHTML = this.style;
+    this.nodeSectionContainer = this.#createElement('section', 'container');
+    this.nodeSectionContainer.innerHTML = this.template;
+    this.nodeNavigation = this.nodeSectionContainer.querySelector('nav');
+    this.nodeToDoList = this.nodeSectionContainer.querySelector('span#to-do-list');
+    this.nodeSwitcher = this.nodeToDoList.querySelector('select');
+    this.nodePrevious = this.nodeToDoList.querySelector('button#previous');
+    this.nodeNext = this.nodeToDoList.querySelector('button#next');
+  }
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Method to render the navigation.
+   * @param {boolean} shown - Whether the navigation bar is shown for the current route.
+   * @param {object} toDoList - The to-do list currently displayed or null if no existing to-do list is displayed.
+   * @param {array} toDoLists - The to-do lists to switch to.
+   * @param {object} toDoListPrevious - The previous to-do list or null if there is none.
+   * @param {object} toDoListNext - The next to-do list or null if there is none.
+   */
+  render(shown, toDoList, toDoLists, toDoListPrevious, toDoListNext) {
+    this.nodeNavigation.classList.toggle('hide', !shown);
+    this.nodeNavigation.querySelector('a#overview').href = router.href('/');
+    this.nodeToDoList.classList.toggle('hidden', toDoList === null);
+    if (toDoList === null) {
+      return;
+    }
+    this.nodeSwitcher.replaceChildren(...toDoLists.map(toDoListOther => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = toDoListOther.id;
+      nodeOption.textContent = toDoListOther.name;
+      nodeOption.selected = toDoListOther.id === toDoList.id;
+      return nodeOption;
+    }));
+    this.nodeToDoList.querySelector('span#progress').textContent = formatProgress(toDoList.items);
+    this.nodePrevious.disabled = toDoListPrevious === null;
+    this.nodePrevious.title = toDoListPrevious !== null ? `Click to open "${toDoListPrevious.name}" (g p)` : 'This is the first list';
+    this.nodeNext.disabled = toDoListNext === null;
+    this.nodeNext.title = toDoListNext !== null ? `Click to open "${toDoListNext.name}" (g n)` : 'This is the last list';
+  }
+  /**
+   * Method to bind an event handler to switch to another to-do list.
+   * @param {function} eventHandler - A function to handle the event, receiving the to-do list's ID.
+   */
+  bindSwitchToDoList(eventHandler) {
+    this.nodeSwitcher.addEventListener('change', event => {
+      eventHandler(event.target.value);
+    });
+  }
+  /**
+   * Method to bind event handlers to open the previous respectively the next to-do list.
+   * @param {function} eventHandler - A function to handle the events, receiving the offset, i. e. -1 for the previous and 1 for the next to-do list.
+   */
+  bindOpenAdjacentToDoList(eventHandler) {
+    this.nodePrevious.addEventListener('click', () => {
+      eventHandler(-1);
+    });
+    this.nodeNext.addEventListener('click', () => {
+      eventHandler(1);
+    });
+  }
+}
+
+/**
+ * Class representing a link between the navigation's dynamic data structure (model) and its visual representation (view).
+ */
+class VanillaToDoListNavigationController {
+  /**
+   * Link the model and the view.
+   * @param {object} model - The navigation's dynamic data structure.
+   * @param {object} view - The visual representation of the navigation's dynamic data structure.
+   */
+  constructor(model, view) {
+    this.model = model;
+    this.view = view;
+    this.unregisterShortcuts = null;
+    this.model.bindNavigationChanged(this.onNavigationChanged);
+    this.view.bindSwitchToDoList(this.handleSwitchToDoList);
+    this.view.bindOpenAdjacentToDoList(this.handleOpenAdjacentToDoList);
+    this.onNavigationChanged();
+  }
+  /**
+   * Method to get the keyboard shortcuts to open the previous and the next to-do list.
+   */
+  get shortcuts() {
+    return [
+      {keys: 'g p', description: 'Go to the previous list', handler: () => this.handleOpenAdjacentToDoList(-1)},
+      {keys: 'g n', description: 'Go to the next list', handler: () => this.handleOpenAdjacentToDoList(1)}
+    ];
+  }
+  /**
+   * Method for when the to-do lists or the route changed.
+   */
+  onNavigationChanged = () => {
+    const toDoList = this.model.toDoList;
+    this.view.render(this.model.route?.navigation === true, toDoList, this.model.navigableToDoLists, this.model.getAdjacentToDoList(-1), this.model.getAdjacentToDoList(1));
+    // Only offer the keyboard shortcuts while a to-do list is displayed.
+    if (toDoList !== null) {
+      this.registerShortcuts();
+    } else {
+      this.unregisterShortcuts?.();
+      this.unregisterShortcuts = null;
+    }
+  };
+  /**
+   * Method to register the keyboard shortcuts unless they are registered already.
+   */
+  registerShortcuts() {
+    if (this.unregisterShortcuts === null) {
+      this.unregisterShortcuts = shortcuts.register(this.shortcuts);
+    }
+  }
+  /**
+   * Method to handle the switch to another to-do list event.
+   */
+  handleSwitchToDoList = id => {
+    router.navigate(`/to-do-list/${id}`);
+  };
+  /**
+   * Method to handle the open the previous or the next to-do list event.
+   */
+  handleOpenAdjacentToDoList = offset => {
+    const toDoList = this.model.getAdjacentToDoList(offset);
+    if (toDoList !== null) {
+      router.navigate(`/to-do-list/${toDoList.id}`);
+    }
+  };
+}
+
+/**
+ * Class representing a custom element to insert a navigation bar to the document.
+ * @extends HTMLElement
+ */
+class VanillaToDoListNavigation extends HTMLElement {
+  /**
+   * Create the custom element and attach its visual representation to the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.application = new VanillaToDoListNavigationController(new VanillaToDoListNavigationModel(), new VanillaToDoListNavigationView());
+    const shadowRoot = this.attachShadow({mode: 'open'});
+    shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
+  }
+  connectedCallback() {
+    // Subscribe to the shared store and the shared router.
+    this.application.model.connect();
+  }
+  disconnectedCallback() {
+    // Unsubscribe from the shared store and the shared router.
+    this.application.model.disconnect();
+    // Unregister the keyboard shortcuts.
+    this.application.unregisterShortcuts?.();
+    this.application.unregisterShortcuts = null;
+  }
+}
+
+/**
+ * Register a new custom element to eventually be able to insert a navigation bar to the document.
+ */
+customElements.define('vanilla-to-do-list-navigation', VanillaToDoListNavigation);
\ No newline at end of file
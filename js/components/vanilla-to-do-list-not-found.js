@@ -0,0 +1,161 @@
+/**
+ * Import the router shared by all components.
+ */
+import {router} from '../router.js';
+
+/**
+ * Class representing the not found page's dynamic data structure.
+ */
+class VanillaToDoListNotFoundModel {
+  /**
+   * Keep the path no route matches.
+   * @param {string} path - The path.
+   */
+  constructor(path) {
+    this.path = path;
+  }
+}
+
+/**
+ * Class representing a visual representation of the not found page's dynamic data structure.
+ */
+class VanillaToDoListNotFoundView {
+  /**
+   * Create a visual representation of the not found page.
+   */
+  constructor() {
+    this.style = `
+      :host {
+        --cyan: rgba(0, 157, 224, 1.0);
+        --gray: rgba(128, 128, 128, 1.0);
+        --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+      }
+      header h1 {
+        position: relative;
+        margin: 0.25em 0 0 0;
+        font-size: 3em;
+        font-family: 'Arvo', sans-serif;
+        letter-spacing: 0.05em;
+      }
+      header h1 span#first-o,
+      header h1 span#second-o {
+        display: inline-block;
+        color: transparent;
+      }
+      header h1 span#first-o::before,
+      header h1 span#second-o::before {
+        content: '';
+        display: inline-block;
+        margin: 0 -0.6em 0 0;
+        border-radius: 50%;
+        box-sizing: border-box;
+        width: 0.55em;
+        height: 0.55em;
+      }
+      header h1 span#first-o::before {
+        border: 0.12em solid var(--cyan);
+        background: transparent;
+      }
+      header h1 span#second-o::before {
+        background: var(--cyan);
+      }
+      header h1::after {
+        content: '';
+        position: absolute;
+        margin: 0 0 0 0.25em;
+        width: 0.5em;
+        height: 0.5em;
+        background: url('/vanilla-to-do-list/img/javascript.svg') no-repeat;
+      }
+      header h2 {
+        margin: 0 0 1em 0;
+      }
+      section.not-found p {
+        color: var(--gray);
+        word-break: break-all;
+      }
+      section.not-found a {
+        text-decoration: none;
+        color: var(--cyan);
+      }
+      section.not-found a:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+    `;
+    this.template = `
+      <header>
+        <h1>t<span id="first-o">o</span>-d<span id="second-o">o</span> 404</h1>
+        <h2>Page not found</h2>
+      </header>
+      <section class="not-found">
+        <p>There's nothing at <code id="path"></code>.</p>
+        <a id="overview" title="Click to open the overview">Back to the overview</a>
+      </section>
+    `;
+    this.nodeStyle = this.#createElement('style');
+    this.nodeStyle.innerHTML = this.style;
+    this.nodeSectionContainer = this.#createElement('section', 'container');
+    this.nodeSectionContainer.innerHTML = this.template;
+  }
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Method to render the not found page.
+   * @param {string} path - The path no route matches.
+   */
+  render(path) {
+    // The path is set as text, as it's taken from the URL.
+    this.nodeSectionContainer.querySelector('code#path').textContent = path;
+    this.nodeSectionContainer.querySelector('a#overview').href = router.href('/');
+  }
+}
+
+/**
+ * Class representing a link between the not found page's dynamic data structure (model) and its visual representation (view).
+ */
+class VanillaToDoListNotFoundController {
+  /**
+   * Link the model and the view.
+   * @param {object} model - The not found page's dynamic data structure.
+   * @param {object} view - The visual representation of the not found page's dynamic data structure.
+   */
+  constructor(model, view) {
+    this.model = model;
+    this.view = view;
+    this.view.render(this.model.path);
+  }
+}
+
+/**
+ * Class representing a custom element to insert a not found page to the document.
+ * @extends HTMLElement
+ */
+class VanillaToDoListNotFound extends HTMLElement {
+  /**
+   * Create the custom element and attach its visual representation to the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.application = new VanillaToDoListNotFoundController(new VanillaToDoListNotFoundModel(this.getAttribute('path') || window.location.pathname), new VanillaToDoListNotFoundView());
+    const shadowRoot = this.attachShadow({mode: 'open'});
+    shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
+  }
+}
+
+/**
+ * Register a new custom element to eventually be able to insert a not found page to the document.
+ */
+customElements.define('vanilla-to-do-list-not-found', VanillaToDoListNotFound);
\ No newline at end of file
@@ -1,21 +1,54 @@
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+/**
+ * Import functions to handle to-do list items' due dates.
+ */
+import {toDateString, getDueStatus, countDueToDoListItems, formatDue} from '../due.js';
+/**
+ * Import functions to handle to-do list items' priorities.
+ */
+import {getPriority, sortToDoListItems} from '../priority.js';
+/**
+ * Import functions to handle to-do list items' subtasks.
+ */
+import {toToDoListItemTree, countToDoListItems, formatProgress} from '../subtasks.js';
+/**
+ * Import a function to describe recurrence rules.
+ */
+import {formatRecurrence} from '../recurrence.js';
+
 /**
  * Class representing the to-do list's dynamic data structure.
  */
 class VanillaToDoListPreviewModel {
   /**
-   * Retrieve a to-do list object from local storage if available or create one.
+   * Retrieve a to-do list object from the shared store if available or create one.
    * @param {string} id - The to-do list's ID.
    */
   constructor(id) {
-    this.toDoListId = +id;
-    this.toDoList = {};
-    this.toDoLists = JSON.parse(localStorage.getItem('toDoLists')) || [];
-    if (this.toDoLists.length > 0) {
-      this.toDoList = this.toDoLists.find(toDoList => {
-        return toDoList.id === this.toDoListId;
-      }) || {};
+    this.toDoListId = id;
+    this.toDoLists = store.toDoLists;
+    this.toDoList = this.#select(this.toDoLists);
+  }
+  /**
+   * Method to get whether the shared store finished loading the to-do lists.
+   */
+  get loaded() {
+    return store.loaded;
+  }
+  /**
+   * Method to associate the model with another to-do list, e. g. once the custom element's ID attribute is set.
+   * @param {string} id - The to-do list's ID.
+   */
+  selectToDoList(id) {
+    this.toDoListId = id;
+    this.toDoList = this.#select(this.toDoLists);
+    // The shared store notifies the model as soon as it's done loading.
+    if (this.loaded) {
+      this.onToDoListChanged(this.toDoList);
     }
-    this.toDoList.items = this.toDoList.items || [];
   }
   /**
    * Method to bind a callback for when the to-do list changed.
@@ -24,6 +57,41 @@ class VanillaToDoListPreviewModel {
   bindToDoListChanged(callback) {
     this.onToDoListChanged = callback;
   }
+  /**
+   * Method to subscribe to the shared store to update the view whenever the to-do list changed.
+   */
+  connect() {
+    this.unsubscribe = store.subscribe(this.#handleToDoListsChanged);
+    // Catch up with changes applied while not being subscribed.
+    if (this.toDoLists !== store.toDoLists) {
+      this.#handleToDoListsChanged(store.toDoLists);
+    }
+  }
+  /**
+   * Method to unsubscribe from the shared store.
+   */
+  disconnect() {
+    this.unsubscribe();
+  }
+  /**
+   * Private method to handle changed to-do lists of the shared store.
+   * @param {array} toDoLists - The changed to-do lists.
+   */
+  #handleToDoListsChanged = toDoLists => {
+    this.toDoLists = toDoLists;
+    this.toDoList = this.#select(this.toDoLists);
+    this.onToDoListChanged(this.toDoList);
+  };
+  /**
+   * Private method to select the to-do list associated with the model's ID.
+   * @param {array} toDoLists - The to-do lists to select from.
+   */
+  #select(toDoLists) {
+    // A missing to-do list has no items.
+    return toDoLists.find(toDoList => {
+      return toDoList.id === this.toDoListId;
+    }) || {items: []};
+  }
 }
 
 /**
@@ -38,6 +106,9 @@ class VanillaToDoListPreviewView {
       :host {
         --cyan: rgba(0, 157, 224, 1.0);
         --gray: rgba(128, 128, 128, 1.0);
+        --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        --orange: rgba(224, 134, 0, 1.0);
+        --red: rgba(224, 40, 0, 1.0);
         font-family: 'Montserrat', sans-serif;
         text-align: center;
         color: initial;
@@ -134,6 +205,49 @@ class VanillaToDoListPreviewView {
         --strikethrough: 1;
         color: var(--gray);
       }
+      section.to-do-list ul.to-do-list li span.progress {
+        margin: 0 0 0 0.5em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li span.priority {
+        margin: 0 0 0 0.5em;
+        border-radius: 0.25em;
+        padding: 0 0.25em;
+        font-size: 0.8em;
+        color: white;
+        background: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li span.priority.high {
+        background: var(--orange);
+      }
+      section.to-do-list ul.to-do-list li span.priority.urgent {
+        background: var(--red);
+      }
+      section.to-do-list ul.to-do-list li span.recurrence {
+        margin: 0 0 0 0.5em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li span.due {
+        margin: 0 0 0 0.5em;
+        border-radius: 0.25em;
+        padding: 0 0.25em;
+        font-size: 0.8em;
+        color: var(--gray);
+        outline: var(--gray-semi-transparent) solid 0.1em;
+      }
+      section.to-do-list ul.to-do-list li.due-today span.due {
+        color: var(--orange);
+        outline-color: var(--orange);
+      }
+      section.to-do-list ul.to-do-list li.overdue span.due {
+        color: var(--red);
+        outline-color: var(--red);
+      }
+      section.to-do-list ul.to-do-list li.overdue label.text {
+        color: var(--red);
+      }
       footer {
         margin: 1em 0 3em 0;
       }
@@ -178,11 +292,12 @@ class VanillaToDoListPreviewView {
    * @param {object} toDoList - The to-do list for the preview to render.
    */
   render(toDoList) {
-    let toDoListItems = toDoList.items;
+    const toDoListItems = sortToDoListItems(toDoList);
     if (toDoList.name !== undefined && toDoList.done !== undefined) {
       const nodeHeadingTwo = this.nodeSectionContainer.querySelector('header h2');
       const headingTwoClass = toDoList.done === false ? 'pending' : 'done';
       nodeHeadingTwo.textContent = toDoList.name;
+      nodeHeadingTwo.classList.remove('pending', 'done');
       nodeHeadingTwo.classList.add(headingTwoClass);
       nodeHeadingTwo.classList.remove('hidden');
     }
@@ -193,18 +308,17 @@ class VanillaToDoListPreviewView {
     const nodeFooter = this.nodeSectionContainer.querySelector('footer');
     const nodeCountToDoListItems = this.nodeSectionContainer.querySelector('footer span#count');
     if (toDoListItems.length > 0) {
-      const toDoListItemsPending = toDoListItems.filter(toDoListItem => {
-        return toDoListItem.done !== true;
-      });
-      const toDoListItemsDone = toDoListItems.filter(toDoListItem => {
-        return toDoListItem.done !== false;
-      });
-      const countToDoListItemsAll = toDoListItems.length;
-      const countToDoListItemsPending = toDoListItemsPending.length;
-      const countToDoListItemsDone = toDoListItemsDone.length;
+      // Count tasks and subtasks separately.
+      const countsToDoListItems = countToDoListItems(toDoListItems);
+      const countToDoListItemsAll = countsToDoListItems.all;
+      const countToDoListItemsPending = countsToDoListItems.pending;
+      const countToDoListItemsDone = countsToDoListItems.done;
+      const today = toDateString(new Date());
+      const countToDoListItemsDue = countDueToDoListItems(toDoListItems, today);
       const nodeToDoList = this.#createElement('ul', 'to-do-list');
       nodeSectionToDoList.append(nodeToDoList);
-      toDoListItems.forEach(toDoListItem => {
+      // Only preview the tasks along with the progress of their subtasks.
+      toToDoListItemTree(toDoListItems).forEach(({toDoListItem, subtasks}) => {
         const listItemClass = toDoListItem.done === false ? 'pending' : 'done';
         const nodeListItem = this.#createElement('li', listItemClass);
         nodeListItem.id = toDoListItem.id;
@@ -218,11 +332,42 @@ class VanillaToDoListPreviewView {
         }
         nodeListItemText.textContent = toDoListItem.text;
         nodeListItem.append(nodeListItemSelect, nodeListItemText);
+        if (subtasks.length > 0) {
+          const nodeListItemProgress = this.#createElement('span', 'progress');
+          nodeListItemProgress.textContent = formatProgress(subtasks);
+          nodeListItem.append(nodeListItemProgress);
+        }
+        const priority = getPriority(toDoListItem);
+        if (priority !== 'normal') {
+          const nodeListItemPriority = this.#createElement('span', 'priority', priority);
+          nodeListItemPriority.textContent = priority;
+          nodeListItem.append(nodeListItemPriority);
+        }
+        if (toDoListItem.recurrence) {
+          const nodeListItemRecurrence = this.#createElement('span', 'recurrence');
+          nodeListItemRecurrence.textContent = '\u21BB';
+          nodeListItemRecurrence.title = `Repeats ${formatRecurrence(toDoListItem.recurrence)}`;
+          nodeListItem.append(nodeListItemRecurrence);
+        }
+        const dueStatus = getDueStatus(toDoListItem, today);
+        if (dueStatus !== null) {
+          nodeListItem.classList.add(dueStatus);
+        }
+        if (toDoListItem.due) {
+          const nodeListItemDue = this.#createElement('span', 'due');
+          nodeListItemDue.textContent = formatDue(toDoListItem.due, today);
+          nodeListItem.append(nodeListItemDue);
+        }
         nodeToDoList.append(nodeListItem);
       });
       nodeHorizontalRule.classList.remove('hidden');
       nodeFooter.classList.remove('hidden');
-      nodeCountToDoListItems.textContent = `${countToDoListItemsAll} (${countToDoListItemsPending}/${countToDoListItemsDone})`;
+      nodeCountToDoListItems.textContent = [
+        `${countToDoListItemsAll} (${countToDoListItemsPending}/${countToDoListItemsDone})`,
+        countsToDoListItems.subtasks > 0 ? `${countsToDoListItems.subtasksDone}/${countsToDoListItems.subtasks} subtasks` : '',
+        countToDoListItemsDue.overdue > 0 ? `${countToDoListItemsDue.overdue} overdue` : '',
+        countToDoListItemsDue.dueToday > 0 ? `${countToDoListItemsDue.dueToday} due today` : ''
+      ].filter(text => text !== '').join(' · ');
       nodeCountToDoListItems.classList.remove('hidden');
     } else {
       if (toDoList.id !== undefined) {
@@ -253,7 +398,10 @@ class VanillaToDoListPreviewController {
     this.model = model;
     this.view = view;
     this.model.bindToDoListChanged(this.onToDoListChanged);
-    this.onToDoListChanged(this.model.toDoList);
+    // Render right away unless the shared store is still loading, as it notifies the model as soon as it's done.
+    if (this.model.loaded) {
+      this.onToDoListChanged(this.model.toDoList);
+    }
   }
   /**
    * Method for when the to-do list changed.
@@ -300,6 +448,20 @@ export class VanillaToDoListPreview extends HTMLElement {
     const shadowRoot = this.attachShadow({mode: 'open'});
     shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
   }
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Show the to-do list whose ID is set after creating the custom element.
+    if (name === 'id' && newValue !== this.application.model.toDoListId) {
+      this.application.model.selectToDoList(newValue);
+    }
+  }
+  connectedCallback() {
+    // Subscribe to the shared store.
+    this.application.model.connect();
+  }
+  disconnectedCallback() {
+    // Unsubscribe from the shared store.
+    this.application.model.disconnect();
+  }
 }
 
 /**
@@ -0,0 +1,472 @@
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+/**
+ * Import the router shared by all components.
+ */
+import {router} from '../router.js';
+/**
+ * Import functions to search the to-do lists.
+ */
+import {searchToDoLists, toExcerpt} from '../search.js';
+/**
+ * Import a function to get a to-do list item's notes.
+ */
+import {getNotes} from '../notes.js';
+/**
+ * Import a function to parse the filters.
+ */
+import {parseFilterHash} from '../tags.js';
+
+/**
+ * Class representing the search's dynamic data structure.
+ */
+class VanillaToDoListSearchModel {
+  /**
+   * Retrieve the to-do lists array from the shared store.
+   * @param {string} query - The initial search query.
+   */
+  constructor(query) {
+    this.toDoLists = store.toDoLists;
+    this.query = query;
+  }
+  /**
+   * Method to get whether the shared store finished loading the to-do lists.
+   */
+  get loaded() {
+    return store.loaded;
+  }
+  /**
+   * Method to bind a callback for when the to-do lists changed.
+   * @param {function} callback - A callback function executed when the to-do lists changed.
+   */
+  bindToDoListsChanged(callback) {
+    this.onToDoListsChanged = callback;
+  }
+  /**
+   * Method to subscribe to the shared store to update the view whenever the to-do lists changed.
+   */
+  connect() {
+    this.unsubscribe = store.subscribe(this.#handleToDoListsChanged);
+    // Catch up with changes applied while not being subscribed.
+    if (this.toDoLists !== store.toDoLists) {
+      this.#handleToDoListsChanged(store.toDoLists);
+    }
+  }
+  /**
+   * Method to unsubscribe from the shared store.
+   */
+  disconnect() {
+    this.unsubscribe();
+  }
+  /**
+   * Method to update the search query.
+   * @param {string} query - The new search query.
+   */
+  updateQuery(query) {
+    this.query = query;
+    this.onToDoListsChanged(this.toDoLists, this.query);
+  }
+  /**
+   * Private method to handle changed to-do lists of the shared store.
+   * @param {array} toDoLists - The changed to-do lists.
+   */
+  #handleToDoListsChanged = toDoLists => {
+    this.toDoLists = toDoLists;
+    this.onToDoListsChanged(this.toDoLists, this.query);
+  };
+}
+
+/**
+ * Class representing a visual representation of the search's dynamic data structure.
+ */
+class VanillaToDoListSearchView {
+  /**
+   * Create a visual representation of the search.
+   * @param {string} query - The initial search query.
+   */
+  constructor(query) {
+    this.style = `
+      :host {
+        --cyan: rgba(0, 157, 224, 1.0);
+        --cyan-three-quarter-transparent: rgba(0, 157, 224, 0.25);
+        --gray: rgba(128, 128, 128, 1.0);
+        --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+      }
+      .hidden {
+        display: none;
+      }
+      header h1 {
+        position: relative;
+        margin: 0.25em 0 0 0;
+        font-size: 3em;
+        font-family: 'Arvo', sans-serif;
+        letter-spacing: 0.05em;
+      }
+      header h1 span#first-o,
+      header h1 span#second-o {
+        display: inline-block;
+        color: transparent;
+      }
+      header h1 span#first-o::before,
+      header h1 span#second-o::before {
+        content: '';
+        display: inline-block;
+        margin: 0 -0.6em 0 0;
+        border-radius: 50%;
+        box-sizing: border-box;
+        width: 0.55em;
+        height: 0.55em;
+      }
+      header h1 span#first-o::before {
+        border: 0.12em solid var(--cyan);
+        background: transparent;
+      }
+      header h1 span#second-o::before {
+        background: var(--cyan);
+      }
+      header h1::after {
+        content: '';
+        position: absolute;
+        margin: 0 0 0 0.25em;
+        width: 0.5em;
+        height: 0.5em;
+        background: url('/vanilla-to-do-list/img/javascript.svg') no-repeat;
+      }
+      header h2 {
+        margin: 0 0 1em 0;
+      }
+      input[type=text] {
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        box-sizing: border-box;
+        width: 100%;
+        padding: 0.5em;
+        font-size: 1em;
+        font-family: inherit;
+        outline: none;
+      }
+      input[type=text]:focus {
+        border-color: var(--cyan);
+      }
+      section.results ul {
+        padding: 0;
+        text-align: start;
+        list-style: none;
+      }
+      section.results ul.results > li {
+        padding: 0.5em;
+      }
+      section.results ul.items {
+        margin: 0.25em 0 0 0;
+      }
+      section.results ul.items li {
+        padding: 0.25em 0 0.25em 1em;
+      }
+      section.results a {
+        cursor: pointer;
+        text-decoration: none;
+        color: inherit;
+        word-break: break-all;
+      }
+      section.results a:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      section.results a.name {
+        font-weight: bold;
+      }
+      section.results li.done > a {
+        text-decoration: line-through;
+        color: var(--gray);
+      }
+      section.results span.archived {
+        margin: 0 0 0 0.5em;
+        border-radius: 0.25em;
+        padding: 0 0.25em;
+        font-size: 0.8em;
+        color: var(--gray);
+        outline: var(--gray-semi-transparent) solid 0.1em;
+      }
+      section.results span.notes {
+        display: block;
+        padding: 0 0 0 1em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.results span.count {
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.results mark {
+        border-radius: 0.15em;
+        color: inherit;
+        background: var(--cyan-three-quarter-transparent);
+      }
+      section.results p {
+        color: var(--gray);
+      }
+      footer {
+        margin: 1em 0 3em 0;
+      }
+      footer span#count {
+        position: relative;
+        float: left;
+        color: var(--gray);
+      }
+      footer ul.filters {
+        position: absolute;
+        left: 0;
+        right: 0;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+      }
+      footer ul.filters li {
+        display: inline;
+      }
+      footer ul.filters li a:hover {
+        outline: var(--gray-semi-transparent) solid 0.1em;
+        border-radius: 0.25em;
+      }
+      footer a {
+        padding: 0.1em 0.2em;
+        cursor: pointer;
+        text-decoration: none;
+        color: var(--cyan);
+      }
+      footer a.selected {
+        outline: var(--gray) solid 0.1em;
+        border-radius: 0.25em;
+      }
+    `;
+    this.template = `
+      <header>
+        <h1>t<span id="first-o">o</span>-d<span id="second-o">o</span> search</h1>
+        <h2>Search all your to-do lists</h2>
+        <input type="text" placeholder="What are you looking for?">
+      </header>
+      <section class="results"></section>
+      <hr class="hidden">
+      <footer class="hidden">
+        <span id="count"></span>
+        <ul class="filters">
+          <li><a id="all" class="selected" href="#all">All</a></li>
+          <li><a id="pending" href="#pending">Pending</a></li>
+          <li><a id="done" href="#done">Done</a></li>
+        </ul>
+      </footer>
+    `;
+    this.nodeStyle = this.#createElement('style');
+    this.nodeStyle.innerHTML = this.style;
+    this.nodeSectionContainer = this.#createElement('section', 'container');
+    this.nodeSectionContainer.innerHTML = this.template;
+    this.nodeInputSearch = this.nodeSectionContainer.querySelector('header input');
+    this.nodeInputSearch.value = query;
+  }
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Private method to create the nodes of a text with its matched ranges highlighted.
+   * @param {string} text - The text.
+   * @param {array} matches - The matched ranges or null if there are none.
+   * @returns {array} The text nodes and mark elements.
+   */
+  #highlight(text, matches) {
+    const nodes = [];
+    let index = 0;
+    (matches || []).forEach(([start, end]) => {
+      const nodeMark = this.#createElement('mark');
+      nodeMark.textContent = text.slice(start, end);
+      nodes.push(text.slice(index, start), nodeMark);
+      index = end;
+    });
+    nodes.push(text.slice(index));
+    return nodes.filter(node => node !== '');
+  }
+  /**
+   * Method to render the search results.
+   * @param {array} toDoLists - The to-do lists to search.
+   * @param {string} query - The search query.
+   */
+  render(toDoLists, query) {
+    const filter = parseFilterHash(window.location.hash);
+    const nodeSectionResults = this.nodeSectionContainer.querySelector('section.results');
+    nodeSectionResults.replaceChildren();
+    const nodeHorizontalRule = this.nodeSectionContainer.querySelector('hr');
+    const nodeFooter = this.nodeSectionContainer.querySelector('footer');
+    const results = searchToDoLists(toDoLists, query, filter.status);
+    if (query.trim() === '') {
+      const nodeHint = this.#createElement('p');
+      nodeHint.textContent = 'Type to search the names of your to-do lists, their items and notes.';
+      nodeSectionResults.append(nodeHint);
+    } else if (results.length === 0) {
+      const nodeNothingFound = this.#createElement('p');
+      nodeNothingFound.textContent = 'Nothing found!';
+      nodeSectionResults.append(nodeNothingFound);
+    } else {
+      const nodeResults = this.#createElement('ul', 'results');
+      nodeSectionResults.append(nodeResults);
+      results.forEach(result => {
+        const href = router.href(`/to-do-list/${result.toDoList.id}`);
+        const nodeResult = this.#createElement('li', result.toDoList.done === false ? 'pending' : 'done');
+        const nodeResultName = this.#createElement('a', 'name');
+        nodeResultName.href = href;
+        nodeResultName.title = 'Click to open the to-do list';
+        nodeResultName.append(...this.#highlight(result.toDoList.name, result.nameMatches));
+        nodeResult.append(nodeResultName);
+        // Archived to-do lists are hidden from the overview, but not from the search.
+        if (result.toDoList.archived === true) {
+          const nodeResultArchived = this.#createElement('span', 'archived');
+          nodeResultArchived.textContent = 'archived';
+          nodeResult.append(nodeResultArchived);
+        }
+        if (result.items.length > 0) {
+          const nodeResultCount = this.#createElement('span', 'count');
+          nodeResultCount.textContent = `(${result.items.length} ${result.items.length === 1 ? 'item' : 'items'})`;
+          nodeResult.append('\u00A0', nodeResultCount);
+          const nodeResultItems = this.#createElement('ul', 'items');
+          result.items.forEach(({toDoListItem, matches, notesMatches}) => {
+            const nodeResultItem = this.#createElement('li', toDoListItem.done === false ? 'pending' : 'done');
+            const nodeResultItemText = this.#createElement('a', 'text');
+            nodeResultItemText.href = href;
+            nodeResultItemText.title = 'Click to open the to-do list containing this item';
+            nodeResultItemText.append(...this.#highlight(toDoListItem.text, matches));
+            nodeResultItem.append(nodeResultItemText);
+            // Show where the notes match, as they may be long.
+            if (notesMatches !== null) {
+              const excerpt = toExcerpt(getNotes(toDoListItem), notesMatches);
+              const nodeResultItemNotes = this.#createElement('span', 'notes');
+              nodeResultItemNotes.title = 'Matched within the notes';
+              nodeResultItemNotes.append(...this.#highlight(excerpt.text, excerpt.matches));
+              nodeResultItem.append(nodeResultItemNotes);
+            }
+            nodeResultItems.append(nodeResultItem);
+          });
+          nodeResult.append(nodeResultItems);
+        }
+        nodeResults.append(nodeResult);
+      });
+    }
+    if (query.trim() !== '') {
+      const countResultsToDoLists = results.length;
+      const countResultsToDoListItems = results.reduce((count, result) => count + result.items.length, 0);
+      this.nodeSectionContainer.querySelector('footer span#count').textContent = `${countResultsToDoLists} ${countResultsToDoLists === 1 ? 'list' : 'lists'}, ${countResultsToDoListItems} ${countResultsToDoListItems === 1 ? 'item' : 'items'}`;
+      nodeHorizontalRule.classList.remove('hidden');
+      nodeFooter.classList.remove('hidden');
+    } else {
+      nodeHorizontalRule.classList.add('hidden');
+      nodeFooter.classList.add('hidden');
+    }
+    this.nodeSectionContainer.querySelectorAll('footer ul.filters li a').forEach(nodeFilterLink => {
+      nodeFilterLink.classList.toggle('selected', nodeFilterLink.id === filter.status);
+    });
+  }
+  /**
+   * Method to bind an event handler to search incrementally, i. e. while typing.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindSearch(eventHandler) {
+    this.nodeInputSearch.addEventListener('input', event => {
+      // Keep the search query in the URL, so it's restored when navigating back from a result.
+      const url = new URL(window.location.href);
+      if (event.target.value !== '') {
+        url.searchParams.set('q', event.target.value);
+      } else {
+        url.searchParams.delete('q');
+      }
+      window.history.replaceState(window.history.state, '', url);
+      eventHandler(event.target.value);
+    });
+  }
+}
+
+/**
+ * Class representing a link between the search's dynamic data structure (model) and its visual representation (view).
+ */
+class VanillaToDoListSearchController {
+  /**
+   * Link the model and the view.
+   * @param {object} model - The search's dynamic data structure.
+   * @param {object} view - The visual representation of the search's dynamic data structure.
+   */
+  constructor(model, view) {
+    this.model = model;
+    this.view = view;
+    this.model.bindToDoListsChanged(this.onToDoListsChanged);
+    this.view.bindSearch(this.handleSearch);
+    // Render right away unless the shared store is still loading, as it notifies the model as soon as it's done.
+    if (this.model.loaded) {
+      this.onToDoListsChanged(this.model.toDoLists, this.model.query);
+    }
+  }
+  /**
+   * Method for when the to-do lists or the search query changed.
+   * @param {array} toDoLists - The to-do lists to search.
+   * @param {string} query - The search query.
+   */
+  onToDoListsChanged = (toDoLists, query) => {
+    this.view.render(toDoLists, query);
+  };
+  /**
+   * Method to handle the search event.
+   */
+  handleSearch = query => {
+    this.model.updateQuery(query);
+  };
+  /**
+   * Method to handle the window hash change event.
+   */
+  handleWindowHashChange = () => {
+    this.onToDoListsChanged(this.model.toDoLists, this.model.query);
+  };
+}
+
+/**
+ * Class representing a custom element to insert a search across all to-do lists to the document.
+ * @extends HTMLElement
+ */
+class VanillaToDoListSearch extends HTMLElement {
+  /**
+   * Create the custom element and attach its visual representation to the shadow DOM.
+   */
+  constructor() {
+    super();
+    // Restore the search query kept in the URL.
+    const query = new URLSearchParams(window.location.search).get('q') || '';
+    this.application = new VanillaToDoListSearchController(new VanillaToDoListSearchModel(query), new VanillaToDoListSearchView(query));
+    const shadowRoot = this.attachShadow({mode: 'open'});
+    shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
+    shadowRoot.querySelector('header input').focus();
+  }
+  connectedCallback() {
+    // Subscribe to the shared store.
+    this.application.model.connect();
+    // Add an event handler for when the window hash changed.
+    window.addEventListener('hashchange', this.application.handleWindowHashChange);
+  }
+  disconnectedCallback() {
+    // Unsubscribe from the shared store.
+    this.application.model.disconnect();
+    // Remove the event handler for when the window hash changed.
+    window.removeEventListener('hashchange', this.application.handleWindowHashChange);
+  }
+}
+
+/**
+ * Register a new custom element to eventually be able to insert a search across all to-do lists to the document.
+ */
+customElements.define('vanilla-to-do-list-search', VanillaToDoListSearch);
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Import the registry of keyboard shortcuts shared by all components.
+ */
+import {shortcuts} from '../shortcuts.js';
+
+/**
+ * Class representing the keyboard shortcuts' dynamic data structure.
+ */
+class VanillaToDoListShortcutsModel {
+  /**
+   * Method to get the currently registered keyboard shortcuts, listing the ones to show and hide the overlay last.
+   */
+  get bindings() {
+    const keys = this.bindingsOverlay.map(binding => binding.keys);
+    return [
+      ...shortcuts.bindings.filter(binding => !keys.includes(binding.keys)),
+      ...shortcuts.bindings.filter(binding => keys.includes(binding.keys))
+    ];
+  }
+  /**
+   * Method to register the keyboard shortcuts to show and hide the overlay.
+   * @param {array} bindings - The bindings, each containing the keys, the description and the handler.
+   */
+  connect(bindings) {
+    this.bindingsOverlay = bindings;
+    this.unregister = shortcuts.register(bindings);
+  }
+  /**
+   * Method to unregister the keyboard shortcuts to show and hide the overlay.
+   */
+  disconnect() {
+    this.unregister();
+  }
+}
+
+/**
+ * Class representing a visual representation of the keyboard shortcuts' dynamic data structure.
+ */
+class VanillaToDoListShortcutsView {
+  /**
+   * Create a visual representation of the keyboard shortcuts as an overlay.
+   */
+  constructor() {
+    this.style = `
+      :host {
+        --cyan: rgba(0, 157, 224, 1.0);
+        --cyan-three-quarter-transparent: rgba(0, 157, 224, 0.25);
+        --gray: rgba(128, 128, 128, 1.0);
+        --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        font-family: 'Montserrat', sans-serif;
+      }
+      .hidden {
+        display: none;
+      }
+      section.overlay {
+        position: fixed;
+        inset: 0;
+        z-index: 2;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: var(--gray-semi-transparent);
+      }
+      section.overlay.hidden {
+        display: none;
+      }
+      div.dialog {
+        border-radius: 0.5em;
+        max-height: 80vh;
+        overflow: auto;
+        padding: 1em 1.5em;
+        text-align: start;
+        background: white;
+        box-shadow: 0 0 1em var(--gray-semi-transparent);
+      }
+      div.dialog h2 {
+        margin: 0 0 0.5em 0;
+        font-family: 'Arvo', sans-serif;
+      }
+      div.dialog button.close {
+        all: unset;
+        float: right;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      div.dialog button.close:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      table {
+        border-collapse: collapse;
+      }
+      td {
+        padding: 0.25em 0.5em;
+      }
+      td.keys {
+        white-space: nowrap;
+        text-align: end;
+        color: var(--gray);
+      }
+      kbd {
+        border-radius: 0.25em;
+        padding: 0 0.35em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: var(--cyan-three-quarter-transparent) solid 0.1em;
+      }
+    `;
+    this.template = `
+      <div class="dialog" role="dialog" aria-label="Keyboard shortcuts">
+        <button class="close" title="Click to close (Esc)">Close</button>
+        <h2>Keyboard shortcuts</h2>
+        <table></table>
+      </div>
+    `;
+    this.nodeStyle = this.#createElement('style');
+    this.nodeStyle.innerHTML = this.style;
+    this.nodeSectionContainer = this.#createElement('section', 'overlay', 'hidden');
+    this.nodeSectionContainer.innerHTML = this.template;
+    this.nodeTable = this.nodeSectionContainer.querySelector('table');
+  }
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Private method to create the nodes of a keyboard shortcut's keys, e. g. "g then o" or "Ctrl+Z".
+   * @param {string} keys - The keys, where steps are separated by spaces and modifiers by plus signs.
+   * @returns {array} The text nodes and keyboard input elements.
+   */
+  #createKeys(keys) {
+    return keys.split(' ').flatMap((step, index) => {
+      const nodesStep = step.split('+').flatMap((key, keyIndex) => {
+        const nodeKey = this.#createElement('kbd');
+        nodeKey.textContent = key;
+        return keyIndex > 0 ? ['+', nodeKey] : [nodeKey];
+      });
+      return index > 0 ? [' then ', ...nodesStep] : nodesStep;
+    });
+  }
+  /**
+   * Method to get whether the overlay is shown.
+   */
+  get shown() {
+    return !this.nodeSectionContainer.classList.contains('hidden');
+  }
+  /**
+   * Method to render the keyboard shortcuts and show the overlay.
+   * @param {array} bindings - The keyboard shortcuts, each containing the keys and the description.
+   */
+  render(bindings) {
+    this.nodeTable.replaceChildren(...bindings.map(binding => {
+      const nodeRow = this.#createElement('tr');
+      const nodeKeys = this.#createElement('td', 'keys');
+      nodeKeys.append(...this.#createKeys(binding.keys));
+      const nodeDescription = this.#createElement('td', 'description');
+      nodeDescription.textContent = binding.description;
+      nodeRow.append(nodeKeys, nodeDescription);
+      return nodeRow;
+    }));
+    this.nodeSectionContainer.classList.remove('hidden');
+    this.nodeSectionContainer.querySelector('button.close').focus();
+  }
+  /**
+   * Method to hide the overlay.
+   */
+  hide() {
+    this.nodeSectionContainer.classList.add('hidden');
+  }
+  /**
+   * Method to bind an event handler to close the overlay by its button, by clicking outside the dialog or by pressing the escape key.
+   * The escape key is handled by the overlay itself rather than registered as a keyboard shortcut, so it never interferes with other
+   * components' escape key handling, e. g. to cancel editing.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindClose(eventHandler) {
+    this.nodeSectionContainer.addEventListener('click', event => {
+      if (event.target === this.nodeSectionContainer || event.target.matches('button.close')) {
+        eventHandler();
+      }
+    });
+    this.nodeSectionContainer.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        eventHandler();
+      }
+    });
+  }
+}
+
+/**
+ * Class representing a link between the keyboard shortcuts' dynamic data structure (model) and its visual representation (view).
+ */
+class VanillaToDoListShortcutsController {
+  /**
+   * Link the model and the view.
+   * @param {object} model - The keyboard shortcuts' dynamic data structure.
+   * @param {object} view - The visual representation of the keyboard shortcuts' dynamic data structure.
+   */
+  constructor(model, view) {
+    this.model = model;
+    this.view = view;
+    this.view.bindClose(this.handleClose);
+  }
+  /**
+   * Method to get the keyboard shortcuts to show and hide the overlay.
+   */
+  get bindings() {
+    return [
+      {keys: '?', description: 'Show or hide the keyboard shortcuts', handler: this.handleToggle}
+    ];
+  }
+  /**
+   * Method to handle the show or hide the overlay event.
+   */
+  handleToggle = () => {
+    if (this.view.shown) {
+      this.view.hide();
+    } else {
+      this.view.render(this.model.bindings);
+    }
+  };
+  /**
+   * Method to handle the close the overlay event.
+   */
+  handleClose = () => {
+    this.view.hide();
+  };
+}
+
+/**
+ * Class representing a custom element to insert an overlay listing the keyboard shortcuts to the document.
+ * @extends HTMLElement
+ */
+export class VanillaToDoListShortcuts extends HTMLElement {
+  /**
+   * Create the custom element and attach its visual representation to the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.application = new VanillaToDoListShortcutsController(new VanillaToDoListShortcutsModel(), new VanillaToDoListShortcutsView());
+    const shadowRoot = this.attachShadow({mode: 'open'});
+    shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
+  }
+  connectedCallback() {
+    // Register the keyboard shortcuts to show and hide the overlay.
+    this.application.model.connect(this.application.bindings);
+  }
+  disconnectedCallback() {
+    // Unregister the keyboard shortcuts to show and hide the overlay.
+    this.application.model.disconnect();
+  }
+}
+
+/**
+ * Register a new custom element to eventually be able to insert an overlay listing the keyboard shortcuts to the document.
+ */
+customElements.define('vanilla-to-do-list-shortcuts', VanillaToDoListShortcuts);
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+
+/**
+ * Class representing the storage error's dynamic data structure.
+ */
+class VanillaToDoListStorageErrorModel {
+  /**
+   * Method to get whether loading the to-do lists failed, so no changes are stored.
+   */
+  get loadFailed() {
+    return store.loadFailed;
+  }
+  /**
+   * Method to bind a callback for when the to-do lists changed, e. g. after loading them.
+   * @param {function} callback - A callback function executed when the to-do lists changed.
+   */
+  bindToDoListsChanged(callback) {
+    this.onToDoListsChanged = callback;
+  }
+  /**
+   * Method to subscribe to the shared store to update the view whenever the to-do lists changed.
+   */
+  connect() {
+    this.unsubscribe = store.subscribe(this.#handleToDoListsChanged);
+    // Catch up with loading finished while not being subscribed.
+    this.onToDoListsChanged();
+  }
+  /**
+   * Method to unsubscribe from the shared store.
+   */
+  disconnect() {
+    this.unsubscribe();
+  }
+  /**
+   * Method to load the to-do lists again.
+   * @returns {Promise} A promise resolved when loading is done.
+   */
+  reload() {
+    return store.reload();
+  }
+  /**
+   * Private method to handle changed to-do lists of the shared store.
+   */
+  #handleToDoListsChanged = () => {
+    this.onToDoListsChanged();
+  };
+}
+
+/**
+ * Class representing a visual representation of the storage error's dynamic data structure.
+ */
+class VanillaToDoListStorageErrorView {
+  /**
+   * Create a visual representation of the storage error as a banner.
+   */
+  constructor() {
+    this.style = `
+      :host {
+        --cyan: rgba(0, 157, 224, 1.0);
+        --red: rgba(224, 40, 0, 1.0);
+        --red-three-quarter-transparent: rgba(224, 40, 0, 0.25);
+        --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        font-family: 'Montserrat', sans-serif;
+      }
+      section.error {
+        position: fixed;
+        inset: 3em 0 auto 0;
+        z-index: 2;
+        margin: 0 auto;
+        border-radius: 0.5em;
+        max-width: 40em;
+        padding: 0.5em 1em;
+        text-align: center;
+        color: var(--red);
+        background: white;
+        outline: var(--red-three-quarter-transparent) solid 0.1em;
+        box-shadow: 0 0 1em var(--gray-semi-transparent);
+      }
+      section.error.hidden {
+        display: none;
+      }
+      section.error button {
+        all: unset;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      section.error button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      section.error button:disabled {
+        cursor: default;
+        text-decoration: none;
+        color: var(--gray-semi-transparent);
+      }
+    `;
+    this.template = `
+      The to-do lists couldn't be loaded, so changes aren't stored to keep them from being overwritten.
+      <button id="reload" title="Click to try loading the to-do lists again">Try again</button>
+    `;
+    this.nodeStyle = this.#createElement('style');
+    this.nodeStyle.innerHTML = this.style;
+    this.nodeSectionContainer = this.#createElement('section', 'error', 'hidden');
+    this.nodeSectionContainer.setAttribute('role', 'alert');
+    this.nodeSectionContainer.innerHTML = this.template;
+    this.nodeButtonReload = this.nodeSectionContainer.querySelector('button#reload');
+  }
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Method to show the banner as long as loading failed.
+   * @param {boolean} loadFailed - Whether loading the to-do lists failed.
+   */
+  render(loadFailed) {
+    this.nodeSectionContainer.classList.toggle('hidden', !loadFailed);
+    this.nodeButtonReload.disabled = false;
+  }
+  /**
+   * Method to bind an event handler to load the to-do lists again.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindReload(eventHandler) {
+    this.nodeButtonReload.addEventListener('click', () => {
+      this.nodeButtonReload.disabled = true;
+      eventHandler();
+    });
+  }
+}
+
+/**
+ * Class representing a link between the storage error's dynamic data structure (model) and its visual representation (view).
+ */
+class VanillaToDoListStorageErrorController {
+  /**
+   * Link the model and the view.
+   * @param {object} model - The storage error's dynamic data structure.
+   * @param {object} view - The visual representation of the storage error's dynamic data structure.
+   */
+  constructor(model, view) {
+    this.model = model;
+    this.view = view;
+    this.model.bindToDoListsChanged(this.onToDoListsChanged);
+    this.view.bindReload(this.handleReload);
+  }
+  /**
+   * Method for when the to-do lists changed, e. g. after loading them.
+   */
+  onToDoListsChanged = () => {
+    this.view.render(this.model.loadFailed);
+  };
+  /**
+   * Method to handle the load the to-do lists again event.
+   */
+  handleReload = () => {
+    this.model.reload();
+  };
+}
+
+/**
+ * Class representing a custom element to insert a banner showing that loading the to-do lists failed to the document.
+ * @extends HTMLElement
+ */
+class VanillaToDoListStorageError extends HTMLElement {
+  /**
+   * Create the custom element and attach its visual representation to the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.application = new VanillaToDoListStorageErrorController(new VanillaToDoListStorageErrorModel(), new VanillaToDoListStorageErrorView());
+    const shadowRoot = this.attachShadow({mode: 'open'});
+    shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
+  }
+  connectedCallback() {
+    // Subscribe to the shared store.
+    this.application.model.connect();
+  }
+  disconnectedCallback() {
+    // Unsubscribe from the shared store.
+    this.application.model.disconnect();
+  }
+}
+
+/**
+ * Register a new custom element to eventually be able to insert a banner showing that loading the to-do lists failed to the document.
+ */
+customElements.define('vanilla-to-do-list-storage-error', VanillaToDoListStorageError);
\ No newline at end of file
@@ -0,0 +1,447 @@
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+/**
+ * Import functions to describe the trash's retention periods.
+ */
+import {retentionPeriods, formatRetentionPeriod} from '../trash.js';
+/**
+ * Import functions to format the trash entries' deletion dates.
+ */
+import {toDateString, formatDue} from '../due.js';
+
+/**
+ * Class representing the trash's dynamic data structure.
+ */
+class VanillaToDoListTrashModel {
+  /**
+   * Retrieve the trash from the shared store.
+   */
+  constructor() {
+    this.trash = store.trash;
+  }
+  /**
+   * Method to get whether the shared store finished loading the trash.
+   */
+  get loaded() {
+    return store.loaded;
+  }
+  /**
+   * Method to bind a callback for when the trash changed.
+   * @param {function} callback - A callback function executed when the trash changed.
+   */
+  bindTrashChanged(callback) {
+    this.onTrashChanged = callback;
+  }
+  /**
+   * Method to subscribe to the shared store to update the view whenever the trash changed.
+   */
+  connect() {
+    this.unsubscribe = store.subscribe(this.#handleTrashChanged);
+    // Catch up with changes applied while not being subscribed.
+    if (this.trash !== store.trash) {
+      this.#handleTrashChanged();
+    }
+  }
+  /**
+   * Method to unsubscribe from the shared store.
+   */
+  disconnect() {
+    this.unsubscribe();
+  }
+  /**
+   * Method to restore a trash entry's to-do list respectively to-do list items.
+   * @param {string} id - The trash entry's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  restoreTrashEntry(id) {
+    return store.restoreTrashEntry(id);
+  }
+  /**
+   * Method to permanently delete trash entries.
+   * @param {array} ids - The IDs of the trash entries to purge or null to empty the whole trash.
+   * @returns {Promise} A promise resolved when the trash is stored.
+   */
+  purgeTrashEntries(ids = null) {
+    return store.purgeTrashEntries(ids);
+  }
+  /**
+   * Method to update the number of days to keep trash entries.
+   * @param {number} retentionDays - The number of days to keep trash entries or null to keep them forever.
+   * @returns {Promise} A promise resolved when the trash is stored.
+   */
+  updateTrashRetention(retentionDays) {
+    return store.updateTrashRetention(retentionDays);
+  }
+  /**
+   * Private method to handle a change of the shared store's to-do lists or trash.
+   */
+  #handleTrashChanged = () => {
+    this.trash = store.trash;
+    this.onTrashChanged(this.trash);
+  };
+}
+
+/**
+ * Class representing a visual representation of the trash's dynamic data structure.
+ */
+class VanillaToDoListTrashView {
+  /**
+   * Create a visual representation of the trash.
+   */
+  constructor() {
+    this.style = `
+      :host {
+        --cyan: rgba(0, 157, 224, 1.0);
+        --cyan-three-quarter-transparent: rgba(0, 157, 224, 0.25);
+        --gray: rgba(128, 128, 128, 1.0);
+        --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        font-family: 'Montserrat', sans-serif;
+        text-align: center;
+      }
+      .hidden {
+        display: none;
+      }
+      header h1 {
+        position: relative;
+        margin: 0.25em 0 0 0;
+        font-size: 3em;
+        font-family: 'Arvo', sans-serif;
+        letter-spacing: 0.05em;
+      }
+      header h1 span#first-o,
+      header h1 span#second-o {
+        display: inline-block;
+        color: transparent;
+      }
+      header h1 span#first-o::before,
+      header h1 span#second-o::before {
+        content: '';
+        display: inline-block;
+        margin: 0 -0.6em 0 0;
+        border-radius: 50%;
+        box-sizing: border-box;
+        width: 0.55em;
+        height: 0.55em;
+      }
+      header h1 span#first-o::before {
+        border: 0.12em solid var(--cyan);
+        background: transparent;
+      }
+      header h1 span#second-o::before {
+        background: var(--cyan);
+      }
+      header h1::after {
+        content: '';
+        position: absolute;
+        margin: 0 0 0 0.25em;
+        width: 0.5em;
+        height: 0.5em;
+        background: url('/vanilla-to-do-list/img/javascript.svg') no-repeat;
+      }
+      header h2 {
+        margin: 0 0 1em 0;
+      }
+      section.trash ul {
+        padding: 0;
+        text-align: start;
+        list-style: none;
+      }
+      section.trash ul.trash > li {
+        position: relative;
+        padding: 0.5em 8em 0.5em 0.5em;
+      }
+      section.trash ul.trash > li:hover {
+        background: var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+      }
+      section.trash span.name {
+        word-break: break-all;
+      }
+      section.trash li.to-do-list span.name {
+        font-weight: bold;
+      }
+      section.trash li.done span.name {
+        text-decoration: line-through;
+        color: var(--gray);
+      }
+      section.trash span.details {
+        display: block;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.trash span.actions {
+        position: absolute;
+        top: 0.5em;
+        right: 0.5em;
+      }
+      section.trash button,
+      footer button {
+        all: unset;
+        margin: 0 0 0 0.5em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      section.trash button:hover,
+      footer button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      section.trash p {
+        color: var(--gray);
+      }
+      footer {
+        margin: 1em 0 3em 0;
+      }
+      footer span#count {
+        position: relative;
+        float: left;
+        color: var(--gray);
+      }
+      footer button#empty,
+      footer span#confirmation {
+        position: relative;
+        float: right;
+      }
+      footer div#retention {
+        clear: both;
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      footer div#retention select {
+        margin: 0 0 0 0.25em;
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: none;
+      }
+    `;
+    this.template = `
+      <header>
+        <h1>t<span id="first-o">o</span>-d<span id="second-o">o</span> trash</h1>
+        <h2>Restore deleted to-do lists and items</h2>
+      </header>
+      <section class="trash"></section>
+      <hr>
+      <footer>
+        <span id="count"></span>
+        <button id="empty" class="hidden" title="Click to permanently delete everything in the trash">Empty trash</button>
+        <span id="confirmation" class="hidden">
+          Sure?
+          <button id="yes" title="Click to confirm">Yes</button>
+          <button id="no" title="Click to reject">No</button>
+        </span>
+        <div id="retention">
+          Purge automatically
+          <select title="Select when to permanently delete what's in the trash"></select>
+        </div>
+      </footer>
+    `;
+    this.nodeStyle = this.#createElement('style');
+    this.nodeStyle.innerHTML = this.style;
+    this.nodeSectionContainer = this.#createElement('section', 'container');
+    this.nodeSectionContainer.innerHTML = this.template;
+    this.nodeEmptyTrash = this.nodeSectionContainer.querySelector('footer button#empty');
+    this.nodeConfirmation = this.nodeSectionContainer.querySelector('footer span#confirmation');
+    this.nodeRetention = this.nodeSectionContainer.querySelector('footer div#retention select');
+    retentionPeriods.forEach(retentionDays => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = retentionDays ?? '';
+      nodeOption.textContent = formatRetentionPeriod(retentionDays);
+      this.nodeRetention.append(nodeOption);
+    });
+  }
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Method to render the trash.
+   * @param {object} trash - The trash containing the trash entries and the number of days to keep them.
+   */
+  render(trash) {
+    const nodeSectionTrash = this.nodeSectionContainer.querySelector('section.trash');
+    nodeSectionTrash.replaceChildren();
+    const today = toDateString(new Date());
+    if (trash.entries.length === 0) {
+      const nodeEmpty = this.#createElement('p');
+      nodeEmpty.textContent = 'The trash is empty.';
+      nodeSectionTrash.append(nodeEmpty);
+    } else {
+      const nodeTrash = this.#createElement('ul', 'trash');
+      nodeSectionTrash.append(nodeTrash);
+      trash.entries.forEach(trashEntry => {
+        const nodeTrashEntry = this.#createElement('li');
+        nodeTrashEntry.id = trashEntry.id;
+        const nodeTrashEntryName = this.#createElement('span', 'name');
+        const nodeTrashEntryDetails = this.#createElement('span', 'details');
+        const deleted = formatDue(toDateString(new Date(trashEntry.deleted)), today);
+        if (trashEntry.type === 'toDoList') {
+          const countToDoListItems = trashEntry.toDoList.items.length;
+          nodeTrashEntry.classList.add('to-do-list', trashEntry.toDoList.done === false ? 'pending' : 'done');
+          nodeTrashEntryName.textContent = trashEntry.toDoList.name;
+          nodeTrashEntryDetails.textContent = `List with ${countToDoListItems} ${countToDoListItems === 1 ? 'item' : 'items'}, deleted ${deleted}`;
+        } else {
+          const [toDoListItem, ...subtasks] = trashEntry.toDoListItems;
+          nodeTrashEntry.classList.add('to-do-list-item', toDoListItem.done === false ? 'pending' : 'done');
+          nodeTrashEntryName.textContent = toDoListItem.text;
+          const countSubtasks = subtasks.length > 0 ? ` with ${subtasks.length} ${subtasks.length === 1 ? 'subtask' : 'subtasks'}` : '';
+          nodeTrashEntryDetails.textContent = `Item${countSubtasks} from "${trashEntry.origin.toDoListName}", deleted ${deleted}`;
+        }
+        nodeTrashEntryDetails.title = new Date(trashEntry.deleted).toLocaleString();
+        const nodeTrashEntryActions = this.#createElement('span', 'actions');
+        const nodeTrashEntryRestore = this.#createElement('button', 'restore');
+        nodeTrashEntryRestore.textContent = 'Restore';
+        nodeTrashEntryRestore.title = 'Click to restore to where it was deleted from';
+        const nodeTrashEntryPurge = this.#createElement('button', 'purge');
+        nodeTrashEntryPurge.textContent = 'Purge';
+        nodeTrashEntryPurge.title = 'Click to delete permanently';
+        nodeTrashEntryActions.append(nodeTrashEntryRestore, nodeTrashEntryPurge);
+        nodeTrashEntry.append(nodeTrashEntryName, nodeTrashEntryDetails, nodeTrashEntryActions);
+        nodeTrash.append(nodeTrashEntry);
+      });
+    }
+    const countTrashEntries = trash.entries.length;
+    this.nodeSectionContainer.querySelector('footer span#count').textContent = `${countTrashEntries} ${countTrashEntries === 1 ? 'entry' : 'entries'}`;
+    this.nodeEmptyTrash.classList.toggle('hidden', countTrashEntries === 0 || !this.nodeConfirmation.classList.contains('hidden'));
+    this.nodeRetention.value = trash.retentionDays ?? '';
+  }
+  /**
+   * Method to bind event handlers to restore trash entries.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindRestoreTrashEntry(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('section.trash button.restore').forEach(nodeTrashEntryRestore => {
+      nodeTrashEntryRestore.addEventListener('click', () => {
+        eventHandler(nodeTrashEntryRestore.closest('li').id);
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to purge trash entries.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindPurgeTrashEntry(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('section.trash button.purge').forEach(nodeTrashEntryPurge => {
+      nodeTrashEntryPurge.addEventListener('click', () => {
+        eventHandler([nodeTrashEntryPurge.closest('li').id]);
+      });
+    });
+  }
+  /**
+   * Method to bind an event handler to empty the whole trash after a confirmation.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindEmptyTrash(eventHandler) {
+    this.nodeEmptyTrash.addEventListener('click', () => {
+      this.nodeEmptyTrash.classList.add('hidden');
+      this.nodeConfirmation.classList.remove('hidden');
+    });
+    this.nodeConfirmation.querySelector('button#yes').addEventListener('click', () => {
+      this.nodeConfirmation.classList.add('hidden');
+      eventHandler(null);
+    });
+    this.nodeConfirmation.querySelector('button#no').addEventListener('click', () => {
+      this.nodeConfirmation.classList.add('hidden');
+      this.nodeEmptyTrash.classList.remove('hidden');
+    });
+  }
+  /**
+   * Method to bind an event handler to update the number of days to keep trash entries.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindUpdateTrashRetention(eventHandler) {
+    this.nodeRetention.addEventListener('change', event => {
+      eventHandler(event.target.value !== '' ? +event.target.value : null);
+    });
+  }
+}
+
+/**
+ * Class representing a link between the trash's dynamic data structure (model) and its visual representation (view).
+ */
+class VanillaToDoListTrashController {
+  /**
+   * Link the model and the view.
+   * @param {object} model - The trash's dynamic data structure.
+   * @param {object} view - The visual representation of the trash's dynamic data structure.
+   */
+  constructor(model, view) {
+    this.model = model;
+    this.view = view;
+    this.model.bindTrashChanged(this.onTrashChanged);
+    this.view.bindEmptyTrash(this.handlePurgeTrashEntries);
+    this.view.bindUpdateTrashRetention(this.handleUpdateTrashRetention);
+    // Render right away unless the shared store is still loading, as it notifies the model as soon as it's done.
+    if (this.model.loaded) {
+      this.onTrashChanged(this.model.trash);
+    }
+  }
+  /**
+   * Method for when the trash changed.
+   * @param {object} trash - The changed trash.
+   */
+  onTrashChanged = trash => {
+    this.view.render(trash);
+    this.view.bindRestoreTrashEntry(this.handleRestoreTrashEntry);
+    this.view.bindPurgeTrashEntry(this.handlePurgeTrashEntries);
+  };
+  /**
+   * Method to handle the restore a trash entry event.
+   */
+  handleRestoreTrashEntry = id => {
+    this.model.restoreTrashEntry(id);
+  };
+  /**
+   * Method to handle the purge trash entries event.
+   */
+  handlePurgeTrashEntries = ids => {
+    this.model.purgeTrashEntries(ids);
+  };
+  /**
+   * Method to handle the update the trash's retention period event.
+   */
+  handleUpdateTrashRetention = retentionDays => {
+    this.model.updateTrashRetention(retentionDays);
+  };
+}
+
+/**
+ * Class representing a custom element to insert the trash of deleted to-do lists and to-do list items to the document.
+ * @extends HTMLElement
+ */
+class VanillaToDoListTrash extends HTMLElement {
+  /**
+   * Create the custom element and attach its visual representation to the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.application = new VanillaToDoListTrashController(new VanillaToDoListTrashModel(), new VanillaToDoListTrashView());
+    const shadowRoot = this.attachShadow({mode: 'open'});
+    shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
+  }
+  connectedCallback() {
+    // Subscribe to the shared store.
+    this.application.model.connect();
+  }
+  disconnectedCallback() {
+    // Unsubscribe from the shared store.
+    this.application.model.disconnect();
+  }
+}
+
+/**
+ * Register a new custom element to eventually be able to insert the trash of deleted to-do lists and to-do list items to the document.
+ */
+customElements.define('vanilla-to-do-list-trash', VanillaToDoListTrash);
\ No newline at end of file
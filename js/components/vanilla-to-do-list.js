@@ -1,24 +1,86 @@
+/**
+ * Import subcomponent for the keyboard shortcuts overlay.
+ */
+import './vanilla-to-do-list-shortcuts.js';
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+/**
+ * Import the router shared by all components.
+ */
+import {router} from '../router.js';
+/**
+ * Import the registry of keyboard shortcuts shared by all components.
+ */
+import {shortcuts} from '../shortcuts.js';
+/**
+ * Import functions to export a to-do list.
+ */
+import {toMarkdown, toCsv, toFileName} from '../export.js';
+/**
+ * Import functions to handle to-do list items' due dates.
+ */
+import {toDateString, getDueStatus, formatDue} from '../due.js';
+/**
+ * Import functions to handle to-do list items' priorities.
+ */
+import {priorities, getPriority, sortToDoListItems} from '../priority.js';
+/**
+ * Import functions to handle to-do list items' tags and the filters.
+ */
+import {normalizeTag, parseTags, getTags, collectTags, hasTag, parseFilterHash, toFilterHash} from '../tags.js';
+/**
+ * Import functions to handle to-do list items' subtasks.
+ */
+import {toToDoListItemTree, countToDoListItems, formatProgress} from '../subtasks.js';
+/**
+ * Import functions to handle recurring to-do list items.
+ */
+import {frequencies, weekdayNames, formatRecurrence} from '../recurrence.js';
+/**
+ * Import functions to handle to-do list items' notes.
+ */
+import {getNotes, hasNotes, normalizeNotes, parseMarkdown} from '../notes.js';
+/**
+ * Import a function to create IDs.
+ */
+import {createId} from '../id.js';
+
 /**
  * Class representing the to-do list's dynamic data structure.
  */
 class VanillaToDoListModel {
   /**
-   * Retrieve a to-do list object from local storage if available.
+   * Retrieve a to-do list object from the shared store if available.
    * @param {string} id - The to-do list's ID.
+   * @param {string} linkedToDoListItemId - The ID of a to-do list item linked to directly, which is revealed once rendered, or null.
    */
-  constructor(id) {
-    this.toDoListId = +id;
-    this.toDoList = {};
-    // Retrieve a to-do lists array from local storage if available or create an empty one.
-    this.toDoLists = JSON.parse(localStorage.getItem('toDoLists')) || [];
-    if (this.toDoLists.length > 0) {
-      // Within the to-do lists array find the to-do list associated with the passed ID.
-      this.toDoList = this.toDoLists.find(toDoList => {
-        return toDoList.id === this.toDoListId;
-      }) || {};
-    }
-    // In case there are no to-do list items assign an empty array.
-    this.toDoList.items = this.toDoList.items || [];
+  constructor(id, linkedToDoListItemId = null) {
+    this.toDoListId = id;
+    this.linkedToDoListItemId = linkedToDoListItemId;
+    this.toDoLists = store.toDoLists;
+    this.toDoList = this.#select(this.toDoLists);
+  }
+  /**
+   * Method to get whether the shared store finished loading the to-do lists.
+   */
+  get loaded() {
+    return store.loaded;
+  }
+  /**
+   * Method to get the tags used in any to-do list.
+   */
+  get tags() {
+    return collectTags(this.toDoLists);
+  }
+  /**
+   * Method to get the other to-do lists, which to-do list items can be moved or copied to.
+   */
+  get otherToDoLists() {
+    return this.toDoLists.filter(toDoList => toDoList.id !== this.toDoListId).map(toDoList => {
+      return {id: toDoList.id, name: toDoList.name};
+    });
   }
   /**
    * Method to bind a callback for when the to-do list changed.
@@ -28,108 +90,256 @@ class VanillaToDoListModel {
     this.onToDoListChanged = callback;
   }
   /**
-   * Private method to store changed to-do list to local storage.
-   * @param {object} toDoListChanged - The changed to-do list to store.
+   * Method to subscribe to the shared store to update the view whenever the to-do list changed.
    */
-  #store(toDoListChanged) {
-    this.toDoLists = this.toDoLists.map(toDoList => {
-      if (toDoList.id === this.toDoListId) {
-        const toDoListDateLastUpdated = new Date();
-        toDoList.lastUpdated = toDoListDateLastUpdated.toJSON();
-        toDoList.items = toDoListChanged.items;
-      }
-      return toDoList;
-    });
-    localStorage.setItem('toDoLists', JSON.stringify(this.toDoLists));
+  connect() {
+    this.unsubscribe = store.subscribe(this.#handleToDoListsChanged);
+    // Catch up with changes applied while not being subscribed.
+    if (this.toDoLists !== store.toDoLists) {
+      this.#handleToDoListsChanged(store.toDoLists);
+    }
+  }
+  /**
+   * Method to unsubscribe from the shared store.
+   */
+  disconnect() {
+    this.unsubscribe();
+  }
+  /**
+   * Private method to handle changed to-do lists of the shared store.
+   * @param {array} toDoLists - The changed to-do lists.
+   * @param {object} change - An optional object describing the change.
+   */
+  #handleToDoListsChanged = (toDoLists, change) => {
+    this.toDoLists = toDoLists;
+    this.toDoList = this.#select(this.toDoLists);
+    this.#updateView(this.toDoList, change);
+  };
+  /**
+   * Private method to select the to-do list associated with the model's ID.
+   * @param {array} toDoLists - The to-do lists to select from.
+   */
+  #select(toDoLists) {
+    // Within the to-do lists array find the to-do list associated with the passed ID, while a missing to-do list has no items.
+    return toDoLists.find(toDoList => {
+      return toDoList.id === this.toDoListId;
+    }) || {items: []};
   }
   /**
    * Private method to update the view.
    * @param {object} toDoList - The to-do list to display.
+   * @param {object} change - An optional object describing the change.
    */
-  #updateView(toDoList) {
-    this.onToDoListChanged(toDoList);
+  #updateView(toDoList, change) {
+    this.onToDoListChanged(toDoList, change);
   }
   /**
    * Method to create a new to-do list item.
    * @param {string} toDoListItemText - The new to-do list item's text.
+   * @param {string} parentId - The ID of the to-do list item to create a subtask of or null to create a task.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
-  createToDoListItem(toDoListItemText) {
-    const toDoListItemDateCreated = new Date();
-    const toDoListItem = {
-      // Use the number of milliseconds since the ECMAScript epoch until the to-do list item's creation as the to-do list item's ID.
-      // As this number is unique (with a probability bordering on certainty) there is no need to determine the last assigned to-do list item's ID in order to increment it.
-      id: toDoListItemDateCreated.getTime(),
-      created: toDoListItemDateCreated.toJSON(),
-      lastUpdated: null,
-      text: toDoListItemText,
-      done: false
-    };
-    this.toDoList.items.push(toDoListItem);
-    this.#store(this.toDoList);
-    this.#updateView(this.toDoList);
+  createToDoListItem(toDoListItemText, parentId = null) {
+    return store.dispatch('createToDoListItem', this.toDoListId, toDoListItemText, parentId);
   }
   /**
    * Method to update a to-do list item.
-   * @param {number} id - The to-do list item's ID.
+   * @param {string} id - The to-do list item's ID.
    * @param {string} toDoListItemTextNew - The new to-do list item's text.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   updateToDoListItem(id, toDoListItemTextNew) {
-    this.toDoList.items = this.toDoList.items.map(toDoListItem => {
-      if (toDoListItem.id === id) {
-        const toDoListItemDateLastUpdated = new Date();
-        toDoListItem.lastUpdated = toDoListItemDateLastUpdated.toJSON();
-        toDoListItem.text = toDoListItemTextNew;
-      }
-      return toDoListItem;
-    });
-    this.#store(this.toDoList);
-    this.#updateView(this.toDoList);
+    return store.dispatch('updateToDoListItem', this.toDoListId, id, toDoListItemTextNew);
+  }
+  /**
+   * Method to update a to-do list item's due date.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} due - The new due date as local date string (YYYY-MM-DD) or null to remove the due date.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListItemDue(id, due) {
+    return store.dispatch('updateToDoListItemDue', this.toDoListId, id, due);
+  }
+  /**
+   * Method to update a to-do list item's priority.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} priority - The new priority, either "low", "normal", "high" or "urgent".
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListItemPriority(id, priority) {
+    return store.dispatch('updateToDoListItemPriority', this.toDoListId, id, priority);
+  }
+  /**
+   * Method to update a to-do list item's tags.
+   * @param {string} id - The to-do list item's ID.
+   * @param {array} tags - The new normalized tags.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListItemTags(id, tags) {
+    return store.dispatch('updateToDoListItemTags', this.toDoListId, id, tags);
+  }
+  /**
+   * Method to update a to-do list item's recurrence rule.
+   * @param {string} id - The to-do list item's ID.
+   * @param {object} recurrence - The new recurrence rule or null to stop the to-do list item from recurring.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListItemRecurrence(id, recurrence) {
+    return store.dispatch('updateToDoListItemRecurrence', this.toDoListId, id, recurrence);
+  }
+  /**
+   * Method to update a to-do list item's notes.
+   * @param {string} id - The to-do list item's ID.
+   * @param {string} notes - The new notes written in Markdown, which are empty to remove the notes.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListItemNotes(id, notes) {
+    return store.dispatch('updateToDoListItemNotes', this.toDoListId, id, notes);
+  }
+  /**
+   * Method to move a to-do list item before or after another one.
+   * @param {string} id - The ID of the to-do list item to move.
+   * @param {string} targetId - The ID of the to-do list item to move the to-do list item next to.
+   * @param {string} placement - Either "before" or "after".
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  moveToDoListItem(id, targetId, placement) {
+    return store.dispatch('moveToDoListItem', this.toDoListId, id, targetId, placement);
+  }
+  /**
+   * Method to update the order to sort the to-do list's items by.
+   * @param {string} sortBy - Either "priority" or null to keep the items' order.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListSort(sortBy) {
+    return store.dispatch('updateToDoListSort', this.toDoListId, sortBy);
   }
   /**
    * Method to delete a to-do list item.
-   * @param {number} id - The to-do list item's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   deleteToDoListItem(id) {
-    this.toDoList.items = this.toDoList.items.filter(toDoListItem => {
-      return toDoListItem.id !== id;
-    });
-    this.#store(this.toDoList);
-    this.#updateView(this.toDoList);
+    return store.dispatch('deleteToDoListItem', this.toDoListId, id);
   }
   /**
    * Method to toggle a to-do list item.
-   * @param {number} id - The to-do list item's ID.
+   * @param {string} id - The to-do list item's ID.
+   * @param {boolean} completeSubtasks - Whether to mark the to-do list item's subtasks as done as well when marking it as done.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
-  toggleToDoListItem(id) {
-    this.toDoList.items = this.toDoList.items.map(toDoListItem => {
-      if (toDoListItem.id === id) {
-        toDoListItem.done = !toDoListItem.done;
-      }
-      return toDoListItem;
-    });
-    this.#store(this.toDoList);
-    this.#updateView(this.toDoList);
+  toggleToDoListItem(id, completeSubtasks = false) {
+    return store.dispatch('toggleToDoListItem', this.toDoListId, id, completeSubtasks);
+  }
+  /**
+   * Method to mark several to-do list items as done or pending.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {boolean} done - Whether to mark the to-do list items as done.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListItemsDone(ids, done) {
+    return store.dispatch('updateToDoListItemsDone', this.toDoListId, ids, done);
+  }
+  /**
+   * Method to delete several to-do list items.
+   * @param {array} ids - The to-do list items' IDs.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  deleteToDoListItems(ids) {
+    return store.dispatch('deleteToDoListItems', this.toDoListId, ids);
+  }
+  /**
+   * Method to move several to-do list items to the top or the bottom.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} position - Either "top" or "bottom".
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  moveToDoListItems(ids, position) {
+    return store.dispatch('moveToDoListItems', this.toDoListId, ids, position);
+  }
+  /**
+   * Method to move several to-do list items to another to-do list.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} targetToDoListId - The ID of the to-do list to move the to-do list items to.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  moveToDoListItemsToToDoList(ids, targetToDoListId) {
+    return store.dispatch('moveToDoListItemsToToDoList', this.toDoListId, ids, targetToDoListId);
+  }
+  /**
+   * Method to copy several to-do list items to another to-do list.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} targetToDoListId - The ID of the to-do list to copy the to-do list items to.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  copyToDoListItemsToToDoList(ids, targetToDoListId) {
+    return store.dispatch('copyToDoListItemsToToDoList', this.toDoListId, ids, targetToDoListId);
+  }
+  /**
+   * Method to tag several to-do list items.
+   * @param {array} ids - The to-do list items' IDs.
+   * @param {string} tag - The normalized tag.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  tagToDoListItems(ids, tag) {
+    return store.dispatch('tagToDoListItems', this.toDoListId, ids, tag);
   }
   /**
    * Method to toggle all to-do list items.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   toggleAllToDoListItems() {
-    this.toDoList.items = this.toDoList.items.map(toDoListItem => {
-      toDoListItem.done = !toDoListItem.done;
-      return toDoListItem;
-    });
-    this.#store(this.toDoList);
-    this.#updateView(this.toDoList);
+    return store.dispatch('toggleAllToDoListItems', this.toDoListId);
   }
   /**
    * Method to clear (delete all done) to-do list (items).
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   clearToDoList() {
-    this.toDoList.items = this.toDoList.items.filter(toDoListItem => {
-      return toDoListItem.done === false;
-    });
-    this.#store(this.toDoList);
-    this.#updateView(this.toDoList);
+    return store.dispatch('clearToDoList', this.toDoListId);
+  }
+  /**
+   * Method to duplicate the to-do list.
+   * @param {boolean} resetItems - Whether to reset all of the copy's items to pending.
+   * @returns {Promise} A promise resolved with the copy's ID when the changed to-do lists are stored.
+   */
+  async duplicateToDoList(resetItems) {
+    const duplicateId = createId();
+    await store.dispatch('duplicateToDoList', this.toDoListId, resetItems, duplicateId);
+    return duplicateId;
+  }
+  /**
+   * Method to save the to-do list as template.
+   * @returns {Promise} A promise resolved when the templates are stored.
+   */
+  saveTemplate() {
+    return store.saveTemplate(this.toDoListId);
+  }
+  /**
+   * Method to get whether there is a change of this to-do list to undo.
+   */
+  get canUndo() {
+    return store.canUndo(this.toDoListId);
+  }
+  /**
+   * Method to get whether there is a change of this to-do list to redo.
+   */
+  get canRedo() {
+    return store.canRedo(this.toDoListId);
+  }
+  /**
+   * Method to undo the latest change of this to-do list.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  undo() {
+    return store.undo(this.toDoListId);
+  }
+  /**
+   * Method to redo the latest undone change of this to-do list.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  redo() {
+    return store.redo(this.toDoListId);
   }
 }
 
@@ -149,6 +359,8 @@ class VanillaToDoListView {
         --cyan-three-quarter-transparent: rgba(0, 157, 224, 0.25);
         --gray: rgba(128, 128, 128, 1.0);
         --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        --orange: rgba(224, 134, 0, 1.0);
+        --red: rgba(224, 40, 0, 1.0);
         --short: ${this.short}ms;
         --long: ${this.long}ms;
         font-family: 'Montserrat', sans-serif;
@@ -202,6 +414,26 @@ class VanillaToDoListView {
         background: linear-gradient(to right, transparent 0, currentcolor 0) no-repeat right center / 100% 0.1em;
         color: var(--gray);
       }
+      header span#history {
+        display: block;
+        margin: 0.25em 0 0 0;
+        text-align: end;
+      }
+      header span#history button {
+        all: unset;
+        cursor: pointer;
+        font-size: 0.8em;
+        color: var(--cyan);
+      }
+      header span#history button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      header span#history button:disabled {
+        cursor: default;
+        text-decoration: none;
+        color: var(--gray-semi-transparent);
+      }
       header button#toggle-all {
         all: unset;
         position: relative;
@@ -260,6 +492,14 @@ class VanillaToDoListView {
         text-align: start;
         list-style: none;
       }
+      section.to-do-list p.not-found a {
+        text-decoration: none;
+        color: var(--cyan);
+      }
+      section.to-do-list p.not-found a:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
       section.to-do-list ul.to-do-list li {
         position: relative;
         transition: opacity var(--long) ease-in-out, outline-color var(--short) ease-in-out;
@@ -270,7 +510,19 @@ class VanillaToDoListView {
       section.to-do-list ul.to-do-list li:hover {
         outline: var(--gray-semi-transparent) dashed 0.1em;
       }
-      section.to-do-list ul.to-do-list li input[type=checkbox].select {
+      section.to-do-list ul.to-do-list li[draggable=true] {
+        cursor: grab;
+      }
+      section.to-do-list ul.to-do-list li.dragging {
+        opacity: 0.5;
+      }
+      section.to-do-list ul.to-do-list li.drop-before {
+        box-shadow: inset 0 0.15em 0 var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li.drop-after {
+        box-shadow: inset 0 -0.15em 0 var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li > input[type=checkbox].select {
         appearance: none;
         position: relative;
         bottom: 0.1em;
@@ -280,26 +532,36 @@ class VanillaToDoListView {
         font-size: inherit;
         vertical-align: middle;
       }
-      section.to-do-list ul.to-do-list li.pending input[type=checkbox].select,
-      section.to-do-list ul.to-do-list li.done input[type=checkbox].select {
+      section.to-do-list ul.to-do-list li.pending > input[type=checkbox].select,
+      section.to-do-list ul.to-do-list li.done > input[type=checkbox].select {
         display: inline-block;
         border-radius: 50%;
         box-sizing: border-box;
         width: 1em;
         height: 1em;
       }
-      section.to-do-list ul.to-do-list li.pending input[type=checkbox].select {
+      section.to-do-list ul.to-do-list li.pending > input[type=checkbox].select {
         border: 0.2em solid var(--cyan);
         background: transparent;
       }
-      section.to-do-list ul.to-do-list li.done input[type=checkbox].select {
+      section.to-do-list ul.to-do-list li.done > input[type=checkbox].select {
         border: 0.5em solid var(--cyan);
         background: var(--cyan);
       }
       section.to-do-list ul.to-do-list li.hide {
         opacity: 0;
       }
-      section.to-do-list ul.to-do-list li label.text {
+      section.to-do-list.selecting ul.to-do-list li {
+        cursor: pointer;
+      }
+      section.to-do-list.selecting ul.to-do-list li > input[type=checkbox].select {
+        border-radius: 0.2em;
+      }
+      section.to-do-list ul.to-do-list li.selected > label.text {
+        border-radius: 0.25em;
+        background-color: var(--cyan-three-quarter-transparent);
+      }
+      section.to-do-list ul.to-do-list li > label.text {
         --strikethrough: 0;
         transition: background-size var(--long) ease-in-out, color var(--long) ease-in-out;
         background: linear-gradient(to right, transparent 0, currentcolor 0) no-repeat right center / calc(var(--strikethrough) * 100%) 0.1em;
@@ -307,11 +569,11 @@ class VanillaToDoListView {
         cursor: text;
         word-break: break-all;
       }
-      section.to-do-list ul.to-do-list li.done label.text {
+      section.to-do-list ul.to-do-list li.done > label.text {
         --strikethrough: 1;
         color: var(--gray);
       }
-      section.to-do-list ul.to-do-list li button.delete {
+      section.to-do-list ul.to-do-list li > button.delete {
         all: unset;
         position: absolute;
         bottom: 0.6em;
@@ -325,8 +587,8 @@ class VanillaToDoListView {
         height: 1em;
         cursor: pointer;
       }
-      section.to-do-list ul.to-do-list li button.delete::before,
-      section.to-do-list ul.to-do-list li button.delete::after {
+      section.to-do-list ul.to-do-list li > button.delete::before,
+      section.to-do-list ul.to-do-list li > button.delete::after {
         content: '';
         position: absolute;
         border-radius: 0.1em;
@@ -334,108 +596,708 @@ class VanillaToDoListView {
         height: 1em;
         background: var(--cyan);
       }
-      section.to-do-list ul.to-do-list li button.delete::before {
+      section.to-do-list ul.to-do-list li > button.delete::before {
         transform: rotate(45deg);
       }
-      section.to-do-list ul.to-do-list li button.delete::after {
+      section.to-do-list ul.to-do-list li > button.delete::after {
         transform: rotate(-45deg);
       }
-      section.to-do-list ul.to-do-list li:hover button.delete {
+      section.to-do-list ul.to-do-list li:hover > button.delete {
         opacity: 1;
       }
-      section.to-do-list ul.to-do-list li input[type=text] {
+      section.to-do-list ul.to-do-list li > input[type=text] {
         width: calc(100% - 1.5em);
       }
-      footer {
-        margin: 1em 0 3em 0;
+      section.to-do-list ul.to-do-list li > button.due {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 1.5em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        border: 0.15em solid var(--cyan);
+        border-top-width: 0.3em;
+        border-radius: 0.15em;
+        box-sizing: border-box;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
       }
-      footer span#count {
-        position: relative;
-        float: left;
+      section.to-do-list ul.to-do-list li:hover > button.due {
         opacity: 1;
-        transition: opacity var(--long) ease-in-out;
-        padding: 0;
+      }
+      section.to-do-list ul.to-do-list li > button.due.set {
+        position: static;
+        opacity: 1;
+        margin: 0 0 0 0.5em;
+        border: none;
+        border-radius: 0.25em;
+        width: auto;
+        height: auto;
+        padding: 0 0.25em;
+        font-size: 0.8em;
         color: var(--gray);
+        outline: var(--gray-semi-transparent) solid 0.1em;
       }
-      footer span#count.hide {
-        opacity: 0;
+      section.to-do-list ul.to-do-list li.due-today > button.due.set {
+        color: var(--orange);
+        outline-color: var(--orange);
       }
-      footer ul.filters {
+      section.to-do-list ul.to-do-list li.overdue > button.due.set {
+        color: var(--red);
+        outline-color: var(--red);
+      }
+      section.to-do-list ul.to-do-list li.overdue > label.text {
+        color: var(--red);
+      }
+      section.to-do-list ul.to-do-list li > button.priority {
+        all: unset;
         position: absolute;
-        left: 0;
-        right: 0;
-        margin: 0;
-        padding: 0;
-        list-style: none;
+        bottom: 0.6em;
+        right: 3em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
+        color: var(--cyan);
       }
-      footer ul.filters li {
-        display: inline;
+      section.to-do-list ul.to-do-list li:hover > button.priority {
+        opacity: 1;
       }
-      footer ul.filters li a:hover {
-        outline: var(--gray-semi-transparent) solid 0.1em;
+      section.to-do-list ul.to-do-list li > button.priority.set {
+        position: static;
+        opacity: 1;
+        margin: 0 0 0 0.5em;
         border-radius: 0.25em;
+        width: auto;
+        height: auto;
+        padding: 0 0.25em;
+        font-size: 0.8em;
+        font-weight: normal;
+        line-height: inherit;
+        color: white;
+        background: var(--gray);
       }
-      footer a {
-        padding: 0.1em 0.2em;
-        cursor: pointer;
+      section.to-do-list ul.to-do-list li > button.priority.high {
+        background: var(--orange);
+      }
+      section.to-do-list ul.to-do-list li > button.priority.urgent {
+        background: var(--red);
+      }
+      section.to-do-list ul.to-do-list li.done > button.priority.set {
+        background: var(--gray-semi-transparent);
+      }
+      section.to-do-list ul.to-do-list li > select.priority {
+        margin: 0 0 0 0.5em;
+        border: 0.15em solid var(--cyan);
+        border-radius: 0.5em;
+        font-family: inherit;
+        outline: none;
+      }
+      section.to-do-list ul.to-do-list li > a.tag {
+        margin: 0 0 0 0.5em;
+        border-radius: 0.25em;
+        padding: 0 0.25em;
+        font-size: 0.8em;
         text-decoration: none;
         color: var(--cyan);
+        background: var(--cyan-three-quarter-transparent);
       }
-      footer a.selected {
-        outline: var(--gray) solid 0.1em;
-        border-radius: 0.25em;
+      section.to-do-list ul.to-do-list li > a.tag:hover {
+        outline: var(--cyan) solid 0.1em;
       }
-      footer button#clear,
-      footer button#yes,
-      footer button#no {
+      section.to-do-list ul.to-do-list li.done > a.tag {
+        color: var(--gray);
+        background: transparent;
+        outline: var(--gray-semi-transparent) solid 0.1em;
+      }
+      section.to-do-list ul.to-do-list li > button.tags {
         all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 4.5em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
         cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
         color: var(--cyan);
       }
-      footer button#clear,
-      footer span#confirmation {
-        position: relative;
-        float: right;
+      section.to-do-list ul.to-do-list li:hover > button.tags {
         opacity: 1;
-        transition: opacity var(--long) ease-in-out;
-        padding: 0;
       }
-      footer button#clear:hover,
-      footer button#yes:hover,
-      footer button#no:hover {
-        text-decoration: underline;
-        text-decoration-color: var(--gray-semi-transparent);
+      section.to-do-list ul.to-do-list li > input[type=text].tags {
+        display: block;
+        margin: 0.5em 0 0 0;
       }
-      footer button#clear.hide {
+      section.to-do-list ul.to-do-list li > button.recurrence {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 7.5em;
         opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
+        color: var(--cyan);
       }
-      footer button#clear.hidden {
-        display: none;
+      section.to-do-list ul.to-do-list li:hover > button.recurrence {
+        opacity: 1;
       }
-    `;
-    this.template = `
-      <header>
-        <h1>t<span id="first-o">o</span>-d<span id="second-o">o</span> list</h1>
-        <h2 class="hidden"></h2>
-        <button id="toggle-all" class="hide" title="Click to toggle all"></button>
-        <input type="text" placeholder="What do you have to do?">
-      </header>
-      <section class="to-do-list"></section>
-      <hr class="hidden">
-      <footer class="hidden">
-        <span id="count" class="hide hidden"></span>
+      section.to-do-list ul.to-do-list li > button.recurrence.set {
+        position: static;
+        opacity: 1;
+        margin: 0 0 0 0.5em;
+        border-radius: 0.25em;
+        width: auto;
+        height: auto;
+        padding: 0 0.25em;
+        font-size: 0.8em;
+        font-weight: normal;
+        line-height: inherit;
+        color: var(--gray);
+        outline: var(--gray-semi-transparent) solid 0.1em;
+      }
+      section.to-do-list ul.to-do-list li > span.recurrence {
+        display: block;
+        margin: 0.5em 0 0 1.5em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li > span.recurrence select,
+      section.to-do-list ul.to-do-list li > span.recurrence input[type=number] {
+        border: 0.15em solid var(--cyan);
+        border-radius: 0.5em;
+        font-family: inherit;
+        outline: none;
+      }
+      section.to-do-list ul.to-do-list li > span.recurrence input[type=number] {
+        margin: 0 0 0 0.5em;
+        width: 3em;
+      }
+      section.to-do-list ul.to-do-list li > span.recurrence label {
+        margin: 0 0 0 0.5em;
+        white-space: nowrap;
+      }
+      section.to-do-list ul.to-do-list li > button.transfer {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 9em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li:hover > button.transfer {
+        opacity: 1;
+      }
+      section.to-do-list ul.to-do-list li > button.transfer.hidden {
+        display: none;
+      }
+      section.to-do-list ul.to-do-list li > span.transfer {
+        display: block;
+        margin: 0.5em 0 0 1.5em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li > span.transfer select {
+        margin: 0 0.25em;
+        border: 0.15em solid var(--cyan);
+        border-radius: 0.5em;
+        font-family: inherit;
+        outline: none;
+      }
+      section.to-do-list ul.to-do-list li > span.transfer button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li > span.transfer button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      section.to-do-list ul.to-do-list li > button.notes {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 10.5em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li:hover > button.notes {
+        opacity: 1;
+      }
+      section.to-do-list ul.to-do-list li > button.notes.set {
+        position: static;
+        opacity: 1;
+        margin: 0 0 0 0.5em;
+        border-radius: 0.25em;
+        width: auto;
+        height: auto;
+        padding: 0 0.25em;
+        font-size: 0.8em;
+        font-weight: normal;
+        line-height: inherit;
+        color: var(--gray);
+        outline: var(--gray-semi-transparent) solid 0.1em;
+      }
+      section.to-do-list ul.to-do-list li.expanded > button.notes.set {
+        color: var(--cyan);
+        outline-color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li > button.copy-link {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 12em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li:hover > button.copy-link,
+      section.to-do-list ul.to-do-list li > button.copy-link.copied {
+        opacity: 1;
+      }
+      section.to-do-list ul.to-do-list li.highlighted {
+        animation: highlight 3s ease-in-out;
+      }
+      @keyframes highlight {
+        from {
+          background: var(--cyan-three-quarter-transparent);
+        }
+        to {
+          background: transparent;
+        }
+      }
+      section.to-do-list ul.to-do-list li > div.notes {
+        margin: 0.5em 0 0 1.5em;
+        border-left: 0.15em solid var(--cyan-three-quarter-transparent);
+        padding: 0 0 0 0.75em;
+        font-size: 0.9em;
+        word-break: break-word;
+      }
+      section.to-do-list ul.to-do-list li.done > div.notes {
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li > div.notes p,
+      section.to-do-list ul.to-do-list li > div.notes pre {
+        margin: 0.25em 0;
+        white-space: pre-wrap;
+      }
+      section.to-do-list ul.to-do-list li > div.notes ul,
+      section.to-do-list ul.to-do-list li > div.notes ol {
+        margin: 0.25em 0;
+        padding: 0 0 0 1.5em;
+      }
+      section.to-do-list ul.to-do-list li > div.notes code {
+        border-radius: 0.25em;
+        padding: 0 0.25em;
+        background: var(--cyan-three-quarter-transparent);
+      }
+      section.to-do-list ul.to-do-list li > div.notes pre code {
+        display: block;
+        padding: 0.5em;
+        overflow: auto;
+      }
+      section.to-do-list ul.to-do-list li > div.notes a {
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li > div.notes button.edit-notes {
+        all: unset;
+        font-size: 0.9em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li > div.notes button.edit-notes:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      section.to-do-list ul.to-do-list li > div.notes textarea {
+        box-sizing: border-box;
+        border: 0.15em solid var(--cyan);
+        border-radius: 0.5em;
+        width: 100%;
+        min-height: 6em;
+        padding: 0.5em;
+        font-family: inherit;
+        font-size: inherit;
+        outline: none;
+        resize: vertical;
+      }
+      section.to-do-list ul.to-do-list ul.subtasks {
+        margin: 0.25em 0 0 0;
+        padding: 0 0 0 1.5em;
+        list-style: none;
+      }
+      section.to-do-list ul.to-do-list li.collapsed > ul.subtasks {
+        display: none;
+      }
+      section.to-do-list ul.to-do-list li > button.collapse {
+        all: unset;
+        position: absolute;
+        top: 0.5em;
+        left: -0.75em;
+        transition: transform var(--short) ease-in-out;
+        width: 1em;
+        cursor: pointer;
+        text-align: center;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li.collapsed > button.collapse {
+        transform: rotate(-90deg);
+      }
+      section.to-do-list ul.to-do-list li > span.progress {
+        margin: 0 0 0 0.5em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li > button.add-subtask {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 6em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        width: 1em;
+        height: 1em;
+        cursor: pointer;
+        font-weight: bold;
+        line-height: 1em;
+        text-align: center;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li:hover > button.add-subtask {
+        opacity: 1;
+      }
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.copy-link,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.notes,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.transfer,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.recurrence,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.add-subtask,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.tags,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.priority,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.due,
+      section.to-do-list ul.to-do-list li:is(.has-subtasks, .expanded) > button.delete {
+        top: 0.6em;
+        bottom: auto;
+      }
+      section.to-do-list ul.to-do-list li > input[type=text].subtask {
+        display: block;
+        margin: 0.5em 0 0 1.5em;
+      }
+      section.to-do-list ul.to-do-list li > span.confirmation {
+        display: block;
+        margin: 0.25em 0 0 1.5em;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      section.to-do-list ul.to-do-list li > span.confirmation button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      section.to-do-list ul.to-do-list li > span.confirmation button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      section.to-do-list ul.to-do-list li > input[type=date] {
+        margin: 0 0 0 0.5em;
+        border: 0.15em solid var(--cyan);
+        border-radius: 0.5em;
+        font-family: inherit;
+        outline: none;
+      }
+      div#bulk {
+        margin: 0.5em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      div#bulk.hidden {
+        display: none;
+      }
+      div#bulk span {
+        margin: 0 0 0 0.75em;
+      }
+      div#bulk span#selected-count {
+        margin: 0;
+      }
+      div#bulk button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      div#bulk button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      div#bulk button:disabled {
+        cursor: default;
+        text-decoration: none;
+        color: var(--gray-semi-transparent);
+      }
+      div#bulk input,
+      div#bulk select {
+        margin: 0 0 0 0.25em;
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        width: 6em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: none;
+      }
+      div#bulk input:focus,
+      div#bulk select:focus {
+        border-color: var(--cyan);
+      }
+      footer {
+        margin: 1em 0 3em 0;
+      }
+      footer span#count {
+        position: relative;
+        float: left;
+        opacity: 1;
+        transition: opacity var(--long) ease-in-out;
+        padding: 0;
+        color: var(--gray);
+      }
+      footer span#count.hide {
+        opacity: 0;
+      }
+      footer ul.filters {
+        position: absolute;
+        left: 0;
+        right: 0;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+      }
+      footer ul.filters li {
+        display: inline;
+      }
+      footer ul.filters li a:hover {
+        outline: var(--gray-semi-transparent) solid 0.1em;
+        border-radius: 0.25em;
+      }
+      footer a {
+        padding: 0.1em 0.2em;
+        cursor: pointer;
+        text-decoration: none;
+        color: var(--cyan);
+      }
+      footer a.selected {
+        outline: var(--gray) solid 0.1em;
+        border-radius: 0.25em;
+      }
+      footer button#clear,
+      footer button#yes,
+      footer button#no {
+        all: unset;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      footer button#clear,
+      footer span#confirmation {
+        position: relative;
+        float: right;
+        opacity: 1;
+        transition: opacity var(--long) ease-in-out;
+        padding: 0;
+      }
+      footer button#clear:hover,
+      footer button#yes:hover,
+      footer button#no:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      footer button#clear.hide {
+        opacity: 0;
+      }
+      footer button#clear.hidden {
+        display: none;
+      }
+      footer div#sort,
+      footer div#select {
+        clear: both;
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      footer div#sort button,
+      footer div#select button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        border-radius: 0.25em;
+        padding: 0 0.2em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      footer div#sort button.selected,
+      footer div#select button.selected {
+        outline: var(--gray) solid 0.1em;
+      }
+      footer div#tag-filter {
+        clear: both;
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      footer div#tag-filter select {
+        margin: 0 0 0 0.25em;
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: none;
+      }
+      footer div#tag-filter select:focus {
+        border-color: var(--cyan);
+      }
+      footer div#export,
+      footer div#copy {
+        clear: both;
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      footer div#export button,
+      footer div#copy button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      footer div#export button:hover,
+      footer div#copy button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+    `;
+    this.template = `
+      <header>
+        <h1>t<span id="first-o">o</span>-d<span id="second-o">o</span> list</h1>
+        <h2 class="hidden"></h2>
+        <span id="history">
+          <button id="undo" title="Click to undo (Ctrl+Z)" disabled>Undo</button>
+          <button id="redo" title="Click to redo (Ctrl+Shift+Z)" disabled>Redo</button>
+        </span>
+        <button id="toggle-all" class="hide" title="Click to toggle all"></button>
+        <input type="text" placeholder="What do you have to do?">
+      </header>
+      <section class="to-do-list"></section>
+      <div id="bulk" class="hidden">
+        <span id="selected-count"></span>
+        <button id="select-all" title="Click to select all items shown">all</button>
+        <button id="select-none" title="Click to deselect all items">none</button>
+        <span>
+          Mark as
+          <button id="bulk-done" title="Click to mark the selected items as done">done</button>
+          <button id="bulk-pending" title="Click to mark the selected items as pending">pending</button>
+        </span>
+        <span id="bulk-move">
+          Move to
+          <button id="bulk-top" title="Click to move the selected items to the top">top</button>
+          <button id="bulk-bottom" title="Click to move the selected items to the bottom">bottom</button>
+        </span>
+        <span>
+          Tag
+          <input type="text" placeholder="tag" list="tag-suggestions" title="Press Enter to tag the selected items">
+        </span>
+        <span id="bulk-transfer">
+          To list
+          <select title="Select the list to move or copy the selected items to"></select>
+          <button id="bulk-move-to" title="Click to move the selected items to the list">move</button>
+          <button id="bulk-copy-to" title="Click to copy the selected items to the list">copy</button>
+        </span>
+        <span>
+          <button id="bulk-delete" title="Click to move the selected items to the trash">delete</button>
+        </span>
+      </div>
+      <datalist id="tag-suggestions"></datalist>
+      <hr class="hidden">
+      <footer class="hidden">
+        <span id="count" class="hide hidden"></span>
         <ul class="filters">
           <li><a id="all" class="selected" href="#all">All</a></li>
           <li><a id="pending" href="#pending">Pending</a></li>
           <li><a id="done" href="#done">Done</a></li>
         </ul>
-        <button id="clear" class="hide hidden" title="Click to delete done">Clear</button>
+        <button id="clear" class="hide hidden" title="Click to move done to the trash">Clear</button>
         <span id="confirmation" class="hidden">
           Sure?
           <button id="yes" title="Click to confirm">Yes</button>
           <button id="no" title="Click to reject">No</button>
         </span>
+        <div id="tag-filter">
+          Tagged
+          <select title="Select to only show items with this tag">
+            <option value="">anything</option>
+          </select>
+        </div>
+        <div id="select">
+          Edit several
+          <button id="select-mode" title="Click to select items to edit at once (Shift+click to select a range)">select</button>
+        </div>
+        <div id="sort">
+          Sort by
+          <button id="sort-manual" class="selected" title="Click to sort manually (drag and drop or Alt+Up/Down)">manual</button>
+          <button id="sort-priority" title="Click to sort by priority and then by creation date">priority</button>
+        </div>
+        <div id="export">
+          Export as
+          <button id="markdown" title="Click to download as Markdown task list">Markdown</button>
+          <button id="csv" title="Click to download as CSV">CSV</button>
+        </div>
+        <div id="copy">
+          Duplicate
+          <button id="duplicate" title="Click to duplicate the list">as is</button>
+          <button id="duplicate-pending" title="Click to duplicate the list with all items pending">as pending</button>
+          or save as
+          <button id="template" title="Click to save the list as template to create further lists from">template</button>
+          <span id="template-saved" class="hidden">(saved)</span>
+        </div>
       </footer>
+      <vanilla-to-do-list-shortcuts></vanilla-to-do-list-shortcuts>
     `;
     this.nodeStyle = this.#createElement('style');
     this.nodeStyle.innerHTML = this.style;
@@ -445,166 +1307,1189 @@ class VanillaToDoListView {
     this.nodeInputCreateToDoListItem = this.nodeSectionContainer.querySelector('header input');
     this.nodeClearToDoList = this.nodeSectionContainer.querySelector('footer button#clear');
     this.nodeConfirmation = this.nodeSectionContainer.querySelector('footer span#confirmation');
+    this.nodeTagSuggestions = this.nodeSectionContainer.querySelector('datalist#tag-suggestions');
+    this.nodeTagFilter = this.nodeSectionContainer.querySelector('footer div#tag-filter select');
+    this.nodeSortManual = this.nodeSectionContainer.querySelector('footer button#sort-manual');
+    this.nodeSortPriority = this.nodeSectionContainer.querySelector('footer button#sort-priority');
+    this.nodeExportMarkdown = this.nodeSectionContainer.querySelector('footer button#markdown');
+    this.nodeExportCsv = this.nodeSectionContainer.querySelector('footer button#csv');
+    this.nodeDuplicate = this.nodeSectionContainer.querySelector('footer button#duplicate');
+    this.nodeDuplicatePending = this.nodeSectionContainer.querySelector('footer button#duplicate-pending');
+    this.nodeSaveTemplate = this.nodeSectionContainer.querySelector('footer button#template');
+    this.nodeTemplateSaved = this.nodeSectionContainer.querySelector('footer span#template-saved');
+    this.nodeUndo = this.nodeSectionContainer.querySelector('header button#undo');
+    this.nodeRedo = this.nodeSectionContainer.querySelector('header button#redo');
+    this.nodeSelectMode = this.nodeSectionContainer.querySelector('footer button#select-mode');
+    this.nodeBulk = this.nodeSectionContainer.querySelector('div#bulk');
+    this.tags = [];
+  }
+  /**
+   * Whether the to-do list is currently being rendered.
+   */
+  #rendering = false;
+  /**
+   * The ID of the to-do list item being dragged or null if there is none.
+   */
+  #draggedId = null;
+  /**
+   * The ID of the to-do list item to focus after rendering, i. e. the one just moved using the keyboard, or null to focus the input.
+   */
+  #focusAfterRender = null;
+  /**
+   * The ID of the to-do list item to keep adding subtasks to after rendering or null if there is none.
+   */
+  #subtaskParentAfterRender = null;
+  /**
+   * The IDs of the to-do list items whose subtasks are collapsed, kept for the browser session.
+   */
+  #collapsed = this.#loadCollapsed();
+  /**
+   * The IDs of the to-do list items whose notes are shown.
+   */
+  #expanded = new Set();
+  /**
+   * Whether to-do list items are being selected to edit them at once.
+   */
+  #selecting = false;
+  /**
+   * The IDs of the selected to-do list items.
+   */
+  #selected = new Set();
+  /**
+   * The ID of the to-do list item selected last, from which a range is selected using Shift+click, or null if there is none.
+   */
+  #selectionAnchor = null;
+  /**
+   * Private method to create a new HTML element.
+   * @param {string} elementName - The name of the new HTML element.
+   * @param {array} classList - An optional list of HTML class attribute values.
+   */
+  #createElement(elementName, ...classList) {
+    const element = document.createElement(elementName);
+    if (classList.length > 0) {
+      element.classList.add.apply(element.classList, classList);
+    }
+    return element;
+  }
+  /**
+   * Method to render the to-do list.
+   * @param {object} toDoList - The to-do list to render.
+   */
+  render(toDoList) {
+    const toDoListItems = sortToDoListItems(toDoList);
+    const filter = parseFilterHash(window.location.hash);
+    if (toDoList.name !== undefined && toDoList.done !== undefined) {
+      const nodeHeadingTwo = this.nodeSectionContainer.querySelector('header h2');
+      const headingTwoClass = toDoList.done === false ? 'pending' : 'done';
+      nodeHeadingTwo.textContent = toDoList.name;
+      nodeHeadingTwo.classList.remove('pending', 'done');
+      nodeHeadingTwo.classList.add(headingTwoClass);
+      nodeHeadingTwo.classList.remove('hidden');
+    }
+    // There's nothing to add items to if the to-do list doesn't exist.
+    this.nodeInputCreateToDoListItem.classList.toggle('hidden', toDoList.id === undefined);
+    const nodeSectionToDoList = this.nodeSectionContainer.querySelector('section.to-do-list');
+    // First, remove any existing child nodes respectively the paragraph or the to-do list.
+    // Removing a focused input may trigger its blur event, which must not be taken for the completion of an inline edit.
+    this.#rendering = true;
+    nodeSectionToDoList.replaceChildren();
+    this.#rendering = false;
+    const nodeHorizontalRule = this.nodeSectionContainer.querySelector('hr');
+    const nodeFooter = this.nodeSectionContainer.querySelector('footer');
+    const nodeCountToDoListItems = this.nodeSectionContainer.querySelector('footer span#count');
+    if (toDoListItems.length > 0) {
+      // Count tasks and subtasks separately.
+      const countsToDoListItems = countToDoListItems(toDoListItems);
+      const countToDoListItemsAll = countsToDoListItems.all;
+      const countToDoListItemsPending = countsToDoListItems.pending;
+      const countToDoListItemsDone = countsToDoListItems.done;
+      const isShown = toDoListItem => {
+        return (filter.status === 'all' || (filter.status === 'done') === toDoListItem.done) && (filter.tag === null || hasTag(toDoListItem, filter.tag));
+      };
+      this.nodeToggleAllToDoListItems.classList.remove('hide');
+      this.nodeInputCreateToDoListItem.classList.add('shrink');
+      const today = toDateString(new Date());
+      const nodeToDoList = this.#createElement('ul', 'to-do-list');
+      nodeSectionToDoList.append(nodeToDoList);
+      toToDoListItemTree(toDoListItems).forEach(({toDoListItem, subtasks}) => {
+        const subtasksShown = subtasks.filter(isShown);
+        // Show a task if either the task itself or any of its subtasks match the filters.
+        if (!isShown(toDoListItem) && subtasksShown.length === 0) {
+          return;
+        }
+        const nodeListItem = this.#createListItem(toDoList, toDoListItem, filter, today);
+        const nodeListItemAddSubtask = this.#createElement('button', 'add-subtask');
+        nodeListItemAddSubtask.textContent = '+';
+        nodeListItemAddSubtask.title = 'Click to add a subtask';
+        nodeListItem.append(nodeListItemAddSubtask);
+        if (subtasks.length > 0) {
+          nodeListItem.classList.add('has-subtasks');
+          nodeListItem.classList.toggle('collapsed', this.#collapsed.has(toDoListItem.id));
+          nodeListItem.dataset.pendingSubtasks = subtasks.filter(subtask => subtask.done === false).length;
+          const nodeListItemCollapse = this.#createElement('button', 'collapse');
+          nodeListItemCollapse.textContent = '\u25BE';
+          nodeListItemCollapse.title = 'Click to collapse or expand the subtasks';
+          const nodeListItemProgress = this.#createElement('span', 'progress');
+          nodeListItemProgress.textContent = formatProgress(subtasks);
+          nodeListItemProgress.title = 'Subtasks done';
+          nodeListItem.prepend(nodeListItemCollapse);
+          nodeListItem.querySelector('label.text').after(nodeListItemProgress);
+          const nodeSubtasks = this.#createElement('ul', 'subtasks');
+          subtasksShown.forEach(subtask => {
+            nodeSubtasks.append(this.#createListItem(toDoList, subtask, filter, today));
+          });
+          nodeListItem.append(nodeSubtasks);
+        }
+        nodeToDoList.append(nodeListItem);
+      });
+      nodeHorizontalRule.classList.remove('hidden');
+      nodeFooter.classList.remove('hidden');
+      nodeCountToDoListItems.textContent = `${countToDoListItemsAll} (${countToDoListItemsPending}/${countToDoListItemsDone})${countsToDoListItems.subtasks > 0 ? ` \u00B7 ${countsToDoListItems.subtasksDone}/${countsToDoListItems.subtasks} subtasks` : ''}`;
+      nodeCountToDoListItems.classList.remove('hide', 'hidden');
+      if (countToDoListItemsDone + countsToDoListItems.subtasksDone > 0) {
+        this.nodeClearToDoList.classList.remove('hide', 'hidden');
+      } else {
+        this.nodeClearToDoList.classList.add('hide', 'hidden');
+      }
+      this.nodeConfirmation.classList.add('hidden');
+      this.nodeTemplateSaved.classList.add('hidden');
+      this.nodeSortManual.classList.toggle('selected', toDoList.sortBy !== 'priority');
+      this.nodeSortPriority.classList.toggle('selected', toDoList.sortBy === 'priority');
+      // Items can only be moved manually while not sorted by priority.
+      this.nodeBulk.querySelector('span#bulk-move').classList.toggle('hidden', toDoList.sortBy === 'priority');
+    } else {
+      this.nodeToggleAllToDoListItems.classList.add('hide');
+      this.nodeInputCreateToDoListItem.classList.remove('shrink');
+      if (toDoList.id !== undefined) {
+        const nodeNothingToDo = this.#createElement('p');
+        nodeNothingToDo.textContent = 'Good for you: There\'s nothing to do!';
+        nodeSectionToDoList.append(nodeNothingToDo);
+      } else {
+        const nodeNotFound = this.#createElement('p', 'not-found');
+        nodeNotFound.textContent = 'This to-do list doesn\'t exist (anymore). ';
+        const nodeNotFoundOverview = this.#createElement('a');
+        nodeNotFoundOverview.href = router.href('/');
+        nodeNotFoundOverview.textContent = 'Back to the overview';
+        nodeNotFound.append(nodeNotFoundOverview);
+        nodeSectionToDoList.append(nodeNotFound);
+      }
+      nodeHorizontalRule.classList.add('hidden');
+      nodeFooter.classList.add('hidden');
+    }
+    // Keep the tag filter when changing the status filter.
+    this.nodeSectionContainer.querySelectorAll('footer ul.filters li a').forEach(nodeFilterLink => {
+      nodeFilterLink.href = toFilterHash(nodeFilterLink.id, filter.tag);
+      nodeFilterLink.classList.toggle('selected', nodeFilterLink.id === filter.status);
+    });
+    this.#renderSelection();
+    // Keep the focus on the to-do list item just moved using the keyboard, otherwise focus the input to create a new one.
+    const nodeFocus = this.#focusAfterRender !== null ? this.nodeSectionContainer.querySelector(`ul.to-do-list li[id="${this.#focusAfterRender}"] > input.select`) : null;
+    this.#focusAfterRender = null;
+    (nodeFocus || this.nodeInputCreateToDoListItem).focus();
+  }
+  /**
+   * Private method to render the selected to-do list items, deselecting the ones not shown any longer.
+   */
+  #renderSelection() {
+    const nodeListItems = [...this.nodeSectionContainer.querySelectorAll('ul.to-do-list li[id]')];
+    const ids = new Set(nodeListItems.map(nodeListItem => nodeListItem.id));
+    this.#selected = new Set([...this.#selected].filter(id => ids.has(id)));
+    nodeListItems.forEach(nodeListItem => {
+      nodeListItem.classList.toggle('selected', this.#selected.has(nodeListItem.id));
+    });
+    this.nodeSectionContainer.querySelector('section.to-do-list').classList.toggle('selecting', this.#selecting);
+    this.nodeSelectMode.classList.toggle('selected', this.#selecting);
+    this.nodeBulk.classList.toggle('hidden', !this.#selecting);
+    this.nodeBulk.querySelector('span#selected-count').textContent = `${this.#selected.size} selected:`;
+    this.nodeBulk.querySelectorAll('span button, span input').forEach(nodeBulkControl => {
+      nodeBulkControl.disabled = this.#selected.size === 0;
+    });
+  }
+  /**
+   * Private method to get the IDs of the selected to-do list items in the order shown.
+   * @returns {array} The IDs.
+   */
+  #getSelectedIds() {
+    return this.#getNavigableListItems().filter(nodeListItem => this.#selected.has(nodeListItem.id)).map(nodeListItem => nodeListItem.id);
+  }
+  /**
+   * Method to bind event handlers to select to-do list items by clicking them while selecting, using Shift+click to select a range.
+   */
+  bindSelectToDoListItems() {
+    this.nodeSelectMode.addEventListener('click', () => {
+      this.#selecting = !this.#selecting;
+      this.#selected.clear();
+      this.#selectionAnchor = null;
+      this.#renderSelection();
+    });
+    const nodeSectionToDoList = this.nodeSectionContainer.querySelector('section.to-do-list');
+    // Catch the clicks before they reach the list items' checkboxes, labels and buttons.
+    nodeSectionToDoList.addEventListener('click', event => {
+      const nodeListItem = event.target.closest('ul.to-do-list li[id]');
+      if (!this.#selecting || nodeListItem === null) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      const nodeListItems = this.#getNavigableListItems();
+      const indexAnchor = nodeListItems.findIndex(nodeListItemAnchor => nodeListItemAnchor.id === this.#selectionAnchor);
+      if (event.shiftKey && indexAnchor !== -1) {
+        const index = nodeListItems.indexOf(nodeListItem);
+        nodeListItems.slice(Math.min(index, indexAnchor), Math.max(index, indexAnchor) + 1).forEach(nodeListItemRange => {
+          this.#selected.add(nodeListItemRange.id);
+        });
+      } else if (this.#selected.has(nodeListItem.id)) {
+        this.#selected.delete(nodeListItem.id);
+      } else {
+        this.#selected.add(nodeListItem.id);
+      }
+      this.#selectionAnchor = nodeListItem.id;
+      this.#renderSelection();
+    }, true);
+    nodeSectionToDoList.addEventListener('dragstart', event => {
+      if (this.#selecting) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    }, true);
+    this.nodeBulk.querySelector('button#select-all').addEventListener('click', () => {
+      this.#getNavigableListItems().forEach(nodeListItem => this.#selected.add(nodeListItem.id));
+      this.#renderSelection();
+    });
+    this.nodeBulk.querySelector('button#select-none').addEventListener('click', () => {
+      this.#selected.clear();
+      this.#selectionAnchor = null;
+      this.#renderSelection();
+    });
+  }
+  /**
+   * Method to bind event handlers to mark the selected to-do list items as done or pending.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do list items' IDs and whether to mark them as done.
+   */
+  bindUpdateToDoListItemsDone(eventHandler) {
+    this.nodeBulk.querySelector('button#bulk-done').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), true);
+    });
+    this.nodeBulk.querySelector('button#bulk-pending').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), false);
+    });
+  }
+  /**
+   * Method to bind event handlers to move the selected to-do list items to the top or the bottom.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do list items' IDs and the position.
+   */
+  bindMoveToDoListItems(eventHandler) {
+    this.nodeBulk.querySelector('button#bulk-top').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), 'top');
+    });
+    this.nodeBulk.querySelector('button#bulk-bottom').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), 'bottom');
+    });
+  }
+  /**
+   * Method to bind an event handler to tag the selected to-do list items.
+   * @param {function} eventHandler - A function to handle the event, receiving the to-do list items' IDs and the normalized tag.
+   */
+  bindTagToDoListItems(eventHandler) {
+    const nodeInputTag = this.nodeBulk.querySelector('input');
+    nodeInputTag.addEventListener('keydown', event => {
+      const tag = normalizeTag(nodeInputTag.value);
+      if (event.key === 'Enter' && tag !== '') {
+        nodeInputTag.value = '';
+        eventHandler(this.#getSelectedIds(), tag);
+      } else if (event.key === 'Escape') {
+        nodeInputTag.value = '';
+      }
+    });
+  }
+  /**
+   * Method to bind an event handler to delete the selected to-do list items.
+   * @param {function} eventHandler - A function to handle the event, receiving the to-do list items' IDs.
+   */
+  bindDeleteToDoListItems(eventHandler) {
+    this.nodeBulk.querySelector('button#bulk-delete').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds());
+    });
+  }
+  /**
+   * Private method to create the list item of a to-do list item.
+   * @param {object} toDoList - The to-do list containing the to-do list item.
+   * @param {object} toDoListItem - The to-do list item.
+   * @param {object} filter - The status and tag filters.
+   * @param {string} today - Today's local date string.
+   * @returns {object} The list item.
+   */
+  #createListItem(toDoList, toDoListItem, filter, today) {
+    const listItemClass = toDoListItem.done === false ? 'pending' : 'done';
+    const nodeListItem = this.#createElement('li', listItemClass);
+    nodeListItem.id = toDoListItem.id;
+    // Items can only be moved manually while not sorted by priority.
+    nodeListItem.draggable = toDoList.sortBy !== 'priority';
+    const nodeListItemSelect = this.#createElement('input', 'select');
+    nodeListItemSelect.type = 'checkbox';
+    nodeListItemSelect.title = `Click to mark as ${toDoListItem.done === false ? 'done' : 'pending'}`;
+    nodeListItemSelect.checked = toDoListItem.done;
+    const nodeListItemText = this.#createElement('label', 'text');
+    nodeListItemText.dataset.created = toDoListItem.created;
+    if (toDoListItem.lastUpdated !== null) {
+      nodeListItemText.dataset.lastModified = toDoListItem.lastUpdated;
+    }
+    nodeListItemText.textContent = toDoListItem.text;
+    nodeListItemText.title = 'Click to edit';
+    const dueStatus = getDueStatus(toDoListItem, today);
+    if (dueStatus !== null) {
+      nodeListItem.classList.add(dueStatus);
+    }
+    const nodeListItemDue = this.#createElement('button', 'due');
+    nodeListItemDue.dataset.due = toDoListItem.due || '';
+    if (toDoListItem.due) {
+      nodeListItemDue.classList.add('set');
+      nodeListItemDue.textContent = formatDue(toDoListItem.due, today);
+      nodeListItemDue.title = `${dueStatus === 'overdue' ? 'Overdue' : 'Due'}: ${toDoListItem.due} (click to change)`;
+    } else {
+      nodeListItemDue.title = 'Click to set a due date';
+    }
+    const priority = getPriority(toDoListItem);
+    const nodeListItemPriority = this.#createElement('button', 'priority', priority);
+    nodeListItemPriority.dataset.priority = priority;
+    if (priority !== 'normal') {
+      nodeListItemPriority.classList.add('set');
+      nodeListItemPriority.textContent = priority;
+      nodeListItemPriority.title = `Priority: ${priority} (click to change)`;
+    } else {
+      nodeListItemPriority.textContent = '!';
+      nodeListItemPriority.title = 'Click to set the priority';
+    }
+    const toDoListItemTags = getTags(toDoListItem);
+    const nodeListItemTags = toDoListItemTags.map(tag => {
+      const nodeListItemTag = this.#createElement('a', 'tag');
+      nodeListItemTag.href = toFilterHash(filter.status, tag);
+      nodeListItemTag.textContent = `#${tag}`;
+      nodeListItemTag.title = 'Click to only show items with this tag';
+      return nodeListItemTag;
+    });
+    const nodeListItemEditTags = this.#createElement('button', 'tags');
+    nodeListItemEditTags.dataset.tags = toDoListItemTags.join(', ');
+    nodeListItemEditTags.textContent = '#';
+    nodeListItemEditTags.title = 'Click to edit the tags';
+    const toDoListItemRecurrence = toDoListItem.recurrence;
+    const nodeListItemRecurrence = this.#createElement('button', 'recurrence');
+    nodeListItemRecurrence.dataset.recurrence = JSON.stringify(toDoListItemRecurrence);
+    // Remember the due date, which the defaults of new weekly and monthly recurrence rules are based on.
+    nodeListItemRecurrence.dataset.due = toDoListItem.due || today;
+    if (toDoListItemRecurrence !== null) {
+      nodeListItemRecurrence.classList.add('set');
+      nodeListItemRecurrence.textContent = `\u21BB ${formatRecurrence(toDoListItemRecurrence)}`;
+      nodeListItemRecurrence.title = 'Repeats when done (click to change)';
+    } else {
+      nodeListItemRecurrence.textContent = '\u21BB';
+      nodeListItemRecurrence.title = 'Click to repeat when done';
+    }
+    const nodeListItemTransfer = this.#createElement('button', 'transfer');
+    nodeListItemTransfer.textContent = '\u21C4';
+    nodeListItemTransfer.title = 'Click to move or copy to another list';
+    const nodeListItemNotes = this.#createElement('button', 'notes');
+    const nodeListItemNotesContent = this.#createElement('div', 'notes', 'hidden');
+    nodeListItemNotesContent.dataset.notes = getNotes(toDoListItem);
+    if (hasNotes(toDoListItem)) {
+      nodeListItemNotes.classList.add('set');
+      nodeListItemNotes.textContent = '\u270E notes';
+      nodeListItemNotes.title = 'Click to show or hide the notes';
+      const nodeListItemNotesMarkdown = this.#createElement('div', 'markdown');
+      nodeListItemNotesMarkdown.append(...this.#createMarkdown(parseMarkdown(getNotes(toDoListItem))));
+      const nodeListItemEditNotes = this.#createElement('button', 'edit-notes');
+      nodeListItemEditNotes.textContent = 'Edit notes';
+      nodeListItemNotesContent.append(nodeListItemNotesMarkdown, nodeListItemEditNotes);
+      nodeListItemNotesContent.classList.toggle('hidden', !this.#expanded.has(toDoListItem.id));
+      nodeListItem.classList.toggle('expanded', this.#expanded.has(toDoListItem.id));
+    } else {
+      nodeListItemNotes.textContent = '\u270E';
+      nodeListItemNotes.title = 'Click to add notes';
+    }
+    const nodeListItemCopyLink = this.#createElement('button', 'copy-link');
+    nodeListItemCopyLink.dataset.href = router.href(`/to-do-list/${toDoList.id}/item/${toDoListItem.id}`);
+    nodeListItemCopyLink.textContent = '\u{1F517}';
+    nodeListItemCopyLink.title = 'Click to copy a link to this item';
+    const nodeListItemDelete = this.#createElement('button', 'delete');
+    nodeListItemDelete.title = 'Click to move to the trash';
+    nodeListItem.append(nodeListItemSelect, nodeListItemText, ...nodeListItemTags, nodeListItemEditTags, nodeListItemNotes, nodeListItemPriority, nodeListItemRecurrence, nodeListItemTransfer, nodeListItemCopyLink, nodeListItemDue, nodeListItemDelete, nodeListItemNotesContent);
+    return nodeListItem;
+  }
+  /**
+   * Private method to create the elements of notes parsed from Markdown, only ever setting their text content, so the notes can't inject HTML.
+   * @param {array} blocks - The parsed blocks.
+   * @returns {array} The paragraphs, lists and code blocks.
+   */
+  #createMarkdown(blocks) {
+    return blocks.map(block => {
+      if (block.type === 'code') {
+        const nodePre = this.#createElement('pre');
+        const nodeCode = this.#createElement('code');
+        nodeCode.textContent = block.text;
+        nodePre.append(nodeCode);
+        return nodePre;
+      }
+      if (block.type === 'list') {
+        const nodeList = this.#createElement(block.ordered ? 'ol' : 'ul');
+        if (block.ordered && block.start !== 1) {
+          nodeList.start = block.start;
+        }
+        nodeList.append(...block.items.map(inlines => {
+          const nodeListItem = this.#createElement('li');
+          nodeListItem.append(...this.#createInlines(inlines));
+          return nodeListItem;
+        }));
+        return nodeList;
+      }
+      const nodeParagraph = this.#createElement('p');
+      nodeParagraph.append(...this.#createInlines(block.inlines));
+      return nodeParagraph;
+    });
+  }
+  /**
+   * Private method to create the text nodes and elements of parsed inline Markdown.
+   * @param {array} inlines - The parsed inline nodes.
+   * @returns {array} The text nodes as well as code, link, strong and emphasis elements.
+   */
+  #createInlines(inlines) {
+    return inlines.map(inline => {
+      if (inline.type === 'text') {
+        return inline.text;
+      }
+      if (inline.type === 'code') {
+        const nodeCode = this.#createElement('code');
+        nodeCode.textContent = inline.text;
+        return nodeCode;
+      }
+      const nodeInline = this.#createElement({link: 'a', strong: 'strong', emphasis: 'em'}[inline.type]);
+      if (inline.type === 'link') {
+        // The parser only keeps links to http(s) and mailto URLs.
+        nodeInline.href = inline.href;
+        nodeInline.target = '_blank';
+        nodeInline.rel = 'noopener noreferrer';
+      }
+      nodeInline.append(...this.#createInlines(inline.children));
+      return nodeInline;
+    });
+  }
+  /**
+   * Method to render the tags used in any to-do list as suggestions and as options of the tag filter.
+   * @param {array} tags - The tags used in any to-do list.
+   */
+  renderTags(tags) {
+    this.tags = tags;
+    const filter = parseFilterHash(window.location.hash);
+    this.nodeTagSuggestions.replaceChildren(...tags.map(tag => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = tag;
+      return nodeOption;
+    }));
+    // Keep a filtered tag selectable even if no to-do list item has it any longer.
+    const tagsFilter = filter.tag !== null && !tags.includes(filter.tag) ? [...tags, filter.tag] : tags;
+    this.nodeTagFilter.replaceChildren(this.nodeTagFilter.options[0], ...tagsFilter.map(tag => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = tag;
+      nodeOption.textContent = `#${tag}`;
+      return nodeOption;
+    }));
+    this.nodeTagFilter.value = filter.tag || '';
+  }
+  /**
+   * Method to render the other to-do lists as the ones to move or copy to-do list items to, if there are any.
+   * @param {array} toDoLists - The other to-do lists, each containing the ID and the name.
+   */
+  renderOtherToDoLists(toDoLists) {
+    this.otherToDoLists = toDoLists;
+    const nodeSelectBulkTransfer = this.nodeBulk.querySelector('span#bulk-transfer select');
+    nodeSelectBulkTransfer.replaceChildren(...this.#createToDoListOptions());
+    this.nodeBulk.querySelector('span#bulk-transfer').classList.toggle('hidden', toDoLists.length === 0);
+    this.nodeSectionContainer.querySelectorAll('ul.to-do-list button.transfer').forEach(nodeToDoListItemTransfer => {
+      nodeToDoListItemTransfer.classList.toggle('hidden', toDoLists.length === 0);
+    });
+  }
+  /**
+   * Private method to create the options to select one of the other to-do lists.
+   * @returns {array} The option elements.
+   */
+  #createToDoListOptions() {
+    return this.otherToDoLists.map(toDoList => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = toDoList.id;
+      nodeOption.textContent = toDoList.name;
+      return nodeOption;
+    });
+  }
+  /**
+   * Method to render whether there are changes to undo and redo.
+   * @param {boolean} canUndo - Whether there is a change to undo.
+   * @param {boolean} canRedo - Whether there is a change to redo.
+   */
+  renderHistory(canUndo, canRedo) {
+    this.nodeUndo.disabled = !canUndo;
+    this.nodeRedo.disabled = !canRedo;
+  }
+  /**
+   * Method to bind an event handler to undo the latest change.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindUndo(eventHandler) {
+    this.nodeUndo.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
+  /**
+   * Method to bind an event handler to redo the latest undone change.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindRedo(eventHandler) {
+    this.nodeRedo.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
+  /**
+   * Method to bind an event handler to add a new to-do list item.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindCreateToDoListItem(eventHandler) {
+    this.nodeInputCreateToDoListItem.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        // Only accept input that isn't all whitespace.
+        if (!event.target.value.match(/^\s*$/)) {
+          eventHandler(event.target.value);
+          this.nodeInputCreateToDoListItem.value = '';
+        }
+      } else if (event.key === 'Escape') {
+        // Leave the input to use the keyboard shortcuts.
+        this.nodeInputCreateToDoListItem.blur();
+      }
+    });
+  }
+  /**
+   * Method to bind event handlers to update to-do list items.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListItem(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('label.text').forEach(nodeToDoListItemText => {
+      nodeToDoListItemText.addEventListener('click', () => {
+        const nodeInputUpdateToDoListItem = this.#createElement('input');
+        nodeInputUpdateToDoListItem.type = 'text';
+        nodeInputUpdateToDoListItem.value = nodeToDoListItemText.textContent;
+        nodeToDoListItemText.after(nodeInputUpdateToDoListItem);
+        nodeToDoListItemText.classList.add('hidden');
+        nodeInputUpdateToDoListItem.focus();
+        nodeInputUpdateToDoListItem.addEventListener('blur', event => {
+          // Only accept input that isn't all whitespace.
+          if (!this.#rendering && !event.target.value.match(/^\s*$/)) {
+            if (event.target.value !== nodeToDoListItemText.textContent) {
+              eventHandler(nodeToDoListItemText.parentNode.id, nodeInputUpdateToDoListItem.value);
+            } else {
+              nodeInputUpdateToDoListItem.remove();
+              nodeToDoListItemText.classList.remove('hidden');
+            }
+          }
+        });
+        nodeInputUpdateToDoListItem.addEventListener('keydown', event => {
+          if (event.key === 'Enter') {
+            // Only accept input that isn't all whitespace.
+            if (!event.target.value.match(/^\s*$/)) {
+              if (event.target.value !== nodeToDoListItemText.textContent) {
+                eventHandler(nodeToDoListItemText.parentNode.id, nodeInputUpdateToDoListItem.value);
+              } else {
+                nodeInputUpdateToDoListItem.remove();
+                nodeToDoListItemText.classList.remove('hidden');
+              }
+            }
+          } else if (event.key === 'Escape') {
+            nodeInputUpdateToDoListItem.remove();
+            nodeToDoListItemText.classList.remove('hidden');
+          }
+        });
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to update to-do list items' due dates.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListItemDue(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.due').forEach(nodeToDoListItemDue => {
+      nodeToDoListItemDue.addEventListener('click', () => {
+        const nodeInputUpdateToDoListItemDue = this.#createElement('input');
+        nodeInputUpdateToDoListItemDue.type = 'date';
+        nodeInputUpdateToDoListItemDue.value = nodeToDoListItemDue.dataset.due;
+        nodeInputUpdateToDoListItemDue.title = 'Clear to remove the due date';
+        nodeToDoListItemDue.after(nodeInputUpdateToDoListItemDue);
+        nodeToDoListItemDue.classList.add('hidden');
+        nodeInputUpdateToDoListItemDue.focus();
+        const close = () => {
+          nodeInputUpdateToDoListItemDue.remove();
+          nodeToDoListItemDue.classList.remove('hidden');
+        };
+        nodeInputUpdateToDoListItemDue.addEventListener('change', event => {
+          // An empty value means the due date was cleared.
+          const due = event.target.value || null;
+          if (due !== (nodeToDoListItemDue.dataset.due || null)) {
+            eventHandler(nodeToDoListItemDue.parentNode.id, due);
+          }
+        });
+        nodeInputUpdateToDoListItemDue.addEventListener('blur', () => {
+          if (!this.#rendering) {
+            close();
+          }
+        });
+        nodeInputUpdateToDoListItemDue.addEventListener('keydown', event => {
+          if (event.key === 'Enter' || event.key === 'Escape') {
+            close();
+          }
+        });
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to update to-do list items' tags.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListItemTags(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.tags').forEach(nodeToDoListItemEditTags => {
+      nodeToDoListItemEditTags.addEventListener('click', () => {
+        const nodeInputUpdateToDoListItemTags = this.#createElement('input', 'tags');
+        nodeInputUpdateToDoListItemTags.type = 'text';
+        nodeInputUpdateToDoListItemTags.value = nodeToDoListItemEditTags.dataset.tags;
+        nodeInputUpdateToDoListItemTags.placeholder = 'Tags separated by commas';
+        nodeInputUpdateToDoListItemTags.setAttribute('list', 'tag-suggestions');
+        nodeToDoListItemEditTags.parentNode.appendChild(nodeInputUpdateToDoListItemTags);
+        nodeToDoListItemEditTags.classList.add('hidden');
+        nodeInputUpdateToDoListItemTags.focus();
+        const close = () => {
+          nodeInputUpdateToDoListItemTags.remove();
+          nodeToDoListItemEditTags.classList.remove('hidden');
+        };
+        const submit = () => {
+          const tags = parseTags(nodeInputUpdateToDoListItemTags.value);
+          if (tags.join(', ') !== nodeToDoListItemEditTags.dataset.tags) {
+            eventHandler(nodeToDoListItemEditTags.parentNode.id, tags);
+          } else {
+            close();
+          }
+        };
+        nodeInputUpdateToDoListItemTags.addEventListener('input', event => {
+          // Suggest the tags not entered yet to complete the last one, as suggestions always complete the input's whole value.
+          const tagsEntered = event.target.value.split(',');
+          const tagsPrefix = tagsEntered.slice(0, -1).map(tag => `${tag.trim()}, `).join('');
+          const tagsEnteredNormalized = parseTags(tagsEntered.slice(0, -1).join(','));
+          this.nodeTagSuggestions.replaceChildren(...this.tags.filter(tag => !tagsEnteredNormalized.includes(tag)).map(tag => {
+            const nodeOption = this.#createElement('option');
+            nodeOption.value = `${tagsPrefix}${tag}`;
+            return nodeOption;
+          }));
+        });
+        nodeInputUpdateToDoListItemTags.addEventListener('blur', () => {
+          if (!this.#rendering) {
+            submit();
+          }
+        });
+        nodeInputUpdateToDoListItemTags.addEventListener('keydown', event => {
+          if (event.key === 'Enter') {
+            submit();
+          } else if (event.key === 'Escape') {
+            close();
+          }
+        });
+      });
+    });
+  }
+  /**
+   * Method to bind an event handler to filter the to-do list items by tag.
+   */
+  bindFilterToDoListItemsByTag() {
+    this.nodeTagFilter.addEventListener('change', event => {
+      const filter = parseFilterHash(window.location.hash);
+      window.location.hash = toFilterHash(filter.status, event.target.value || null);
+    });
+  }
+  /**
+   * Method to bind event handlers to update to-do list items' priorities.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListItemPriority(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.priority').forEach(nodeToDoListItemPriority => {
+      nodeToDoListItemPriority.addEventListener('click', () => {
+        const nodeSelectUpdateToDoListItemPriority = this.#createElement('select', 'priority');
+        priorities.forEach(priority => {
+          const nodeOption = this.#createElement('option');
+          nodeOption.value = priority;
+          nodeOption.textContent = priority;
+          nodeSelectUpdateToDoListItemPriority.append(nodeOption);
+        });
+        nodeSelectUpdateToDoListItemPriority.value = nodeToDoListItemPriority.dataset.priority;
+        nodeToDoListItemPriority.after(nodeSelectUpdateToDoListItemPriority);
+        nodeToDoListItemPriority.classList.add('hidden');
+        nodeSelectUpdateToDoListItemPriority.focus();
+        const close = () => {
+          nodeSelectUpdateToDoListItemPriority.remove();
+          nodeToDoListItemPriority.classList.remove('hidden');
+        };
+        nodeSelectUpdateToDoListItemPriority.addEventListener('change', event => {
+          if (event.target.value !== nodeToDoListItemPriority.dataset.priority) {
+            eventHandler(nodeToDoListItemPriority.parentNode.id, event.target.value);
+          }
+        });
+        nodeSelectUpdateToDoListItemPriority.addEventListener('blur', () => {
+          if (!this.#rendering) {
+            close();
+          }
+        });
+        nodeSelectUpdateToDoListItemPriority.addEventListener('keydown', event => {
+          if (event.key === 'Escape') {
+            close();
+          }
+        });
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to update to-do list items' recurrence rules.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListItemRecurrence(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.recurrence').forEach(nodeToDoListItemRecurrence => {
+      nodeToDoListItemRecurrence.addEventListener('click', () => {
+        const recurrence = JSON.parse(nodeToDoListItemRecurrence.dataset.recurrence);
+        const [year, month, day] = nodeToDoListItemRecurrence.dataset.due.split('-').map(Number);
+        const due = new Date(year, month - 1, day);
+        const nodeSpanUpdateToDoListItemRecurrence = this.#createElement('span', 'recurrence');
+        const nodeSelectFrequency = this.#createElement('select', 'frequency');
+        ['none', ...frequencies].forEach(frequency => {
+          const nodeOption = this.#createElement('option');
+          nodeOption.value = frequency;
+          nodeOption.textContent = frequency === 'weekdays' ? 'on weekdays' : frequency;
+          nodeSelectFrequency.append(nodeOption);
+        });
+        nodeSelectFrequency.value = recurrence !== null ? recurrence.frequency : 'none';
+        // List the days starting with Monday.
+        const nodeLabelsDays = [1, 2, 3, 4, 5, 6, 0].map(weekday => {
+          const nodeLabelDay = this.#createElement('label', 'day');
+          const nodeInputDay = this.#createElement('input');
+          nodeInputDay.type = 'checkbox';
+          nodeInputDay.value = weekday;
+          nodeInputDay.checked = recurrence?.frequency === 'weekly' ? recurrence.days.includes(weekday) : weekday === due.getDay();
+          nodeLabelDay.append(nodeInputDay, weekdayNames[weekday]);
+          return nodeLabelDay;
+        });
+        const nodeInputDayOfMonth = this.#createElement('input', 'day-of-month');
+        nodeInputDayOfMonth.type = 'number';
+        nodeInputDayOfMonth.min = 1;
+        nodeInputDayOfMonth.max = 31;
+        nodeInputDayOfMonth.title = 'Day of the month';
+        nodeInputDayOfMonth.value = recurrence?.frequency === 'monthly' ? recurrence.dayOfMonth : due.getDate();
+        const renderFrequency = () => {
+          nodeLabelsDays.forEach(nodeLabelDay => nodeLabelDay.classList.toggle('hidden', nodeSelectFrequency.value !== 'weekly'));
+          nodeInputDayOfMonth.classList.toggle('hidden', nodeSelectFrequency.value !== 'monthly');
+        };
+        renderFrequency();
+        nodeSpanUpdateToDoListItemRecurrence.append('Repeat ', nodeSelectFrequency, ...nodeLabelsDays, nodeInputDayOfMonth);
+        nodeToDoListItemRecurrence.parentNode.querySelector(':scope > label.text').after(nodeSpanUpdateToDoListItemRecurrence);
+        nodeToDoListItemRecurrence.classList.add('hidden');
+        nodeSelectFrequency.focus();
+        const close = () => {
+          nodeSpanUpdateToDoListItemRecurrence.remove();
+          nodeToDoListItemRecurrence.classList.remove('hidden');
+        };
+        const submit = () => {
+          const frequency = nodeSelectFrequency.value;
+          const days = nodeLabelsDays.map(nodeLabelDay => nodeLabelDay.firstChild).filter(nodeInputDay => nodeInputDay.checked).map(nodeInputDay => +nodeInputDay.value);
+          const dayOfMonth = Math.min(Math.max(Math.round(+nodeInputDayOfMonth.value) || 1, 1), 31);
+          let recurrenceNew = frequency !== 'none' ? {frequency} : null;
+          if (frequency === 'weekly') {
+            // Weekly recurrence rules without any day don't recur at all.
+            recurrenceNew = days.length > 0 ? {frequency, days} : null;
+          } else if (frequency === 'monthly') {
+            recurrenceNew = {frequency, dayOfMonth};
+          }
+          if (JSON.stringify(recurrenceNew) !== nodeToDoListItemRecurrence.dataset.recurrence) {
+            eventHandler(nodeToDoListItemRecurrence.parentNode.id, recurrenceNew);
+          } else {
+            close();
+          }
+        };
+        nodeSelectFrequency.addEventListener('change', renderFrequency);
+        nodeSpanUpdateToDoListItemRecurrence.addEventListener('focusout', event => {
+          // Only submit once the focus left the whole recurrence rule.
+          if (!this.#rendering && !nodeSpanUpdateToDoListItemRecurrence.contains(event.relatedTarget)) {
+            submit();
+          }
+        });
+        nodeSpanUpdateToDoListItemRecurrence.addEventListener('keydown', event => {
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            submit();
+          } else if (event.key === 'Escape') {
+            close();
+          }
+        });
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to show, hide and edit to-do list items' notes.
+   * Notes are edited in a text area, which saves them when it loses the focus and discards the changes on Escape.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListItemNotes(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.notes').forEach(nodeToDoListItemNotes => {
+      const nodeListItem = nodeToDoListItemNotes.parentNode;
+      const nodeToDoListItemNotesContent = nodeListItem.querySelector(':scope > div.notes');
+      const edit = () => {
+        const nodeTextAreaUpdateToDoListItemNotes = this.#createElement('textarea');
+        nodeTextAreaUpdateToDoListItemNotes.value = nodeToDoListItemNotesContent.dataset.notes;
+        nodeTextAreaUpdateToDoListItemNotes.placeholder = 'Notes in Markdown, e. g. **bold**, *italic*, `code`, [links](https://example.com) and lists';
+        const nodesRendered = [...nodeToDoListItemNotesContent.children];
+        nodesRendered.forEach(nodeRendered => nodeRendered.classList.add('hidden'));
+        nodeToDoListItemNotesContent.append(nodeTextAreaUpdateToDoListItemNotes);
+        nodeToDoListItemNotesContent.classList.remove('hidden');
+        nodeListItem.classList.add('expanded');
+        nodeTextAreaUpdateToDoListItemNotes.focus();
+        const close = () => {
+          nodeTextAreaUpdateToDoListItemNotes.remove();
+          nodesRendered.forEach(nodeRendered => nodeRendered.classList.remove('hidden'));
+          nodeToDoListItemNotesContent.classList.toggle('hidden', nodesRendered.length === 0);
+          nodeListItem.classList.toggle('expanded', nodesRendered.length > 0);
+        };
+        nodeTextAreaUpdateToDoListItemNotes.addEventListener('blur', event => {
+          if (this.#rendering) {
+            return;
+          }
+          const notes = normalizeNotes(event.target.value);
+          if (notes !== nodeToDoListItemNotesContent.dataset.notes) {
+            // Show the notes right away after saving them.
+            this.#expanded.add(nodeListItem.id);
+            eventHandler(nodeListItem.id, notes);
+          } else {
+            close();
+          }
+        });
+        nodeTextAreaUpdateToDoListItemNotes.addEventListener('keydown', event => {
+          if (event.key === 'Escape') {
+            nodeTextAreaUpdateToDoListItemNotes.value = nodeToDoListItemNotesContent.dataset.notes;
+            nodeTextAreaUpdateToDoListItemNotes.blur();
+          } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            nodeTextAreaUpdateToDoListItemNotes.blur();
+          }
+        });
+      };
+      nodeToDoListItemNotes.addEventListener('click', () => {
+        if (!nodeToDoListItemNotes.classList.contains('set')) {
+          edit();
+        } else if (nodeListItem.classList.toggle('expanded')) {
+          this.#expanded.add(nodeListItem.id);
+          nodeToDoListItemNotesContent.classList.remove('hidden');
+        } else {
+          this.#expanded.delete(nodeListItem.id);
+          nodeToDoListItemNotesContent.classList.add('hidden');
+        }
+      });
+      nodeToDoListItemNotesContent.querySelector('button.edit-notes')?.addEventListener('click', edit);
+    });
+  }
+  /**
+   * Method to bind event handlers to copy links to to-do list items to the clipboard.
+   */
+  bindCopyToDoListItemLink() {
+    this.nodeSectionContainer.querySelectorAll('button.copy-link').forEach(nodeToDoListItemCopyLink => {
+      nodeToDoListItemCopyLink.addEventListener('click', async () => {
+        const url = new URL(nodeToDoListItemCopyLink.dataset.href, window.location.origin).href;
+        try {
+          await navigator.clipboard.writeText(url);
+          nodeToDoListItemCopyLink.classList.add('copied');
+          nodeToDoListItemCopyLink.textContent = '\u2713';
+          nodeToDoListItemCopyLink.title = 'Link copied';
+        } catch (error) {
+          // Let the user copy the link manually if the clipboard isn't available, e. g. without a secure context.
+          window.prompt('Copy the link to this item:', url);
+        }
+      });
+    });
+  }
+  /**
+   * Method to scroll to a to-do list item, e. g. the one a link pointed to, highlighting and focusing it.
+   * @param {string} id - The to-do list item's ID.
+   */
+  revealToDoListItem(id) {
+    // Find the list item by comparing the IDs, as the ID is taken from the URL and may contain any character.
+    const nodeListItem = [...this.nodeSectionContainer.querySelectorAll('ul.to-do-list li[id]')].find(nodeListItemOther => nodeListItemOther.id === id);
+    if (nodeListItem === undefined) {
+      return;
+    }
+    // Expand the task if the to-do list item is one of its collapsed subtasks.
+    nodeListItem.parentNode.closest('li.collapsed')?.querySelector(':scope > button.collapse').click();
+    nodeListItem.classList.add('highlighted');
+    nodeListItem.scrollIntoView({block: 'center'});
+    nodeListItem.querySelector(':scope > input.select').focus({preventScroll: true});
+  }
+  /**
+   * Method to show or hide the focused to-do list item's notes, respectively to start adding notes if it has none.
+   */
+  toggleFocusedToDoListItemNotes() {
+    this.#getFocusedListItem()?.querySelector(':scope > button.notes').click();
+  }
+  /**
+   * Method to bind event handlers to move or copy to-do list items to another to-do list.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do list items' IDs, the other to-do list's ID
+   * and either "move" or "copy".
+   */
+  bindTransferToDoListItem(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.transfer').forEach(nodeToDoListItemTransfer => {
+      nodeToDoListItemTransfer.addEventListener('click', () => {
+        const nodeSpanTransferToDoListItem = this.#createElement('span', 'transfer');
+        const nodeSelectToDoList = this.#createElement('select');
+        nodeSelectToDoList.append(...this.#createToDoListOptions());
+        const nodeMove = this.#createElement('button', 'move');
+        nodeMove.textContent = 'Move';
+        const nodeCopy = this.#createElement('button', 'copy');
+        nodeCopy.textContent = 'Copy';
+        const nodeCancel = this.#createElement('button', 'cancel');
+        nodeCancel.textContent = 'Cancel';
+        nodeSpanTransferToDoListItem.append('To list', nodeSelectToDoList, nodeMove, nodeCopy, nodeCancel);
+        nodeToDoListItemTransfer.parentNode.querySelector(':scope > label.text').after(nodeSpanTransferToDoListItem);
+        nodeToDoListItemTransfer.classList.add('hidden');
+        nodeSelectToDoList.focus();
+        const close = () => {
+          nodeSpanTransferToDoListItem.remove();
+          nodeToDoListItemTransfer.classList.remove('hidden');
+        };
+        nodeMove.addEventListener('click', () => {
+          eventHandler([nodeToDoListItemTransfer.parentNode.id], nodeSelectToDoList.value, 'move');
+        });
+        nodeCopy.addEventListener('click', () => {
+          close();
+          eventHandler([nodeToDoListItemTransfer.parentNode.id], nodeSelectToDoList.value, 'copy');
+        });
+        nodeCancel.addEventListener('click', close);
+        nodeSpanTransferToDoListItem.addEventListener('focusout', event => {
+          // Only close once the focus left the whole picker.
+          if (!this.#rendering && !nodeSpanTransferToDoListItem.contains(event.relatedTarget)) {
+            close();
+          }
+        });
+        nodeSpanTransferToDoListItem.addEventListener('keydown', event => {
+          if (event.key === 'Escape') {
+            close();
+          }
+        });
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to move or copy the selected to-do list items to another to-do list.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do list items' IDs, the other to-do list's ID
+   * and either "move" or "copy".
+   */
+  bindTransferToDoListItems(eventHandler) {
+    const nodeSelectToDoList = this.nodeBulk.querySelector('span#bulk-transfer select');
+    this.nodeBulk.querySelector('button#bulk-move-to').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), nodeSelectToDoList.value, 'move');
+    });
+    this.nodeBulk.querySelector('button#bulk-copy-to').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), nodeSelectToDoList.value, 'copy');
+    });
+  }
+  /**
+   * Method to bind event handlers to change the order to sort the to-do list's items by.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindUpdateToDoListSort(eventHandler) {
+    this.nodeSortManual.addEventListener('click', () => {
+      if (!this.nodeSortManual.classList.contains('selected')) {
+        eventHandler(null);
+      }
+    });
+    this.nodeSortPriority.addEventListener('click', () => {
+      if (!this.nodeSortPriority.classList.contains('selected')) {
+        eventHandler('priority');
+      }
+    });
+  }
+  /**
+   * Method to bind event handlers to move to-do list items using drag and drop or the keyboard (Alt+Up/Down).
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindMoveToDoListItem(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('ul.to-do-list li[draggable=true]').forEach(nodeListItem => {
+      // As subtasks are nested within their tasks, the events must not reach the tasks as well.
+      nodeListItem.addEventListener('dragstart', event => {
+        event.stopPropagation();
+        this.#draggedId = nodeListItem.id;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', nodeListItem.id);
+        nodeListItem.classList.add('dragging');
+      });
+      nodeListItem.addEventListener('dragend', event => {
+        event.stopPropagation();
+        this.#draggedId = null;
+        nodeListItem.classList.remove('dragging');
+      });
+      nodeListItem.addEventListener('dragover', event => {
+        event.stopPropagation();
+        if (this.#draggedId === null || this.#draggedId === nodeListItem.id) {
+          return;
+        }
+        // Allow dropping and indicate whether the dragged to-do list item would be placed before or after this one.
+        event.preventDefault();
+        const placement = this.#getDropPlacement(event, nodeListItem);
+        nodeListItem.classList.toggle('drop-before', placement === 'before');
+        nodeListItem.classList.toggle('drop-after', placement === 'after');
+      });
+      nodeListItem.addEventListener('dragleave', event => {
+        event.stopPropagation();
+        nodeListItem.classList.remove('drop-before', 'drop-after');
+      });
+      nodeListItem.addEventListener('drop', event => {
+        event.stopPropagation();
+        event.preventDefault();
+        nodeListItem.classList.remove('drop-before', 'drop-after');
+        const id = this.#draggedId;
+        this.#draggedId = null;
+        if (id !== null && id !== nodeListItem.id) {
+          eventHandler(id, nodeListItem.id, this.#getDropPlacement(event, nodeListItem));
+        }
+      });
+      nodeListItem.addEventListener('keydown', event => {
+        // Leave the arrow keys to inputs.
+        if (!event.altKey || !['ArrowUp', 'ArrowDown'].includes(event.key) || event.target.matches('input[type=text], input[type=date], select, textarea')) {
+          return;
+        }
+        event.stopPropagation();
+        event.preventDefault();
+        // Move tasks among tasks and subtasks among the subtasks of the same task.
+        const nodeListItems = [...nodeListItem.parentNode.children];
+        const index = nodeListItems.indexOf(nodeListItem);
+        const nodeListItemTarget = nodeListItems[event.key === 'ArrowUp' ? index - 1 : index + 1];
+        if (nodeListItemTarget !== undefined) {
+          this.#focusAfterRender = nodeListItem.id;
+          eventHandler(nodeListItem.id, nodeListItemTarget.id, event.key === 'ArrowUp' ? 'before' : 'after');
+        }
+      });
+    });
+  }
+  /**
+   * Private method to determine whether a to-do list item dropped onto another one is placed before or after it.
+   * @param {object} event - The drag event.
+   * @param {object} nodeListItem - The list item the to-do list item is dropped onto.
+   * @returns {string} Either "before" or "after".
+   */
+  #getDropPlacement(event, nodeListItem) {
+    const boundingClientRect = nodeListItem.getBoundingClientRect();
+    return event.clientY < boundingClientRect.top + boundingClientRect.height / 2 ? 'before' : 'after';
   }
   /**
-   * Private method to create a new HTML element.
-   * @param {string} elementName - The name of the new HTML element.
-   * @param {array} classList - An optional list of HTML class attribute values.
+   * Private method to get the list items of the to-do list items reachable by keyboard, i. e. not within collapsed tasks.
+   * @returns {array} The list items in the order shown.
    */
-  #createElement(elementName, ...classList) {
-    const element = document.createElement(elementName);
-    if (classList.length > 0) {
-      element.classList.add.apply(element.classList, classList);
+  #getNavigableListItems() {
+    return [...this.nodeSectionContainer.querySelectorAll('ul.to-do-list li[id]')].filter(nodeListItem => {
+      return nodeListItem.parentNode.closest('li.collapsed') === null;
+    });
+  }
+  /**
+   * Private method to get the list item of the to-do list item currently focused.
+   * @returns {object} The list item or null if no to-do list item is focused.
+   */
+  #getFocusedListItem() {
+    const nodeFocused = this.nodeSectionContainer.getRootNode().activeElement;
+    return nodeFocused?.closest('ul.to-do-list li[id]') ?? null;
+  }
+  /**
+   * Method to move the focus to another to-do list item.
+   * @param {number} offset - The number of to-do list items to move the focus by, e. g. 1 for the next one or -1 for the previous one.
+   */
+  focusToDoListItem(offset) {
+    const nodeListItems = this.#getNavigableListItems();
+    const index = nodeListItems.indexOf(this.#getFocusedListItem());
+    // Start at the first respectively last to-do list item if none is focused.
+    const indexNew = index === -1 ? (offset > 0 ? 0 : nodeListItems.length - 1) : Math.min(Math.max(index + offset, 0), nodeListItems.length - 1);
+    nodeListItems[indexNew]?.querySelector(':scope > input.select').focus();
+  }
+  /**
+   * Method to toggle the focused to-do list item, keeping the focus on it.
+   */
+  toggleFocusedToDoListItem() {
+    const nodeListItem = this.#getFocusedListItem();
+    if (nodeListItem !== null) {
+      this.#focusAfterRender = nodeListItem.id;
+      nodeListItem.querySelector(':scope > input.select').click();
     }
-    return element;
   }
   /**
-   * Method to render the to-do list.
-   * @param {object} toDoList - The to-do list to render.
+   * Method to start editing the focused to-do list item's text.
    */
-  render(toDoList) {
-    let toDoListItems = toDoList.items;
-    const windowLocationHash = window.location.hash === '' ? '#all' : window.location.hash;
-    if (toDoList.name !== undefined && toDoList.done !== undefined) {
-      const nodeHeadingTwo = this.nodeSectionContainer.querySelector('header h2');
-      const headingTwoClass = toDoList.done === false ? 'pending' : 'done';
-      nodeHeadingTwo.textContent = toDoList.name;
-      nodeHeadingTwo.classList.add(headingTwoClass);
-      nodeHeadingTwo.classList.remove('hidden');
+  editFocusedToDoListItem() {
+    this.#getFocusedListItem()?.querySelector(':scope > label.text').click();
+  }
+  /**
+   * Method to delete the focused to-do list item, moving the focus to the next one.
+   */
+  deleteFocusedToDoListItem() {
+    const nodeListItem = this.#getFocusedListItem();
+    if (nodeListItem !== null) {
+      const nodeListItems = this.#getNavigableListItems().filter(nodeListItemOther => !nodeListItem.contains(nodeListItemOther));
+      const index = this.#getNavigableListItems().indexOf(nodeListItem);
+      const nodeListItemNext = nodeListItems.slice(index).find(Boolean) ?? nodeListItems[nodeListItems.length - 1];
+      this.#focusAfterRender = nodeListItemNext?.id ?? null;
+      nodeListItem.querySelector(':scope > button.delete').click();
     }
-    const nodeSectionToDoList = this.nodeSectionContainer.querySelector('section.to-do-list');
-    // First, remove any existing child nodes respectively the paragraph or the to-do list.
-    nodeSectionToDoList.replaceChildren();
-    const nodeHorizontalRule = this.nodeSectionContainer.querySelector('hr');
-    const nodeFooter = this.nodeSectionContainer.querySelector('footer');
-    const nodeCountToDoListItems = this.nodeSectionContainer.querySelector('footer span#count');
-    if (toDoListItems.length > 0) {
-      const toDoListItemsPending = toDoListItems.filter(toDoListItem => {
-        return toDoListItem.done !== true;
-      });
-      const toDoListItemsDone = toDoListItems.filter(toDoListItem => {
-        return toDoListItem.done !== false;
-      });
-      const countToDoListItemsAll = toDoListItems.length;
-      const countToDoListItemsPending = toDoListItemsPending.length;
-      const countToDoListItemsDone = toDoListItemsDone.length;
-      if (windowLocationHash === '#pending') {
-        toDoListItems = toDoListItemsPending;
-      } else if (windowLocationHash === '#done') {
-        toDoListItems = toDoListItemsDone;
-      }
-      this.nodeToggleAllToDoListItems.classList.remove('hide');
-      this.nodeInputCreateToDoListItem.classList.add('shrink');
-      const nodeToDoList = this.#createElement('ul', 'to-do-list');
-      nodeSectionToDoList.append(nodeToDoList);
-      toDoListItems.forEach(toDoListItem => {
-        const listItemClass = toDoListItem.done === false ? 'pending' : 'done';
-        const nodeListItem = this.#createElement('li', listItemClass);
-        nodeListItem.id = toDoListItem.id;
-        const nodeListItemSelect = this.#createElement('input', 'select');
-        nodeListItemSelect.type = 'checkbox';
-        nodeListItemSelect.title = `Click to mark as ${toDoListItem.done === false ? 'done' : 'pending'}`;
-        nodeListItemSelect.checked = toDoListItem.done;
-        const nodeListItemText = this.#createElement('label', 'text');
-        nodeListItemText.dataset.created = toDoListItem.created;
-        if (toDoListItem.lastUpdated !== null) {
-          nodeListItemText.dataset.lastModified = toDoListItem.lastUpdated;
-        }
-        nodeListItemText.textContent = toDoListItem.text;
-        nodeListItemText.title = 'Click to edit';
-        const nodeListItemDelete = this.#createElement('button', 'delete');
-        nodeListItemDelete.title = 'Click to delete';
-        nodeListItem.append(nodeListItemSelect, nodeListItemText, nodeListItemDelete);
-        nodeToDoList.append(nodeListItem);
-      });
-      nodeHorizontalRule.classList.remove('hidden');
-      nodeFooter.classList.remove('hidden');
-      nodeCountToDoListItems.textContent = `${countToDoListItemsAll} (${countToDoListItemsPending}/${countToDoListItemsDone})`;
-      nodeCountToDoListItems.classList.remove('hide', 'hidden');
-      if (countToDoListItemsDone > 0) {
-        this.nodeClearToDoList.classList.remove('hide', 'hidden');
-      } else {
-        this.nodeClearToDoList.classList.add('hide', 'hidden');
-      }
-      this.nodeConfirmation.classList.add('hidden');
-    } else {
-      this.nodeToggleAllToDoListItems.classList.add('hide');
-      this.nodeInputCreateToDoListItem.classList.remove('shrink');
-      if (toDoList.id !== undefined) {
-        const nodeNothingToDo = this.#createElement('p');
-        nodeNothingToDo.textContent = 'Good for you: There\'s nothing to do!';
-        nodeSectionToDoList.append(nodeNothingToDo);
-      } else {
-        const nodeInvalidId = this.#createElement('p');
-        nodeInvalidId.textContent = 'Invalid ID! Your entries won\'t be stored!';
-        nodeSectionToDoList.append(nodeInvalidId);
-      }
-      nodeHorizontalRule.classList.add('hidden');
-      nodeFooter.classList.add('hidden');
+  }
+  /**
+   * Method to select a status filter.
+   * @param {number} index - The filter's index, i. e. 0 for all, 1 for pending and 2 for done to-do list items.
+   */
+  selectFilter(index) {
+    const nodeFilterLink = this.nodeSectionContainer.querySelectorAll('footer ul.filters li a')[index];
+    if (nodeFilterLink !== undefined) {
+      // Keep the focus on the focused to-do item if it's still shown.
+      this.#focusAfterRender = this.#getFocusedListItem()?.id ?? null;
+      window.location.hash = nodeFilterLink.hash;
     }
-    this.nodeSectionContainer.querySelectorAll('footer ul.filters li a').forEach(nodeFilterLink => {
-      nodeFilterLink.classList.remove('selected');
-    });
-    this.nodeSectionContainer.querySelector(windowLocationHash).classList.add('selected');
+  }
+  /**
+   * Method to focus the input to create a new to-do list item.
+   */
+  focusCreateToDoListItem() {
     this.nodeInputCreateToDoListItem.focus();
   }
   /**
-   * Method to bind an event handler to add a new to-do list item.
-   * @param {function} eventHandler - A function to handle the event.
+   * Method to route to the overview.
    */
-  bindCreateToDoListItem(eventHandler) {
-    this.nodeInputCreateToDoListItem.addEventListener('keydown', event => {
-      if (event.key === 'Enter') {
-        // Only accept input that isn't all whitespace.
-        if (!event.target.value.match(/^\s*$/)) {
-          eventHandler(event.target.value);
-          this.nodeInputCreateToDoListItem.value = '';
-        }
-      }
-    });
+  routeOverview() {
+    router.navigate('/');
   }
   /**
-   * Method to bind event handlers to update to-do list items.
-   * @param {function} eventHandler - A function to handle the events.
+   * Method to capture an inline edit in progress.
+   * @returns {object} An object containing the edited to-do list item's ID, the input's value and selection or null if there is no inline edit in progress.
    */
-  bindUpdateToDoListItem(eventHandler) {
-    this.nodeSectionContainer.querySelectorAll('label.text').forEach(nodeToDoListItemText => {
-      nodeToDoListItemText.addEventListener('click', () => {
-        const nodeInputUpdateToDoListItem = this.#createElement('input');
-        nodeInputUpdateToDoListItem.type = 'text';
-        nodeInputUpdateToDoListItem.value = nodeToDoListItemText.textContent;
-        nodeToDoListItemText.parentNode.appendChild(nodeInputUpdateToDoListItem);
-        nodeToDoListItemText.classList.add('hidden');
-        nodeInputUpdateToDoListItem.focus();
-        nodeInputUpdateToDoListItem.addEventListener('blur', event => {
-          // Only accept input that isn't all whitespace.
-          if (!event.target.value.match(/^\s*$/)) {
-            if (event.target.value !== nodeToDoListItemText.textContent) {
-              eventHandler(+nodeToDoListItemText.parentNode.id, nodeInputUpdateToDoListItem.value);
-            } else {
-              nodeInputUpdateToDoListItem.remove();
-              nodeToDoListItemText.classList.remove('hidden');
-            }
-          }
-        });
-        nodeInputUpdateToDoListItem.addEventListener('keydown', event => {
-          if (event.key === 'Enter') {
-            // Only accept input that isn't all whitespace.
-            if (!event.target.value.match(/^\s*$/)) {
-              if (event.target.value !== nodeToDoListItemText.textContent) {
-                eventHandler(+nodeToDoListItemText.parentNode.id, nodeInputUpdateToDoListItem.value);
-              } else {
-                nodeInputUpdateToDoListItem.remove();
-                nodeToDoListItemText.classList.remove('hidden');
-              }
-            }
-          } else if (event.key === 'Escape') {
-            nodeInputUpdateToDoListItem.remove();
-            nodeToDoListItemText.classList.remove('hidden');
-          }
-        });
-      });
-    });
+  captureInlineEdit() {
+    const nodeInputUpdateToDoListItem = this.nodeSectionContainer.querySelector('ul.to-do-list li > input[type=text]:not(.tags, .subtask)');
+    if (nodeInputUpdateToDoListItem === null) {
+      return null;
+    }
+    return {
+      id: nodeInputUpdateToDoListItem.parentNode.id,
+      value: nodeInputUpdateToDoListItem.value,
+      selectionStart: nodeInputUpdateToDoListItem.selectionStart,
+      selectionEnd: nodeInputUpdateToDoListItem.selectionEnd
+    };
+  }
+  /**
+   * Method to restore a previously captured inline edit, given the edited to-do list item still exists.
+   * @param {object} inlineEdit - The captured inline edit.
+   */
+  restoreInlineEdit(inlineEdit) {
+    const nodeToDoListItemText = this.nodeSectionContainer.querySelector(`ul.to-do-list li[id="${inlineEdit.id}"] > label.text`);
+    if (nodeToDoListItemText !== null) {
+      nodeToDoListItemText.click();
+      const nodeInputUpdateToDoListItem = nodeToDoListItemText.parentNode.querySelector(':scope > input[type=text]:not(.tags, .subtask)');
+      nodeInputUpdateToDoListItem.value = inlineEdit.value;
+      nodeInputUpdateToDoListItem.setSelectionRange(inlineEdit.selectionStart, inlineEdit.selectionEnd);
+    }
   }
   /**
    * Method to bind event handlers to delete to-do list items.
@@ -613,7 +2498,7 @@ class VanillaToDoListView {
   bindDeleteToDoListItem(eventHandler) {
     this.nodeSectionContainer.querySelectorAll('button.delete').forEach(nodeToDoListItemDelete => {
       nodeToDoListItemDelete.addEventListener('click', () => {
-        eventHandler(+nodeToDoListItemDelete.parentNode.id);
+        eventHandler(nodeToDoListItemDelete.parentNode.id);
       });
     });
   }
@@ -623,13 +2508,132 @@ class VanillaToDoListView {
    */
   bindToggleToDoListItem(eventHandler) {
     this.nodeSectionContainer.querySelectorAll('input[type=checkbox].select').forEach(nodeToDoListItemSelect => {
-      nodeToDoListItemSelect.addEventListener('click', () => {
-        nodeToDoListItemSelect.parentNode.classList.toggle('pending');
-        nodeToDoListItemSelect.parentNode.classList.toggle('done');
+      const nodeListItem = nodeToDoListItemSelect.parentNode;
+      const toggle = completeSubtasks => {
+        nodeListItem.classList.toggle('pending');
+        nodeListItem.classList.toggle('done');
         // Set a timeout to wait out the visual transition before updating the view.
         setTimeout(() => {
-          eventHandler(+nodeToDoListItemSelect.parentNode.id);
+          eventHandler(nodeListItem.id, completeSubtasks);
         }, this.long);
+      };
+      nodeToDoListItemSelect.addEventListener('click', () => {
+        const countSubtasksPending = +(nodeListItem.dataset.pendingSubtasks || 0);
+        // Offer to mark the pending subtasks as done as well when marking a task as done.
+        if (nodeListItem.classList.contains('pending') && countSubtasksPending > 0) {
+          this.#confirmCompleteSubtasks(nodeListItem, countSubtasksPending, toggle);
+        } else {
+          toggle(false);
+        }
+      });
+    });
+  }
+  /**
+   * Private method to ask whether to mark a task's pending subtasks as done as well.
+   * @param {object} nodeListItem - The task's list item.
+   * @param {number} countSubtasksPending - The number of pending subtasks.
+   * @param {function} callback - A callback function executed with whether to mark the subtasks as done as well.
+   */
+  #confirmCompleteSubtasks(nodeListItem, countSubtasksPending, callback) {
+    if (nodeListItem.querySelector(':scope > span.confirmation') !== null) {
+      return;
+    }
+    const nodeConfirmation = this.#createElement('span', 'confirmation');
+    const nodeYes = this.#createElement('button', 'yes');
+    nodeYes.textContent = 'Yes';
+    nodeYes.title = 'Click to mark the subtasks as done as well';
+    const nodeNo = this.#createElement('button', 'no');
+    nodeNo.textContent = 'No';
+    nodeNo.title = 'Click to only mark the task as done';
+    nodeConfirmation.append(`Mark ${countSubtasksPending} pending ${countSubtasksPending === 1 ? 'subtask' : 'subtasks'} as done too?`, nodeYes, nodeNo);
+    nodeListItem.querySelector(':scope > label.text').after(nodeConfirmation);
+    nodeYes.addEventListener('click', () => {
+      nodeConfirmation.remove();
+      callback(true);
+    });
+    nodeNo.addEventListener('click', () => {
+      nodeConfirmation.remove();
+      callback(false);
+    });
+  }
+  /**
+   * Method to bind event handlers to add subtasks to to-do list items.
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindCreateToDoListSubtask(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.add-subtask').forEach(nodeToDoListItemAddSubtask => {
+      const nodeListItem = nodeToDoListItemAddSubtask.parentNode;
+      const open = () => {
+        const nodeInputCreateToDoListSubtask = this.#createElement('input', 'subtask');
+        nodeInputCreateToDoListSubtask.type = 'text';
+        nodeInputCreateToDoListSubtask.placeholder = 'What is the next step?';
+        nodeListItem.classList.remove('collapsed');
+        nodeListItem.appendChild(nodeInputCreateToDoListSubtask);
+        nodeToDoListItemAddSubtask.classList.add('hidden');
+        nodeInputCreateToDoListSubtask.focus();
+        const close = () => {
+          nodeInputCreateToDoListSubtask.remove();
+          nodeToDoListItemAddSubtask.classList.remove('hidden');
+        };
+        nodeInputCreateToDoListSubtask.addEventListener('blur', () => {
+          if (!this.#rendering) {
+            close();
+          }
+        });
+        nodeInputCreateToDoListSubtask.addEventListener('keydown', event => {
+          if (event.key === 'Enter') {
+            // Only accept input that isn't all whitespace.
+            if (!event.target.value.match(/^\s*$/)) {
+              // Keep adding subtasks to the same to-do list item after rendering.
+              this.#subtaskParentAfterRender = nodeListItem.id;
+              eventHandler(event.target.value, nodeListItem.id);
+            }
+          } else if (event.key === 'Escape') {
+            close();
+          }
+        });
+      };
+      nodeToDoListItemAddSubtask.addEventListener('click', open);
+      if (this.#subtaskParentAfterRender === nodeListItem.id) {
+        open();
+      }
+    });
+    this.#subtaskParentAfterRender = null;
+  }
+  /**
+   * Private method to load the IDs of the to-do list items whose subtasks are collapsed from the session storage.
+   * @returns {Set} The IDs or none if they are invalid or the session storage can't be used.
+   */
+  #loadCollapsed() {
+    try {
+      const ids = JSON.parse(sessionStorage.getItem('collapsedToDoListItems'));
+      if (Array.isArray(ids)) {
+        return new Set(ids);
+      }
+    } catch (error) {
+      // Rather show all subtasks than fail to render the to-do list.
+      console.warn('The collapsed to-do list items could not be loaded!', error);
+    }
+    return new Set();
+  }
+  /**
+   * Method to bind event handlers to collapse and expand the subtasks of to-do list items.
+   */
+  bindCollapseToDoListItem() {
+    this.nodeSectionContainer.querySelectorAll('button.collapse').forEach(nodeToDoListItemCollapse => {
+      nodeToDoListItemCollapse.addEventListener('click', () => {
+        const id = nodeToDoListItemCollapse.parentNode.id;
+        if (nodeToDoListItemCollapse.parentNode.classList.toggle('collapsed')) {
+          this.#collapsed.add(id);
+        } else {
+          this.#collapsed.delete(id);
+        }
+        try {
+          sessionStorage.setItem('collapsedToDoListItems', JSON.stringify([...this.#collapsed]));
+        } catch (error) {
+          // Rather keep the collapsed to-do list items in memory only than fail to collapse them.
+          console.warn('The collapsed to-do list items could not be stored!', error);
+        }
       });
     });
   }
@@ -669,6 +2673,66 @@ class VanillaToDoListView {
       });
     });
   }
+  /**
+   * Method to bind event handlers to export the to-do list.
+   * @param {function} eventHandler - A function to handle the events, receiving the export format (either "markdown" or "csv").
+   */
+  bindExportToDoList(eventHandler) {
+    this.nodeExportMarkdown.addEventListener('click', () => {
+      eventHandler('markdown');
+    });
+    this.nodeExportCsv.addEventListener('click', () => {
+      eventHandler('csv');
+    });
+  }
+  /**
+   * Method to bind event handlers to duplicate the to-do list.
+   * @param {function} eventHandler - A function to handle the events, receiving whether to reset all of the copy's items to pending.
+   */
+  bindDuplicateToDoList(eventHandler) {
+    this.nodeDuplicate.addEventListener('click', () => {
+      eventHandler(false);
+    });
+    this.nodeDuplicatePending.addEventListener('click', () => {
+      eventHandler(true);
+    });
+  }
+  /**
+   * Method to bind an event handler to save the to-do list as template.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindSaveTemplate(eventHandler) {
+    this.nodeSaveTemplate.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
+  /**
+   * Method to render that the to-do list was saved as template.
+   */
+  renderTemplateSaved() {
+    this.nodeTemplateSaved.classList.remove('hidden');
+  }
+  /**
+   * Method to route to another to-do list.
+   * @param {string} id - The to-do list's ID.
+   */
+  routeToDoList(id) {
+    router.navigate(`/to-do-list/${id}`);
+  }
+  /**
+   * Method to download a file.
+   * @param {string} fileName - The file's name.
+   * @param {string} type - The file's media type.
+   * @param {string} content - The file's content.
+   */
+  download(fileName, type, content) {
+    const url = URL.createObjectURL(new Blob([content], {type}));
+    const nodeLink = this.#createElement('a');
+    nodeLink.href = url;
+    nodeLink.download = fileName;
+    nodeLink.click();
+    URL.revokeObjectURL(url);
+  }
   /**
    * Method to bind an event handler for when the window hash changed.
    * @param {function} eventHandler - A function to handle the event.
@@ -696,24 +2760,70 @@ class VanillaToDoListController {
     this.view.bindCreateToDoListItem(this.handleCreateToDoListItem);
     this.view.bindToggleAllToDoListItems(this.handleToggleAllToDoListItems);
     this.view.bindClearToDoList(this.handleClearToDoList);
+    this.view.bindUpdateToDoListSort(this.handleUpdateToDoListSort);
+    this.view.bindFilterToDoListItemsByTag();
+    this.view.bindExportToDoList(this.handleExportToDoList);
+    this.view.bindDuplicateToDoList(this.handleDuplicateToDoList);
+    this.view.bindSaveTemplate(this.handleSaveTemplate);
+    this.view.bindUndo(this.handleUndo);
+    this.view.bindRedo(this.handleRedo);
+    this.view.bindSelectToDoListItems();
+    this.view.bindUpdateToDoListItemsDone(this.handleUpdateToDoListItemsDone);
+    this.view.bindMoveToDoListItems(this.handleMoveToDoListItems);
+    this.view.bindTagToDoListItems(this.handleTagToDoListItems);
+    this.view.bindDeleteToDoListItems(this.handleDeleteToDoListItems);
+    this.view.bindTransferToDoListItems(this.handleTransferToDoListItems);
     // this.view.bindWindowHashChange(this.handleWindowHashChange);
-    this.onToDoListChanged(this.model.toDoList);
+    // Render right away unless the shared store is still loading, as it notifies the model as soon as it's done.
+    if (this.model.loaded) {
+      this.onToDoListChanged(this.model.toDoList);
+    }
   }
   /**
    * Method for when the to-do list changed.
    * @param {object} toDoList - The changed to-do list.
+   * @param {object} change - An optional object describing the change.
    */
-  onToDoListChanged = (toDoList) => {
+  onToDoListChanged = (toDoList, change = {}) => {
+    // Keep an inline edit in progress when the to-do list was changed by another browsing context.
+    const inlineEdit = change.remote ? this.view.captureInlineEdit() : null;
     this.view.render(toDoList);
+    this.view.renderTags(this.model.tags);
+    this.view.renderOtherToDoLists(this.model.otherToDoLists);
+    this.view.renderHistory(this.model.canUndo, this.model.canRedo);
     this.view.bindUpdateToDoListItem(this.handleUpdateToDoListItem);
     this.view.bindDeleteToDoListItem(this.handleDeleteToDoListItem);
     this.view.bindToggleToDoListItem(this.handleToggleToDoListItem);
+    this.view.bindCreateToDoListSubtask(this.handleCreateToDoListItem);
+    this.view.bindCollapseToDoListItem();
+    this.view.bindUpdateToDoListItemDue(this.handleUpdateToDoListItemDue);
+    this.view.bindUpdateToDoListItemPriority(this.handleUpdateToDoListItemPriority);
+    this.view.bindUpdateToDoListItemTags(this.handleUpdateToDoListItemTags);
+    this.view.bindUpdateToDoListItemRecurrence(this.handleUpdateToDoListItemRecurrence);
+    this.view.bindUpdateToDoListItemNotes(this.handleUpdateToDoListItemNotes);
+    this.view.bindCopyToDoListItemLink();
+    this.view.bindMoveToDoListItem(this.handleMoveToDoListItem);
+    this.view.bindTransferToDoListItem(this.handleTransferToDoListItems);
+    if (inlineEdit !== null) {
+      this.view.restoreInlineEdit(inlineEdit);
+    }
+    this.revealLinkedToDoListItem();
+  }
+  /**
+   * Method to reveal the to-do list item linked to directly, once the to-do list is rendered and attached to the document.
+   */
+  revealLinkedToDoListItem() {
+    if (this.model.linkedToDoListItemId === null || !this.model.loaded || !this.view.nodeSectionContainer.isConnected) {
+      return;
+    }
+    this.view.revealToDoListItem(this.model.linkedToDoListItemId);
+    this.model.linkedToDoListItemId = null;
   }
   /**
    * Method to handle the create a new to-do list item event.
    */
-  handleCreateToDoListItem = toDoListItemText => {
-    this.model.createToDoListItem(toDoListItemText);
+  handleCreateToDoListItem = (toDoListItemText, parentId = null) => {
+    this.model.createToDoListItem(toDoListItemText, parentId);
   };
   /**
    * Method to handle the update a to-do list item event.
@@ -721,6 +2831,82 @@ class VanillaToDoListController {
   handleUpdateToDoListItem = (id, toDoListItemTextNew) => {
     this.model.updateToDoListItem(id, toDoListItemTextNew);
   };
+  /**
+   * Method to handle the update a to-do list item's due date event.
+   */
+  handleUpdateToDoListItemDue = (id, due) => {
+    this.model.updateToDoListItemDue(id, due);
+  };
+  /**
+   * Method to handle the update a to-do list item's priority event.
+   */
+  handleUpdateToDoListItemPriority = (id, priority) => {
+    this.model.updateToDoListItemPriority(id, priority);
+  };
+  /**
+   * Method to handle the update a to-do list item's tags event.
+   */
+  handleUpdateToDoListItemTags = (id, tags) => {
+    this.model.updateToDoListItemTags(id, tags);
+  };
+  /**
+   * Method to handle the update a to-do list item's recurrence rule event.
+   */
+  handleUpdateToDoListItemRecurrence = (id, recurrence) => {
+    this.model.updateToDoListItemRecurrence(id, recurrence);
+  };
+  /**
+   * Method to handle the update a to-do list item's notes event.
+   */
+  handleUpdateToDoListItemNotes = (id, notes) => {
+    this.model.updateToDoListItemNotes(id, notes);
+  };
+  /**
+   * Method to handle the move a to-do list item event.
+   */
+  handleMoveToDoListItem = (id, targetId, placement) => {
+    this.model.moveToDoListItem(id, targetId, placement);
+  };
+  /**
+   * Method to handle the mark the selected to-do list items as done or pending event.
+   */
+  handleUpdateToDoListItemsDone = (ids, done) => {
+    this.model.updateToDoListItemsDone(ids, done);
+  };
+  /**
+   * Method to handle the move the selected to-do list items event.
+   */
+  handleMoveToDoListItems = (ids, position) => {
+    this.model.moveToDoListItems(ids, position);
+  };
+  /**
+   * Method to handle the move or copy to-do list items to another to-do list event.
+   */
+  handleTransferToDoListItems = (ids, targetToDoListId, mode) => {
+    if (mode === 'move') {
+      this.model.moveToDoListItemsToToDoList(ids, targetToDoListId);
+    } else {
+      this.model.copyToDoListItemsToToDoList(ids, targetToDoListId);
+    }
+  };
+  /**
+   * Method to handle the tag the selected to-do list items event.
+   */
+  handleTagToDoListItems = (ids, tag) => {
+    this.model.tagToDoListItems(ids, tag);
+  };
+  /**
+   * Method to handle the delete the selected to-do list items event.
+   */
+  handleDeleteToDoListItems = ids => {
+    this.model.deleteToDoListItems(ids);
+  };
+  /**
+   * Method to handle the change the order to sort the to-do list's items by event.
+   */
+  handleUpdateToDoListSort = sortBy => {
+    this.model.updateToDoListSort(sortBy);
+  };
   /**
    * Method to handle the delete a to-do list item event.
    */
@@ -730,8 +2916,8 @@ class VanillaToDoListController {
   /**
    * Method to handle the toggle a to-do list item event.
    */
-  handleToggleToDoListItem = id => {
-    this.model.toggleToDoListItem(id);
+  handleToggleToDoListItem = (id, completeSubtasks) => {
+    this.model.toggleToDoListItem(id, completeSubtasks);
   };
   /**
    * Method to handle the toggle all to-do list items event.
@@ -745,6 +2931,61 @@ class VanillaToDoListController {
   handleClearToDoList = () => {
     this.model.clearToDoList();
   };
+  /**
+   * Method to handle the export the to-do list event.
+   */
+  handleExportToDoList = format => {
+    if (format === 'markdown') {
+      this.view.download(toFileName(this.model.toDoList, 'md'), 'text/markdown', toMarkdown(this.model.toDoList));
+    } else if (format === 'csv') {
+      this.view.download(toFileName(this.model.toDoList, 'csv'), 'text/csv', toCsv(this.model.toDoList));
+    }
+  };
+  /**
+   * Method to handle the duplicate the to-do list event, showing the copy right away.
+   */
+  handleDuplicateToDoList = async resetItems => {
+    this.view.routeToDoList(await this.model.duplicateToDoList(resetItems));
+  };
+  /**
+   * Method to handle the save the to-do list as template event.
+   */
+  handleSaveTemplate = async () => {
+    await this.model.saveTemplate();
+    this.view.renderTemplateSaved();
+  };
+  /**
+   * Method to handle the undo the latest change event.
+   */
+  handleUndo = () => {
+    this.model.undo();
+  };
+  /**
+   * Method to handle the redo the latest undone change event.
+   */
+  handleRedo = () => {
+    this.model.redo();
+  };
+  /**
+   * Method to get the to-do list's keyboard shortcuts.
+   */
+  get shortcuts() {
+    return [
+      {keys: 'j', description: 'Focus the next item', handler: () => this.view.focusToDoListItem(1)},
+      {keys: 'k', description: 'Focus the previous item', handler: () => this.view.focusToDoListItem(-1)},
+      {keys: 'x', description: 'Mark the focused item as done or pending', handler: () => this.view.toggleFocusedToDoListItem()},
+      {keys: 'e', description: 'Edit the focused item', handler: () => this.view.editFocusedToDoListItem()},
+      {keys: 'o', description: 'Show or hide the focused item\'s notes', handler: () => this.view.toggleFocusedToDoListItemNotes()},
+      {keys: 'Delete', description: 'Move the focused item to the trash', handler: () => this.view.deleteFocusedToDoListItem()},
+      {keys: '1', description: 'Show all items', handler: () => this.view.selectFilter(0)},
+      {keys: '2', description: 'Show pending items', handler: () => this.view.selectFilter(1)},
+      {keys: '3', description: 'Show done items', handler: () => this.view.selectFilter(2)},
+      {keys: 'n', description: 'Create a new item', handler: () => this.view.focusCreateToDoListItem()},
+      {keys: 'g o', description: 'Go to the overview', handler: () => this.view.routeOverview()},
+      {keys: 'Ctrl+Z', description: 'Undo the latest change', handler: this.handleUndo},
+      {keys: 'Ctrl+Shift+Z', description: 'Redo the latest undone change', handler: this.handleRedo}
+    ];
+  }
   /**
    * Method to handle the window hash change event.
    */
@@ -785,18 +3026,28 @@ class VanillaToDoList extends HTMLElement {
    */
   constructor() {
     super();
-    this.application = new VanillaToDoListController(new VanillaToDoListModel(this.id), new VanillaToDoListView());
+    this.application = new VanillaToDoListController(new VanillaToDoListModel(this.id, this.getAttribute('item-id')), new VanillaToDoListView());
     const shadowRoot = this.attachShadow({mode: 'open'});
     shadowRoot.append(this.application.view.nodeStyle, this.application.view.nodeSectionContainer);
     shadowRoot.querySelector('header input').focus();
   }
   connectedCallback() {
+    // Subscribe to the shared store.
+    this.application.model.connect();
     // Add an event handler for when the window hash changed.
     window.addEventListener('hashchange', this.application.handleWindowHashChange);
+    // Register the keyboard shortcuts.
+    this.unregisterShortcuts = shortcuts.register(this.application.shortcuts);
+    // Reveal the to-do list item linked to directly, given the to-do list was rendered already.
+    this.application.revealLinkedToDoListItem();
   }
   disconnectedCallback() {
+    // Unsubscribe from the shared store.
+    this.application.model.disconnect();
     // Remove the event handler for when the window hash changed.
     window.removeEventListener('hashchange', this.application.handleWindowHashChange);
+    // Unregister the keyboard shortcuts.
+    this.unregisterShortcuts();
   }
 }
 
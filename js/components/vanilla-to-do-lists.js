@@ -2,16 +2,64 @@
  * Import subcomponent for a to-do list preview.
  */
 import {VanillaToDoListPreview} from './vanilla-to-do-list-preview.js';
+/**
+ * Import subcomponent for the keyboard shortcuts overlay.
+ */
+import './vanilla-to-do-list-shortcuts.js';
+/**
+ * Import the store shared by all components.
+ */
+import {store} from '../store.js';
+/**
+ * Import the router shared by all components.
+ */
+import {router} from '../router.js';
+/**
+ * Import the registry of keyboard shortcuts shared by all components.
+ */
+import {shortcuts} from '../shortcuts.js';
+/**
+ * Import functions to create and parse backup documents.
+ */
+import {createBackup, parseBackup} from '../backup.js';
+/**
+ * Import functions to handle to-do list items' due dates.
+ */
+import {toDateString, countDueToDoListItems} from '../due.js';
+/**
+ * Import a function to count pending to-do list items of high priority.
+ */
+import {countPendingHighPriority} from '../priority.js';
+/**
+ * Import functions to handle to-do list items' tags and the filters.
+ */
+import {toDoListStatusFilters, normalizeTag, collectTags, hasTag, parseFilterHash, toFilterHash} from '../tags.js';
+/**
+ * Import a function to count tasks and subtasks.
+ */
+import {countToDoListItems} from '../subtasks.js';
 
 /**
  * Class representing the to-do lists' dynamic data structure.
  */
 class VanillaToDoListsModel {
   /**
-   * Retrieve a to-do lists array from local storage if available or create an empty one.
+   * Retrieve the to-do lists array from the shared store.
    */
   constructor() {
-    this.toDoLists = JSON.parse(localStorage.getItem('toDoLists')) || [];
+    this.toDoLists = store.toDoLists;
+  }
+  /**
+   * Method to get whether the shared store finished loading the to-do lists.
+   */
+  get loaded() {
+    return store.loaded;
+  }
+  /**
+   * Method to get the tags used in any to-do list.
+   */
+  get tags() {
+    return collectTags(this.toDoLists);
   }
   /**
    * Method to bind a callback for when the to-do lists changed.
@@ -21,102 +69,227 @@ class VanillaToDoListsModel {
     this.onToDoListsChanged = callback;
   }
   /**
-   * Private method to store to-do lists to local storage.
-   * @param {object} toDoLists - The to-do lists to store.
+   * Method to subscribe to the shared store to update the view whenever the to-do lists changed.
+   */
+  connect() {
+    this.unsubscribe = store.subscribe((toDoLists, change) => {
+      this.toDoLists = toDoLists;
+      this.#updateView(this.toDoLists, change);
+    });
+    // Catch up with changes applied while not being subscribed.
+    if (this.toDoLists !== store.toDoLists) {
+      this.toDoLists = store.toDoLists;
+      this.#updateView(this.toDoLists);
+    }
+  }
+  /**
+   * Method to unsubscribe from the shared store.
    */
-  #store(toDoLists) {
-    localStorage.setItem('toDoLists', JSON.stringify(toDoLists));
+  disconnect() {
+    this.unsubscribe();
   }
   /**
    * Private method to update the view.
    * @param {object} toDoLists - The to-do lists to display.
+   * @param {object} change - An optional object describing the change.
    */
-  #updateView(toDoLists) {
-    this.onToDoListsChanged(toDoLists);
+  #updateView(toDoLists, change) {
+    this.onToDoListsChanged(toDoLists, change);
   }
   /**
    * Method to create a new to-do list.
    * @param {string} toDoListName - The new to-do list's name.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   createToDoList(toDoListName) {
-    const toDoListDateCreated = new Date();
-    const toDoList = {
-      // Use the number of milliseconds since the ECMAScript epoch until the to-do list's creation as the to-do list's ID.
-      // As this number is unique (with a probability bordering on certainty) there is no need to determine the last assigned to-do list's ID in order to increment it.
-      id: toDoListDateCreated.getTime(),
-      created: toDoListDateCreated.toJSON(),
-      lastRenamed: null,
-      lastUpdated: null,
-      name: toDoListName,
-      done: false,
-      items: []
-    };
-    this.toDoLists.push(toDoList);
-    this.#store(this.toDoLists);
-    this.#updateView(this.toDoLists);
+    return store.dispatch('createToDoList', toDoListName);
+  }
+  /**
+   * Method to create a new to-do list from a template.
+   * @param {string} templateId - The template's ID.
+   * @param {string} toDoListName - The new to-do list's name.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  createToDoListFromTemplate(templateId, toDoListName) {
+    const template = store.templates.find(template => template.id === templateId);
+    return store.dispatch('createToDoListFromTemplate', template, toDoListName);
+  }
+  /**
+   * Method to get the templates to create to-do lists from.
+   */
+  get templates() {
+    return store.templates;
+  }
+  /**
+   * Method to delete a template.
+   * @param {string} id - The template's ID.
+   * @returns {Promise} A promise resolved when the templates are stored.
+   */
+  deleteTemplate(id) {
+    return store.deleteTemplate(id);
   }
   /**
    * Method to update a to-do list.
-   * @param {number} id - The to-do list's ID.
+   * @param {string} id - The to-do list's ID.
    * @param {string} toDoListNameNew - The new to-do list's name.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   updateToDoList(id, toDoListNameNew) {
-    this.toDoLists = this.toDoLists.map(toDoList => {
-      if (toDoList.id === id) {
-        const toDoListDateLastRenamed = new Date();
-        toDoList.lastRenamed = toDoListDateLastRenamed.toJSON();
-        toDoList.name = toDoListNameNew;
-      }
-      return toDoList;
-    });
-    this.#store(this.toDoLists);
-    this.#updateView(this.toDoLists);
+    return store.dispatch('updateToDoList', id, toDoListNameNew);
   }
   /**
    * Method to delete a to-do list.
-   * @param {number} id - The to-do list's ID.
+   * @param {string} id - The to-do list's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   deleteToDoList(id) {
-    this.toDoLists = this.toDoLists.filter(toDoList => {
-      return toDoList.id !== id;
-    });
-    this.#store(this.toDoLists);
-    this.#updateView(this.toDoLists);
+    return store.dispatch('deleteToDoList', id);
+  }
+  /**
+   * Method to move a to-do list before or after another one.
+   * @param {string} id - The ID of the to-do list to move.
+   * @param {string} targetId - The ID of the to-do list to move the to-do list next to.
+   * @param {string} placement - Either "before" or "after".
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  moveToDoList(id, targetId, placement) {
+    return store.dispatch('moveToDoList', id, targetId, placement);
   }
   /**
    * Method to toggle a to-do list.
-   * @param {number} id - The to-do list's ID.
+   * @param {string} id - The to-do list's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   toggleToDoList(id) {
-    this.toDoLists = this.toDoLists.map(toDoList => {
-      if (toDoList.id === id) {
-        toDoList.done = !toDoList.done;
-      }
-      return toDoList;
-    });
-    this.#store(this.toDoLists);
-    this.#updateView(this.toDoLists);
+    return store.dispatch('toggleToDoList', id);
   }
   /**
    * Method to toggle all to-do lists.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   toggleAllToDoLists() {
-    this.toDoLists = this.toDoLists.map(toDoList => {
-      toDoList.done = !toDoList.done;
-      return toDoList;
-    });
-    this.#store(this.toDoLists);
-    this.#updateView(this.toDoLists);
+    return store.dispatch('toggleAllToDoLists');
   }
   /**
    * Method to clear (delete all done) to-do lists (to-do lists).
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
    */
   clearToDoLists() {
-    this.toDoLists = this.toDoLists.filter(toDoList => {
-      return toDoList.done === false;
-    });
-    this.#store(this.toDoLists);
-    this.#updateView(this.toDoLists);
+    return store.dispatch('clearToDoLists');
+  }
+  /**
+   * Method to archive a to-do list.
+   * @param {string} id - The to-do list's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  archiveToDoList(id) {
+    return store.dispatch('archiveToDoList', id);
+  }
+  /**
+   * Method to unarchive a to-do list.
+   * @param {string} id - The to-do list's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  unarchiveToDoList(id) {
+    return store.dispatch('unarchiveToDoList', id);
+  }
+  /**
+   * Method to archive all done to-do lists.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  archiveToDoLists() {
+    return store.dispatch('archiveToDoLists');
+  }
+  /**
+   * Method to mark several to-do lists as done or pending.
+   * @param {array} ids - The to-do lists' IDs.
+   * @param {boolean} done - Whether to mark the to-do lists as done.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  updateToDoListsDone(ids, done) {
+    return store.dispatch('updateToDoListsDone', ids, done);
+  }
+  /**
+   * Method to delete several to-do lists.
+   * @param {array} ids - The to-do lists' IDs.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  deleteToDoLists(ids) {
+    return store.dispatch('deleteToDoLists', ids);
+  }
+  /**
+   * Method to move several to-do lists to the top or the bottom.
+   * @param {array} ids - The to-do lists' IDs.
+   * @param {string} position - Either "top" or "bottom".
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  moveToDoLists(ids, position) {
+    return store.dispatch('moveToDoLists', ids, position);
+  }
+  /**
+   * Method to tag all items of several to-do lists.
+   * @param {array} ids - The to-do lists' IDs.
+   * @param {string} tag - The normalized tag.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  tagToDoLists(ids, tag) {
+    return store.dispatch('tagToDoLists', ids, tag);
+  }
+  /**
+   * Method to create a backup document of all to-do lists.
+   * @returns {object} The backup document.
+   */
+  createBackup() {
+    return createBackup(this.toDoLists);
+  }
+  /**
+   * Method to parse and validate a backup document.
+   * @param {string} text - The backup document's JSON text.
+   * @returns {array} The backed up to-do lists.
+   */
+  parseBackup(text) {
+    return parseBackup(text);
+  }
+  /**
+   * Method to import to-do lists.
+   * @param {array} toDoLists - The to-do lists to import.
+   * @param {string} mode - Either "replace", "merge" or "copy".
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  importToDoLists(toDoLists, mode) {
+    return store.dispatch('importToDoLists', toDoLists, mode);
+  }
+  /**
+   * Method to get whether there is a change to undo.
+   */
+  get canUndo() {
+    return store.canUndo();
+  }
+  /**
+   * Method to get the number of deleted to-do lists and to-do list items in the trash.
+   */
+  get countTrashEntries() {
+    return store.trash.entries.length;
+  }
+  /**
+   * Method to get whether there is a change to redo.
+   */
+  get canRedo() {
+    return store.canRedo();
+  }
+  /**
+   * Method to undo the latest change.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  undo() {
+    return store.undo();
+  }
+  /**
+   * Method to redo the latest undone change.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  redo() {
+    return store.redo();
   }
 }
 
@@ -136,6 +309,8 @@ class VanillaToDoListsView {
         --cyan-three-quarter-transparent: rgba(0, 157, 224, 0.25);
         --gray: rgba(128, 128, 128, 1.0);
         --gray-semi-transparent: rgba(128, 128, 128, 0.5);
+        --orange: rgba(224, 134, 0, 1.0);
+        --red: rgba(224, 40, 0, 1.0);
         --short: ${this.short}ms;
         --long: ${this.long}ms;
         font-family: 'Montserrat', sans-serif;
@@ -184,6 +359,43 @@ class VanillaToDoListsView {
       header h2 {
         margin: 0;
       }
+      header a#search,
+      header a#trash {
+        float: left;
+        margin: 0.25em 0 0 0;
+        cursor: pointer;
+        font-size: 0.8em;
+        text-decoration: none;
+        color: var(--cyan);
+      }
+      header a#trash {
+        margin: 0.25em 0 0 1em;
+      }
+      header a#search:hover,
+      header a#trash:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      header span#history {
+        display: block;
+        margin: 0.25em 0 0 0;
+        text-align: end;
+      }
+      header span#history button {
+        all: unset;
+        cursor: pointer;
+        font-size: 0.8em;
+        color: var(--cyan);
+      }
+      header span#history button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      header span#history button:disabled {
+        cursor: default;
+        text-decoration: none;
+        color: var(--gray-semi-transparent);
+      }
       header button#toggle-all {
         all: unset;
         position: relative;
@@ -237,6 +449,22 @@ class VanillaToDoListsView {
         margin: 0 0 0 10%;
         width: 90%;
       }
+      header select#template {
+        display: block;
+        margin: 0.25em 0 0 auto;
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        font-size: 0.8em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: none;
+      }
+      header select#template:focus {
+        border-color: var(--cyan);
+      }
+      header select#template.hidden {
+        display: none;
+      }
       section.to-do-lists ul.to-do-lists {
         padding: 0;
         text-align: start;
@@ -252,6 +480,18 @@ class VanillaToDoListsView {
       section.to-do-lists ul.to-do-lists li:hover {
         outline: var(--gray-semi-transparent) dashed 0.1em;
       }
+      section.to-do-lists ul.to-do-lists li[draggable=true] {
+        cursor: grab;
+      }
+      section.to-do-lists ul.to-do-lists li.dragging {
+        opacity: 0.5;
+      }
+      section.to-do-lists ul.to-do-lists li.drop-before {
+        box-shadow: inset 0 0.15em 0 var(--cyan);
+      }
+      section.to-do-lists ul.to-do-lists li.drop-after {
+        box-shadow: inset 0 -0.15em 0 var(--cyan);
+      }
       section.to-do-lists ul.to-do-lists li input[type=checkbox].select {
         appearance: none;
         position: relative;
@@ -281,6 +521,57 @@ class VanillaToDoListsView {
       section.to-do-lists ul.to-do-lists li.hide {
         opacity: 0;
       }
+      section.to-do-lists.selecting ul.to-do-lists li {
+        cursor: pointer;
+      }
+      section.to-do-lists.selecting ul.to-do-lists li input[type=checkbox].select {
+        border-radius: 0.2em;
+      }
+      section.to-do-lists ul.to-do-lists li.selected label.name {
+        border-radius: 0.25em;
+        background-color: var(--cyan-three-quarter-transparent);
+      }
+      div#bulk {
+        margin: 0.5em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      div#bulk.hidden {
+        display: none;
+      }
+      div#bulk span {
+        margin: 0 0 0 0.75em;
+      }
+      div#bulk span#selected-count {
+        margin: 0;
+      }
+      div#bulk button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      div#bulk button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      div#bulk button:disabled {
+        cursor: default;
+        text-decoration: none;
+        color: var(--gray-semi-transparent);
+      }
+      div#bulk input {
+        margin: 0 0 0 0.25em;
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        width: 6em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: none;
+      }
+      div#bulk input:focus {
+        border-color: var(--cyan);
+      }
       section.to-do-lists ul.to-do-lists li label.name {
         --strikethrough: 0;
         transition: background-size var(--long) ease-in-out, color var(--long) ease-in-out;
@@ -293,6 +584,12 @@ class VanillaToDoListsView {
         text-decoration: none;
         color: var(--cyan);
       }
+      section.to-do-lists ul.to-do-lists li label.name span.count.due-today {
+        color: var(--orange);
+      }
+      section.to-do-lists ul.to-do-lists li label.name span.count.overdue {
+        color: var(--red);
+      }
       section.to-do-lists ul.to-do-lists li.done label.name {
         --strikethrough: 1;
         color: var(--gray);
@@ -366,6 +663,39 @@ class VanillaToDoListsView {
       section.to-do-lists ul.to-do-lists li:hover button.delete {
         opacity: 1;
       }
+      section.to-do-lists ul.to-do-lists li button.archive {
+        all: unset;
+        position: absolute;
+        bottom: 0.6em;
+        right: 3em;
+        opacity: 0;
+        transition: opacity var(--short) ease-in-out;
+        margin: 0 0.5em 0 0;
+        border: 0.15em solid var(--cyan);
+        border-top-width: 0.35em;
+        border-radius: 0.1em;
+        box-sizing: border-box;
+        width: 1em;
+        height: 0.9em;
+        cursor: pointer;
+      }
+      section.to-do-lists ul.to-do-lists li button.archive::before {
+        content: '';
+        position: absolute;
+        top: 0.1em;
+        left: 0.2em;
+        right: 0.2em;
+        border-radius: 0.05em;
+        height: 0.12em;
+        background: var(--cyan);
+      }
+      section.to-do-lists ul.to-do-lists li:hover button.archive {
+        opacity: 1;
+      }
+      section.to-do-lists ul.to-do-lists li.archived button.archive {
+        border-top-width: 0.15em;
+        border-bottom-width: 0.35em;
+      }
       section.to-do-lists ul.to-do-lists li input[type=text] {
         width: calc(100% - 1.5em);
       }
@@ -429,6 +759,7 @@ class VanillaToDoListsView {
         border-radius: 0.25em;
       }
       footer button#clear,
+      footer button#archive,
       footer button#yes,
       footer button#no {
         all: unset;
@@ -436,6 +767,7 @@ class VanillaToDoListsView {
         color: var(--cyan);
       }
       footer button#clear,
+      footer button#archive,
       footer span#confirmation {
         position: relative;
         float: right;
@@ -444,15 +776,94 @@ class VanillaToDoListsView {
         padding: 0;
       }
       footer button#clear:hover,
+      footer button#archive:hover,
       footer button#yes:hover,
       footer button#no:hover {
         text-decoration: underline;
         text-decoration-color: var(--gray-semi-transparent);
       }
-      footer button#clear.hide {
+      footer button#clear.hide,
+      footer button#archive.hide {
         opacity: 0;
       }
-      footer button#clear.hidden {
+      footer button#clear.hidden,
+      footer button#archive.hidden {
+        display: none;
+      }
+      footer button#archive {
+        margin: 0 0.75em 0 0;
+      }
+      footer div#tag-filter,
+      footer div#select {
+        clear: both;
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      footer div#select button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        border-radius: 0.25em;
+        padding: 0 0.2em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      footer div#select button.selected {
+        outline: var(--gray) solid 0.1em;
+      }
+      footer div#tag-filter select {
+        margin: 0 0 0 0.25em;
+        border: 0.15em solid var(--cyan-three-quarter-transparent);
+        border-radius: 0.5em;
+        font-family: inherit;
+        color: var(--cyan);
+        outline: none;
+      }
+      footer div#tag-filter select:focus {
+        border-color: var(--cyan);
+      }
+      footer div#backup {
+        clear: both;
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+      }
+      footer div#templates {
+        padding: 1em 0 0 0;
+        font-size: 0.8em;
+        color: var(--gray);
+      }
+      footer div#templates span.template {
+        margin: 0 0 0 0.5em;
+        color: var(--cyan);
+      }
+      footer div#templates button {
+        all: unset;
+        margin: 0 0 0 0.25em;
+        cursor: pointer;
+        color: var(--gray);
+      }
+      footer div#templates button:hover {
+        color: var(--red);
+      }
+      footer div#backup button {
+        all: unset;
+        margin: 0 0.25em;
+        cursor: pointer;
+        color: var(--cyan);
+      }
+      footer div#backup button:hover {
+        text-decoration: underline;
+        text-decoration-color: var(--gray-semi-transparent);
+      }
+      footer div#backup span#import-options,
+      footer div#backup span#import-error {
+        display: block;
+        margin: 0.5em 0 0 0;
+      }
+      footer div#backup span#import-error {
+        color: var(--gray);
+      }
+      footer div#backup .hidden {
         display: none;
       }
     `;
@@ -460,25 +871,85 @@ class VanillaToDoListsView {
       <header>
         <h1>t<span id="first-o">o</span>-d<span id="second-o">o</span> lists</h1>
         <h2>Overview of your to-do lists</h2>
+        <a id="search" href="${router.href('/search')}" title="Click to search all to-do lists">Search</a>
+        <a id="trash" href="${router.href('/trash')}" title="Click to restore deleted to-do lists and items">Trash</a>
+        <span id="history">
+          <button id="undo" title="Click to undo (Ctrl+Z)" disabled>Undo</button>
+          <button id="redo" title="Click to redo (Ctrl+Shift+Z)" disabled>Redo</button>
+        </span>
         <button id="toggle-all" class="hide" title="Click to toggle all"></button>
         <input type="text" placeholder="What should the new to-do list be called?">
+        <select id="template" class="hidden" title="Select a template to create the new to-do list from">
+          <option value="">empty</option>
+        </select>
       </header>
       <section class="to-do-lists"></section>
-      <hr class="hidden">
-      <footer class="hidden">
-        <span id="count" class="hide hidden"></span>
-        <ul class="filters">
-          <li><a id="all" class="selected" href="#all">All</a></li>
-          <li><a id="pending" href="#pending">Pending</a></li>
-          <li><a id="done" href="#done">Done</a></li>
-        </ul>
-        <button id="clear" class="hide hidden" title="Click to delete done">Clear</button>
-        <span id="confirmation" class="hidden">
-          Sure?
-          <button id="yes" title="Click to confirm">Yes</button>
-          <button id="no" title="Click to reject">No</button>
+      <div id="bulk" class="hidden">
+        <span id="selected-count"></span>
+        <button id="select-all" title="Click to select all lists shown">all</button>
+        <button id="select-none" title="Click to deselect all lists">none</button>
+        <span>
+          Mark as
+          <button id="bulk-done" title="Click to mark the selected lists as done">done</button>
+          <button id="bulk-pending" title="Click to mark the selected lists as pending">pending</button>
         </span>
+        <span>
+          Move to
+          <button id="bulk-top" title="Click to move the selected lists to the top">top</button>
+          <button id="bulk-bottom" title="Click to move the selected lists to the bottom">bottom</button>
+        </span>
+        <span>
+          Tag
+          <input type="text" placeholder="tag" title="Press Enter to tag all items of the selected lists">
+        </span>
+        <span>
+          <button id="bulk-delete" title="Click to move the selected lists to the trash">delete</button>
+        </span>
+      </div>
+      <hr class="hidden">
+      <footer>
+        <div id="summary" class="hidden">
+          <span id="count" class="hide hidden"></span>
+          <ul class="filters">
+            <li><a id="all" class="selected" href="#all">All</a></li>
+            <li><a id="pending" href="#pending">Pending</a></li>
+            <li><a id="done" href="#done">Done</a></li>
+            <li><a id="archived" href="#archived">Archived</a></li>
+          </ul>
+          <button id="clear" class="hide hidden" title="Click to move done to the trash">Clear</button>
+          <button id="archive" class="hide hidden" title="Click to archive done">Archive</button>
+          <span id="confirmation" class="hidden">
+            Sure?
+            <button id="yes" title="Click to confirm">Yes</button>
+            <button id="no" title="Click to reject">No</button>
+          </span>
+          <div id="tag-filter">
+            Containing
+            <select title="Select to only show to-do lists containing items with this tag">
+              <option value="">anything</option>
+            </select>
+          </div>
+          <div id="select">
+            Edit several
+            <button id="select-mode" title="Click to select lists to edit at once (Shift+click to select a range)">select</button>
+          </div>
+        </div>
+        <div id="backup">
+          <button id="export" title="Click to download a backup of all to-do lists">Export</button>
+          <button id="import" title="Click to restore to-do lists from a backup">Import</button>
+          <input type="file" accept=".json,application/json" class="hidden">
+          <span id="import-options" class="hidden">
+            <span id="import-message"></span>
+            <button id="replace" title="Click to replace all to-do lists by the backed up ones">Replace all</button>
+            <button id="merge" title="Click to replace to-do lists with the same ID and add the others">Merge by ID</button>
+            <button id="copy" title="Click to add the backed up to-do lists as copies">Import as copies</button>
+            <button id="cancel" title="Click to cancel the import">Cancel</button>
+          </span>
+          <span id="import-error" class="hidden"></span>
+        </div>
+        <div id="templates" class="hidden"></div>
       </footer>
+      <vanilla-to-do-list-shortcuts></vanilla-to-do-list-shortcuts>
     `;
     this.nodeStyle = this.#createElement('style');
     this.nodeStyle.innerHTML = this.style;
@@ -486,9 +957,48 @@ class VanillaToDoListsView {
     this.nodeSectionContainer.innerHTML = this.template;
     this.nodeToggleAllToDoLists = this.nodeSectionContainer.querySelector('button#toggle-all');
     this.nodeInputCreateToDoList = this.nodeSectionContainer.querySelector('header input');
+    this.nodeSelectTemplate = this.nodeSectionContainer.querySelector('header select#template');
+    this.nodeTemplates = this.nodeSectionContainer.querySelector('footer div#templates');
     this.nodeClearToDoLists = this.nodeSectionContainer.querySelector('footer button#clear');
+    this.nodeArchiveToDoLists = this.nodeSectionContainer.querySelector('footer button#archive');
     this.nodeConfirmation = this.nodeSectionContainer.querySelector('footer span#confirmation');
+    this.nodeSummary = this.nodeSectionContainer.querySelector('footer div#summary');
+    this.nodeTagFilter = this.nodeSectionContainer.querySelector('footer div#tag-filter select');
+    this.nodeExportToDoLists = this.nodeSectionContainer.querySelector('footer button#export');
+    this.nodeImportToDoLists = this.nodeSectionContainer.querySelector('footer button#import');
+    this.nodeInputImportToDoLists = this.nodeSectionContainer.querySelector('footer input[type=file]');
+    this.nodeImportOptions = this.nodeSectionContainer.querySelector('footer span#import-options');
+    this.nodeImportError = this.nodeSectionContainer.querySelector('footer span#import-error');
+    this.nodeTrash = this.nodeSectionContainer.querySelector('header a#trash');
+    this.nodeUndo = this.nodeSectionContainer.querySelector('header button#undo');
+    this.nodeRedo = this.nodeSectionContainer.querySelector('header button#redo');
+    this.nodeSelectMode = this.nodeSectionContainer.querySelector('footer button#select-mode');
+    this.nodeBulk = this.nodeSectionContainer.querySelector('div#bulk');
   }
+  /**
+   * Whether the to-do lists are currently being rendered.
+   */
+  #rendering = false;
+  /**
+   * The ID of the to-do list being dragged or null if there is none.
+   */
+  #draggedId = null;
+  /**
+   * The ID of the to-do list to focus after rendering, i. e. the one just moved using the keyboard, or null to focus the input.
+   */
+  #focusAfterRender = null;
+  /**
+   * Whether to-do lists are being selected to edit them at once.
+   */
+  #selecting = false;
+  /**
+   * The IDs of the selected to-do lists.
+   */
+  #selected = new Set();
+  /**
+   * The ID of the to-do list selected last, from which a range is selected using Shift+click, or null if there is none.
+   */
+  #selectionAnchor = null;
   /**
    * Private method to create a new HTML element.
    * @param {string} elementName - The name of the new HTML element.
@@ -506,46 +1016,67 @@ class VanillaToDoListsView {
    * @param {object} toDoLists - The to-do lists to render.
    */
   render(toDoLists) {
-    const windowLocationHash = window.location.hash === '' ? '#all' : window.location.hash;
+    const filter = parseFilterHash(window.location.hash, toDoListStatusFilters);
     const nodeToDoListsSection = this.nodeSectionContainer.querySelector('section.to-do-lists');
     // First, remove any existing child nodes respectively the paragraph or the to-do list.
+    // Removing a focused input may trigger its blur event, which must not be taken for the completion of an inline edit.
+    this.#rendering = true;
     nodeToDoListsSection.replaceChildren();
+    this.#rendering = false;
     const nodeHorizontalRule = this.nodeSectionContainer.querySelector('hr');
-    const nodeFooter = this.nodeSectionContainer.querySelector('footer');
     const nodeCountToDoLists = this.nodeSectionContainer.querySelector('footer span#count');
     if (toDoLists.length > 0) {
-      const toDoListsPending = toDoLists.filter(toDoList => {
+      // Archived to-do lists are only shown by their own filter and aren't counted as pending or done.
+      const toDoListsArchived = toDoLists.filter(toDoList => {
+        return toDoList.archived === true;
+      });
+      const toDoListsNotArchived = toDoLists.filter(toDoList => {
+        return toDoList.archived !== true;
+      });
+      const toDoListsPending = toDoListsNotArchived.filter(toDoList => {
         return toDoList.done !== true;
       });
-      const toDoListsDone = toDoLists.filter(toDoList => {
+      const toDoListsDone = toDoListsNotArchived.filter(toDoList => {
         return toDoList.done !== false;
       });
-      const countToDoListsAll = toDoLists.length;
+      const countToDoListsAll = toDoListsNotArchived.length;
       const countToDoListsPending = toDoListsPending.length;
       const countToDoListsDone = toDoListsDone.length;
-      if (windowLocationHash === '#pending') {
+      const countToDoListsArchived = toDoListsArchived.length;
+      if (filter.status === 'pending') {
         toDoLists = toDoListsPending;
-      } else if (windowLocationHash === '#done') {
+      } else if (filter.status === 'done') {
         toDoLists = toDoListsDone;
+      } else if (filter.status === 'archived') {
+        toDoLists = toDoListsArchived;
+      } else {
+        toDoLists = toDoListsNotArchived;
       }
-      this.nodeToggleAllToDoLists.classList.remove('hide');
+      if (filter.tag !== null) {
+        toDoLists = toDoLists.filter(toDoList => {
+          return toDoList.items.some(toDoListItem => hasTag(toDoListItem, filter.tag));
+        });
+      }
+      // Archived to-do lists can't be toggled all at once.
+      this.nodeToggleAllToDoLists.classList.toggle('hide', filter.status === 'archived');
       this.nodeInputCreateToDoList.classList.add('shrink');
+      const today = toDateString(new Date());
       const nodeToDoLists = this.#createElement('ul', 'to-do-lists');
       nodeToDoListsSection.append(nodeToDoLists);
       toDoLists.forEach(toDoList => {
         const toDoListItems = toDoList.items;
-        const toDoListItemsPending = toDoListItems.filter(toDoListItem => {
-          return toDoListItem.done !== true;
-        });
-        const toDoListItemsDone = toDoListItems.filter(toDoListItem => {
-          return toDoListItem.done !== false;
-        });
-        const countToDoListItemsAll = toDoListItems.length;
-        const countToDoListItemsPending = toDoListItemsPending.length;
-        const countToDoListItemsDone = toDoListItemsDone.length;
+        // Count tasks and subtasks separately.
+        const countsToDoListItems = countToDoListItems(toDoListItems);
+        const countToDoListItemsAll = countsToDoListItems.all;
+        const countToDoListItemsPending = countsToDoListItems.pending;
+        const countToDoListItemsDone = countsToDoListItems.done;
         const listItemClass = toDoList.done === false ? 'pending' : 'done';
         const nodeListItem = this.#createElement('li', listItemClass);
         nodeListItem.id = toDoList.id;
+        nodeListItem.draggable = true;
+        if (toDoList.archived === true) {
+          nodeListItem.classList.add('archived');
+        }
         const nodeListItemSelect = this.#createElement('input', 'select');
         nodeListItemSelect.type = 'checkbox';
         nodeListItemSelect.title = `Click to mark as ${toDoList.done === false ? 'done' : 'pending'}`;
@@ -559,30 +1090,51 @@ class VanillaToDoListsView {
           nodeListItemName.dataset.lastModified = toDoList.lastUpdated;
         }
         const nodeListItemNameLink = this.#createElement('a');
-        nodeListItemNameLink.href = `/vanilla-to-do-list/to-do-list/${toDoList.id}`;
+        // Pass the tag filter on to the to-do list, so it only shows the items with this tag.
+        nodeListItemNameLink.href = router.href(`/to-do-list/${toDoList.id}${filter.tag !== null ? toFilterHash('all', filter.tag) : ''}`);
         nodeListItemNameLink.textContent = toDoList.name;
+        // Drag the whole to-do list rather than the link only.
+        nodeListItemNameLink.draggable = false;
         const nodeListItemCount = this.#createElement('span', 'count');
-        nodeListItemCount.textContent = `(${countToDoListItemsAll} ${countToDoListItemsAll === 1 ? 'item' : 'items'}${countToDoListItemsAll > 0 ? ': ' + countToDoListItemsPending + ' pending, ' + countToDoListItemsDone + ' done' : ''})`;
+        const countToDoListItemsDue = countDueToDoListItems(toDoListItems, today);
+        const countToDoListItemsHighPriority = countPendingHighPriority(toDoListItems);
+        const countToDoListItemsDueText = [
+          countsToDoListItems.subtasks > 0 ? `${countsToDoListItems.subtasksDone}/${countsToDoListItems.subtasks} subtasks done` : '',
+          countToDoListItemsDue.overdue > 0 ? `${countToDoListItemsDue.overdue} overdue` : '',
+          countToDoListItemsDue.dueToday > 0 ? `${countToDoListItemsDue.dueToday} due today` : '',
+          countToDoListItemsHighPriority > 0 ? `${countToDoListItemsHighPriority} high priority` : ''
+        ].filter(text => text !== '').join(', ');
+        nodeListItemCount.textContent = `(${countToDoListItemsAll} ${countToDoListItemsAll === 1 ? 'item' : 'items'}${countToDoListItemsAll > 0 ? ': ' + countToDoListItemsPending + ' pending, ' + countToDoListItemsDone + ' done' : ''}${countToDoListItemsDueText !== '' ? '; ' + countToDoListItemsDueText : ''})`;
+        if (countToDoListItemsDue.overdue > 0) {
+          nodeListItemCount.classList.add('overdue');
+        } else if (countToDoListItemsDue.dueToday > 0) {
+          nodeListItemCount.classList.add('due-today');
+        }
         const tooltipSectionContainer = this.#createElement('section', 'tooltip');
-        // Using the innerHTML property along with a template string rather than creating and appending the respective custom element
-        // to make the ID attribute present in the first place and therefore avoiding the need of an attribute changed callback.
-        tooltipSectionContainer.innerHTML = `<vanilla-to-do-list-preview id="${toDoList.id}"></vanilla-to-do-list-preview>`;
+        // Setting the ID attribute rather than writing it into the markup, so no ID can ever inject markup.
+        const nodePreview = this.#createElement('vanilla-to-do-list-preview');
+        nodePreview.setAttribute('id', toDoList.id);
+        tooltipSectionContainer.append(nodePreview);
         nodeListItemName.append(nodeListItemNameLink, '\u00A0', nodeListItemCount, tooltipSectionContainer);
         const nodeListItemEdit = this.#createElement('button', 'edit');
         nodeListItemEdit.title = 'Click to edit';
+        const nodeListItemArchive = this.#createElement('button', 'archive');
+        nodeListItemArchive.title = toDoList.archived === true ? 'Click to unarchive' : 'Click to archive';
         const nodeListItemDelete = this.#createElement('button', 'delete');
-        nodeListItemDelete.title = 'Click to delete';
-        nodeListItem.append(nodeListItemSelect, nodeListItemName, nodeListItemEdit, nodeListItemDelete);
+        nodeListItemDelete.title = 'Click to move to the trash';
+        nodeListItem.append(nodeListItemSelect, nodeListItemName, nodeListItemEdit, nodeListItemArchive, nodeListItemDelete);
         nodeToDoLists.append(nodeListItem);
       });
       nodeHorizontalRule.classList.remove('hidden');
-      nodeFooter.classList.remove('hidden');
-      nodeCountToDoLists.textContent = `${countToDoListsAll} (${countToDoListsPending}/${countToDoListsDone})`;
+      this.nodeSummary.classList.remove('hidden');
+      nodeCountToDoLists.textContent = `${countToDoListsAll} (${countToDoListsPending}/${countToDoListsDone})${countToDoListsArchived > 0 ? ', ' + countToDoListsArchived + ' archived' : ''}`;
       nodeCountToDoLists.classList.remove('hide', 'hidden');
       if (countToDoListsDone > 0) {
         this.nodeClearToDoLists.classList.remove('hide', 'hidden');
+        this.nodeArchiveToDoLists.classList.remove('hide', 'hidden');
       } else {
         this.nodeClearToDoLists.classList.add('hide', 'hidden');
+        this.nodeArchiveToDoLists.classList.add('hide', 'hidden');
       }
       this.nodeConfirmation.classList.add('hidden');
     } else {
@@ -592,14 +1144,285 @@ class VanillaToDoListsView {
       nodeNothingToDo.textContent = 'There are no to-do lists to show!';
       nodeToDoListsSection.append(nodeNothingToDo);
       nodeHorizontalRule.classList.add('hidden');
-      nodeFooter.classList.add('hidden');
+      this.nodeSummary.classList.add('hidden');
     }
+    // Keep the tag filter when changing the status filter.
     this.nodeSectionContainer.querySelectorAll('footer ul.filters li a').forEach(nodeFilterLink => {
-      nodeFilterLink.classList.remove('selected');
+      nodeFilterLink.href = toFilterHash(nodeFilterLink.id, filter.tag);
+      nodeFilterLink.classList.toggle('selected', nodeFilterLink.id === filter.status);
+    });
+    this.#renderSelection();
+    // Keep the focus on the to-do list just moved using the keyboard, otherwise focus the input to create a new one.
+    const nodeFocus = this.#focusAfterRender !== null ? this.nodeSectionContainer.querySelector(`ul.to-do-lists li[id="${this.#focusAfterRender}"] input.select`) : null;
+    this.#focusAfterRender = null;
+    (nodeFocus || this.nodeInputCreateToDoList).focus();
+  }
+  /**
+   * Private method to render the selected to-do lists, deselecting the ones not shown any longer.
+   */
+  #renderSelection() {
+    const nodeListItems = [...this.nodeSectionContainer.querySelectorAll('ul.to-do-lists li[id]')];
+    const ids = new Set(nodeListItems.map(nodeListItem => nodeListItem.id));
+    this.#selected = new Set([...this.#selected].filter(id => ids.has(id)));
+    nodeListItems.forEach(nodeListItem => {
+      nodeListItem.classList.toggle('selected', this.#selected.has(nodeListItem.id));
+    });
+    this.nodeSectionContainer.querySelector('section.to-do-lists').classList.toggle('selecting', this.#selecting);
+    this.nodeSelectMode.classList.toggle('selected', this.#selecting);
+    this.nodeBulk.classList.toggle('hidden', !this.#selecting);
+    this.nodeBulk.querySelector('span#selected-count').textContent = `${this.#selected.size} selected:`;
+    this.nodeBulk.querySelectorAll('span button, span input').forEach(nodeBulkControl => {
+      nodeBulkControl.disabled = this.#selected.size === 0;
+    });
+  }
+  /**
+   * Private method to get the IDs of the selected to-do lists in the order shown.
+   * @returns {array} The IDs.
+   */
+  #getSelectedIds() {
+    return [...this.nodeSectionContainer.querySelectorAll('ul.to-do-lists li[id]')].filter(nodeListItem => this.#selected.has(nodeListItem.id)).map(nodeListItem => nodeListItem.id);
+  }
+  /**
+   * Method to bind event handlers to select to-do lists by clicking them while selecting, using Shift+click to select a range.
+   */
+  bindSelectToDoLists() {
+    this.nodeSelectMode.addEventListener('click', () => {
+      this.#selecting = !this.#selecting;
+      this.#selected.clear();
+      this.#selectionAnchor = null;
+      this.#renderSelection();
+    });
+    const nodeSectionToDoLists = this.nodeSectionContainer.querySelector('section.to-do-lists');
+    // Catch the clicks before they reach the list items' checkboxes, links and buttons.
+    nodeSectionToDoLists.addEventListener('click', event => {
+      const nodeListItem = event.target.closest('ul.to-do-lists li[id]');
+      if (!this.#selecting || nodeListItem === null) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      const nodeListItems = [...this.nodeSectionContainer.querySelectorAll('ul.to-do-lists li[id]')];
+      const indexAnchor = nodeListItems.findIndex(nodeListItemAnchor => nodeListItemAnchor.id === this.#selectionAnchor);
+      if (event.shiftKey && indexAnchor !== -1) {
+        const index = nodeListItems.indexOf(nodeListItem);
+        nodeListItems.slice(Math.min(index, indexAnchor), Math.max(index, indexAnchor) + 1).forEach(nodeListItemRange => {
+          this.#selected.add(nodeListItemRange.id);
+        });
+      } else if (this.#selected.has(nodeListItem.id)) {
+        this.#selected.delete(nodeListItem.id);
+      } else {
+        this.#selected.add(nodeListItem.id);
+      }
+      this.#selectionAnchor = nodeListItem.id;
+      this.#renderSelection();
+    }, true);
+    nodeSectionToDoLists.addEventListener('dragstart', event => {
+      if (this.#selecting) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    }, true);
+    this.nodeBulk.querySelector('button#select-all').addEventListener('click', () => {
+      this.nodeSectionContainer.querySelectorAll('ul.to-do-lists li[id]').forEach(nodeListItem => this.#selected.add(nodeListItem.id));
+      this.#renderSelection();
+    });
+    this.nodeBulk.querySelector('button#select-none').addEventListener('click', () => {
+      this.#selected.clear();
+      this.#selectionAnchor = null;
+      this.#renderSelection();
+    });
+  }
+  /**
+   * Method to bind event handlers to mark the selected to-do lists as done or pending.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do lists' IDs and whether to mark them as done.
+   */
+  bindUpdateToDoListsDone(eventHandler) {
+    this.nodeBulk.querySelector('button#bulk-done').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), true);
+    });
+    this.nodeBulk.querySelector('button#bulk-pending').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), false);
+    });
+  }
+  /**
+   * Method to bind event handlers to move the selected to-do lists to the top or the bottom.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do lists' IDs and the position.
+   */
+  bindMoveToDoLists(eventHandler) {
+    this.nodeBulk.querySelector('button#bulk-top').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), 'top');
+    });
+    this.nodeBulk.querySelector('button#bulk-bottom').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds(), 'bottom');
+    });
+  }
+  /**
+   * Method to bind an event handler to tag all items of the selected to-do lists.
+   * @param {function} eventHandler - A function to handle the event, receiving the to-do lists' IDs and the normalized tag.
+   */
+  bindTagToDoLists(eventHandler) {
+    const nodeInputTag = this.nodeBulk.querySelector('input');
+    nodeInputTag.addEventListener('keydown', event => {
+      const tag = normalizeTag(nodeInputTag.value);
+      if (event.key === 'Enter' && tag !== '') {
+        nodeInputTag.value = '';
+        eventHandler(this.#getSelectedIds(), tag);
+      } else if (event.key === 'Escape') {
+        nodeInputTag.value = '';
+      }
+    });
+  }
+  /**
+   * Method to bind an event handler to delete the selected to-do lists.
+   * @param {function} eventHandler - A function to handle the event, receiving the to-do lists' IDs.
+   */
+  bindDeleteToDoLists(eventHandler) {
+    this.nodeBulk.querySelector('button#bulk-delete').addEventListener('click', () => {
+      eventHandler(this.#getSelectedIds());
     });
-    this.nodeSectionContainer.querySelector(windowLocationHash).classList.add('selected');
+  }
+  /**
+   * Private method to get the list item of the to-do list currently focused.
+   * @returns {object} The list item or null if no to-do list is focused.
+   */
+  #getFocusedListItem() {
+    const nodeFocused = this.nodeSectionContainer.getRootNode().activeElement;
+    return nodeFocused?.closest('ul.to-do-lists li[id]') ?? null;
+  }
+  /**
+   * Method to move the focus to another to-do list.
+   * @param {number} offset - The number of to-do lists to move the focus by, e. g. 1 for the next one or -1 for the previous one.
+   */
+  focusToDoList(offset) {
+    const nodeListItems = [...this.nodeSectionContainer.querySelectorAll('ul.to-do-lists li[id]')];
+    const index = nodeListItems.indexOf(this.#getFocusedListItem());
+    // Start at the first respectively last to-do list if none is focused.
+    const indexNew = index === -1 ? (offset > 0 ? 0 : nodeListItems.length - 1) : Math.min(Math.max(index + offset, 0), nodeListItems.length - 1);
+    nodeListItems[indexNew]?.querySelector('input.select').focus();
+  }
+  /**
+   * Method to toggle the focused to-do list, keeping the focus on it.
+   */
+  toggleFocusedToDoList() {
+    const nodeListItem = this.#getFocusedListItem();
+    if (nodeListItem !== null) {
+      this.#focusAfterRender = nodeListItem.id;
+      nodeListItem.querySelector('input.select').click();
+    }
+  }
+  /**
+   * Method to start editing the focused to-do list's name.
+   */
+  editFocusedToDoList() {
+    this.#getFocusedListItem()?.querySelector(':scope > button.edit').click();
+  }
+  /**
+   * Method to delete the focused to-do list, moving the focus to the next one.
+   */
+  deleteFocusedToDoList() {
+    const nodeListItem = this.#getFocusedListItem();
+    if (nodeListItem !== null) {
+      const nodeListItemNext = nodeListItem.nextElementSibling ?? nodeListItem.previousElementSibling;
+      this.#focusAfterRender = nodeListItemNext?.id ?? null;
+      nodeListItem.querySelector(':scope > button.delete').click();
+    }
+  }
+  /**
+   * Method to select a status filter.
+   * @param {number} index - The filter's index, i. e. 0 for all, 1 for pending, 2 for done and 3 for archived to-do lists.
+   */
+  selectFilter(index) {
+    const nodeFilterLink = this.nodeSectionContainer.querySelectorAll('footer ul.filters li a')[index];
+    if (nodeFilterLink !== undefined) {
+      // Keep the focus on the focused to-do list if it's still shown.
+      this.#focusAfterRender = this.#getFocusedListItem()?.id ?? null;
+      window.location.hash = nodeFilterLink.hash;
+    }
+  }
+  /**
+   * Method to focus the input to create a new to-do list.
+   */
+  focusCreateToDoList() {
     this.nodeInputCreateToDoList.focus();
   }
+  /**
+   * Method to render the tags used in any to-do list as options of the tag filter.
+   * @param {array} tags - The tags used in any to-do list.
+   */
+  renderTags(tags) {
+    const filter = parseFilterHash(window.location.hash, toDoListStatusFilters);
+    // Keep a filtered tag selectable even if no to-do list item has it any longer.
+    const tagsFilter = filter.tag !== null && !tags.includes(filter.tag) ? [...tags, filter.tag] : tags;
+    this.nodeTagFilter.replaceChildren(this.nodeTagFilter.options[0], ...tagsFilter.map(tag => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = tag;
+      nodeOption.textContent = `#${tag}`;
+      return nodeOption;
+    }));
+    this.nodeTagFilter.value = filter.tag || '';
+  }
+  /**
+   * Method to render the templates as options to create a new to-do list from and as list to delete them from.
+   * @param {array} templates - The templates.
+   */
+  renderTemplates(templates) {
+    const templateId = this.nodeSelectTemplate.value;
+    this.nodeSelectTemplate.replaceChildren(this.nodeSelectTemplate.options[0], ...templates.map(template => {
+      const nodeOption = this.#createElement('option');
+      nodeOption.value = template.id;
+      nodeOption.dataset.name = template.name;
+      nodeOption.textContent = `from template "${template.name}"`;
+      return nodeOption;
+    }));
+    // Keep the selected template unless it was deleted.
+    this.nodeSelectTemplate.value = templates.some(template => `${template.id}` === templateId) ? templateId : '';
+    this.nodeSelectTemplate.classList.toggle('hidden', templates.length === 0);
+    this.nodeTemplates.replaceChildren('Templates:', ...templates.map(template => {
+      const nodeTemplate = this.#createElement('span', 'template');
+      nodeTemplate.id = template.id;
+      nodeTemplate.textContent = template.name;
+      const nodeDeleteTemplate = this.#createElement('button', 'delete-template');
+      nodeDeleteTemplate.textContent = '\u00D7';
+      nodeDeleteTemplate.title = 'Click to delete the template';
+      nodeTemplate.append(nodeDeleteTemplate);
+      return nodeTemplate;
+    }));
+    this.nodeTemplates.classList.toggle('hidden', templates.length === 0);
+  }
+  /**
+   * Method to render the number of deleted to-do lists and to-do list items in the trash.
+   * @param {number} countTrashEntries - The number of trash entries.
+   */
+  renderTrash(countTrashEntries) {
+    this.nodeTrash.textContent = countTrashEntries > 0 ? `Trash (${countTrashEntries})` : 'Trash';
+  }
+  /**
+   * Method to render whether there are changes to undo and redo.
+   * @param {boolean} canUndo - Whether there is a change to undo.
+   * @param {boolean} canRedo - Whether there is a change to redo.
+   */
+  renderHistory(canUndo, canRedo) {
+    this.nodeUndo.disabled = !canUndo;
+    this.nodeRedo.disabled = !canRedo;
+  }
+  /**
+   * Method to bind an event handler to undo the latest change.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindUndo(eventHandler) {
+    this.nodeUndo.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
+  /**
+   * Method to bind an event handler to redo the latest undone change.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindRedo(eventHandler) {
+    this.nodeRedo.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
   /**
    * Method to bind an event handler to add a new to-do list.
    * @param {function} eventHandler - A function to handle the event.
@@ -607,11 +1430,28 @@ class VanillaToDoListsView {
   bindCreateToDoList(eventHandler) {
     this.nodeInputCreateToDoList.addEventListener('keydown', event => {
       if (event.key === 'Enter') {
-        // Only accept input that isn't all whitespace.
+        const templateId = this.nodeSelectTemplate.value !== '' ? this.nodeSelectTemplate.value : null;
+        // Only accept input that isn't all whitespace, except for naming a to-do list created from a template after the template.
         if (!event.target.value.match(/^\s*$/)) {
-          eventHandler(event.target.value);
+          eventHandler(event.target.value, templateId);
           this.nodeInputCreateToDoList.value = '';
+        } else if (templateId !== null) {
+          eventHandler(this.nodeSelectTemplate.selectedOptions[0].dataset.name, templateId);
         }
+      } else if (event.key === 'Escape') {
+        // Leave the input to use the keyboard shortcuts.
+        this.nodeInputCreateToDoList.blur();
+      }
+    });
+  }
+  /**
+   * Method to bind an event handler to delete templates.
+   * @param {function} eventHandler - A function to handle the event, receiving the template's ID.
+   */
+  bindDeleteTemplate(eventHandler) {
+    this.nodeTemplates.addEventListener('click', event => {
+      if (event.target.matches('button.delete-template')) {
+        eventHandler(event.target.parentNode.id);
       }
     });
   }
@@ -631,9 +1471,9 @@ class VanillaToDoListsView {
         nodeInputUpdateToDoList.focus();
         nodeInputUpdateToDoList.addEventListener('blur', event => {
           // Only accept input that isn't all whitespace.
-          if (!event.target.value.match(/^\s*$/)) {
+          if (!this.#rendering && !event.target.value.match(/^\s*$/)) {
             if (event.target.value !== toDoListName) {
-              eventHandler(+nodeEditToDoList.parentNode.id, nodeInputUpdateToDoList.value);
+              eventHandler(nodeEditToDoList.parentNode.id, nodeInputUpdateToDoList.value);
             } else {
               nodeInputUpdateToDoList.remove();
               nodeEditToDoList.parentNode.querySelector('label.name').classList.remove('hidden');
@@ -645,7 +1485,7 @@ class VanillaToDoListsView {
             // Only accept input that isn't all whitespace.
             if (!event.target.value.match(/^\s*$/)) {
               if (event.target.value !== toDoListName) {
-                eventHandler(+nodeEditToDoList.parentNode.id, nodeInputUpdateToDoList.value);
+                eventHandler(nodeEditToDoList.parentNode.id, nodeInputUpdateToDoList.value);
               } else {
                 nodeInputUpdateToDoList.remove();
                 nodeEditToDoList.parentNode.querySelector('label.name').classList.remove('hidden');
@@ -659,6 +1499,98 @@ class VanillaToDoListsView {
       });
     });
   }
+  /**
+   * Method to bind event handlers to move to-do lists using drag and drop or the keyboard (Alt+Up/Down).
+   * @param {function} eventHandler - A function to handle the events.
+   */
+  bindMoveToDoList(eventHandler) {
+    const nodeListItems = [...this.nodeSectionContainer.querySelectorAll('ul.to-do-lists > li[draggable=true]')];
+    nodeListItems.forEach((nodeListItem, index) => {
+      nodeListItem.addEventListener('dragstart', event => {
+        this.#draggedId = nodeListItem.id;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', nodeListItem.id);
+        nodeListItem.classList.add('dragging');
+      });
+      nodeListItem.addEventListener('dragend', () => {
+        this.#draggedId = null;
+        nodeListItem.classList.remove('dragging');
+      });
+      nodeListItem.addEventListener('dragover', event => {
+        if (this.#draggedId === null || this.#draggedId === nodeListItem.id) {
+          return;
+        }
+        // Allow dropping and indicate whether the dragged to-do list would be placed before or after this one.
+        event.preventDefault();
+        const placement = this.#getDropPlacement(event, nodeListItem);
+        nodeListItem.classList.toggle('drop-before', placement === 'before');
+        nodeListItem.classList.toggle('drop-after', placement === 'after');
+      });
+      nodeListItem.addEventListener('dragleave', () => {
+        nodeListItem.classList.remove('drop-before', 'drop-after');
+      });
+      nodeListItem.addEventListener('drop', event => {
+        event.preventDefault();
+        nodeListItem.classList.remove('drop-before', 'drop-after');
+        const id = this.#draggedId;
+        this.#draggedId = null;
+        if (id !== null && id !== nodeListItem.id) {
+          eventHandler(id, nodeListItem.id, this.#getDropPlacement(event, nodeListItem));
+        }
+      });
+      nodeListItem.addEventListener('keydown', event => {
+        // Leave the arrow keys to inputs.
+        if (!event.altKey || !['ArrowUp', 'ArrowDown'].includes(event.key) || event.target.matches('input[type=text], input[type=date], select')) {
+          return;
+        }
+        event.preventDefault();
+        const nodeListItemTarget = nodeListItems[event.key === 'ArrowUp' ? index - 1 : index + 1];
+        if (nodeListItemTarget !== undefined) {
+          this.#focusAfterRender = nodeListItem.id;
+          eventHandler(nodeListItem.id, nodeListItemTarget.id, event.key === 'ArrowUp' ? 'before' : 'after');
+        }
+      });
+    });
+  }
+  /**
+   * Private method to determine whether a to-do list dropped onto another one is placed before or after it.
+   * @param {object} event - The drag event.
+   * @param {object} nodeListItem - The list item the to-do list is dropped onto.
+   * @returns {string} Either "before" or "after".
+   */
+  #getDropPlacement(event, nodeListItem) {
+    const boundingClientRect = nodeListItem.getBoundingClientRect();
+    return event.clientY < boundingClientRect.top + boundingClientRect.height / 2 ? 'before' : 'after';
+  }
+  /**
+   * Method to capture an inline edit in progress.
+   * @returns {object} An object containing the edited to-do list's ID, the input's value and selection or null if there is no inline edit in progress.
+   */
+  captureInlineEdit() {
+    const nodeInputUpdateToDoList = this.nodeSectionContainer.querySelector('ul.to-do-lists li > input[type=text]');
+    if (nodeInputUpdateToDoList === null) {
+      return null;
+    }
+    return {
+      id: nodeInputUpdateToDoList.parentNode.id,
+      value: nodeInputUpdateToDoList.value,
+      selectionStart: nodeInputUpdateToDoList.selectionStart,
+      selectionEnd: nodeInputUpdateToDoList.selectionEnd
+    };
+  }
+  /**
+   * Method to restore a previously captured inline edit, given the edited to-do list still exists.
+   * @param {object} inlineEdit - The captured inline edit.
+   */
+  restoreInlineEdit(inlineEdit) {
+    const nodeEditToDoList = this.nodeSectionContainer.querySelector(`ul.to-do-lists li[id="${inlineEdit.id}"] button.edit`);
+    if (nodeEditToDoList !== null) {
+      nodeEditToDoList.click();
+      const nodeInputUpdateToDoList = nodeEditToDoList.parentNode.querySelector('input[type=text]');
+      nodeInputUpdateToDoList.value = inlineEdit.value;
+      nodeInputUpdateToDoList.setSelectionRange(inlineEdit.selectionStart, inlineEdit.selectionEnd);
+    }
+  }
   /**
    * Method to bind event handlers to delete to-do lists.
    * @param {function} eventHandler - A function to handle the events.
@@ -666,7 +1598,18 @@ class VanillaToDoListsView {
   bindDeleteToDoList(eventHandler) {
     this.nodeSectionContainer.querySelectorAll('button.delete').forEach(nodeDeleteToDoList => {
       nodeDeleteToDoList.addEventListener('click', () => {
-        eventHandler(+nodeDeleteToDoList.parentNode.id);
+        eventHandler(nodeDeleteToDoList.parentNode.id);
+      });
+    });
+  }
+  /**
+   * Method to bind event handlers to archive respectively unarchive to-do lists.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do list's ID and whether to archive it.
+   */
+  bindArchiveToDoList(eventHandler) {
+    this.nodeSectionContainer.querySelectorAll('button.archive').forEach(nodeArchiveToDoList => {
+      nodeArchiveToDoList.addEventListener('click', () => {
+        eventHandler(nodeArchiveToDoList.parentNode.id, !nodeArchiveToDoList.parentNode.classList.contains('archived'));
       });
     });
   }
@@ -681,7 +1624,7 @@ class VanillaToDoListsView {
         nodeSelectToDoList.parentNode.classList.toggle('done');
         // Set a timeout to wait out the visual transition before updating the view.
         setTimeout(() => {
-          eventHandler(+nodeSelectToDoList.parentNode.id);
+          eventHandler(nodeSelectToDoList.parentNode.id);
         }, this.long);
       });
     });
@@ -723,22 +1666,98 @@ class VanillaToDoListsView {
     });
   }
   /**
-   * Method to bind event handlers to route to-do lists.
+   * Method to bind an event handler to archive all done to-do lists.
+   * @param {function} eventHandler - A function to handle the event.
    */
-  bindRouteToDoList() {
-    this.nodeSectionContainer.querySelectorAll('label.name a').forEach(nodeLinkToDoList => {
-      nodeLinkToDoList.addEventListener('click', event => {
-        // Prevent a page reload.
-        event.preventDefault();
-        // Assign the hyperlink's target URL to a pathname object.
-        const {pathname: path} = new URL(event.target.href);
-        // Add a new entry to the browser's session history stack.
-        window.history.pushState({path}, '', path);
-        // Assign a new popstate event including the previously assigned pathname object and trigger it manually.
-        const popStateEvent = new PopStateEvent('popstate', {pathname: path});
-        dispatchEvent(popStateEvent);
+  bindArchiveToDoLists(eventHandler) {
+    this.nodeArchiveToDoLists.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
+  /**
+   * Method to bind an event handler to export (download a backup of) all to-do lists.
+   * @param {function} eventHandler - A function to handle the event.
+   */
+  bindExportToDoLists(eventHandler) {
+    this.nodeExportToDoLists.addEventListener('click', () => {
+      eventHandler();
+    });
+  }
+  /**
+   * Method to bind an event handler to read a backup file chosen to import to-do lists from.
+   * @param {function} eventHandler - A function to handle the event, receiving the backup file's text.
+   */
+  bindReadBackup(eventHandler) {
+    this.nodeImportToDoLists.addEventListener('click', () => {
+      this.nodeImportOptions.classList.add('hidden');
+      this.nodeImportError.classList.add('hidden');
+      this.nodeInputImportToDoLists.click();
+    });
+    this.nodeInputImportToDoLists.addEventListener('change', async () => {
+      const [file] = this.nodeInputImportToDoLists.files;
+      // Reset the input to be able to choose the same file again.
+      this.nodeInputImportToDoLists.value = '';
+      if (file !== undefined) {
+        eventHandler(await file.text());
+      }
+    });
+  }
+  /**
+   * Method to bind event handlers to import previously read to-do lists using one of the import options.
+   * @param {function} eventHandler - A function to handle the events, receiving the to-do lists to import and the chosen import mode.
+   */
+  bindImportToDoLists(eventHandler) {
+    ['replace', 'merge', 'copy'].forEach(mode => {
+      this.nodeImportOptions.querySelector(`button#${mode}`).addEventListener('click', () => {
+        this.nodeImportOptions.classList.add('hidden');
+        eventHandler(this.toDoListsToImport, mode);
+        this.toDoListsToImport = null;
       });
     });
+    this.nodeImportOptions.querySelector('button#cancel').addEventListener('click', () => {
+      this.nodeImportOptions.classList.add('hidden');
+      this.toDoListsToImport = null;
+    });
+  }
+  /**
+   * Method to render the options to import read to-do lists.
+   * @param {array} toDoLists - The to-do lists to import.
+   */
+  renderImportOptions(toDoLists) {
+    this.toDoListsToImport = toDoLists;
+    this.nodeImportOptions.querySelector('span#import-message').textContent = `Import ${toDoLists.length} ${toDoLists.length === 1 ? 'to-do list' : 'to-do lists'}:`;
+    this.nodeImportOptions.classList.remove('hidden');
+  }
+  /**
+   * Method to render why a backup file couldn't be imported.
+   * @param {string} message - The message describing the problem.
+   */
+  renderImportError(message) {
+    this.nodeImportError.textContent = `Import failed: ${message}`;
+    this.nodeImportError.classList.remove('hidden');
+  }
+  /**
+   * Method to download a file.
+   * @param {string} fileName - The file's name.
+   * @param {string} type - The file's media type.
+   * @param {string} content - The file's content.
+   */
+  download(fileName, type, content) {
+    const url = URL.createObjectURL(new Blob([content], {type}));
+    const nodeLink = this.#createElement('a');
+    nodeLink.href = url;
+    nodeLink.download = fileName;
+    nodeLink.click();
+    URL.revokeObjectURL(url);
+  }
+  /**
+   * Method to bind an event handler to filter the to-do lists by the tags of their items.
+   */
+  bindFilterToDoListsByTag() {
+    this.nodeTagFilter.addEventListener('change', event => {
+      const filter = parseFilterHash(window.location.hash, toDoListStatusFilters);
+      window.location.hash = toFilterHash(filter.status, event.target.value || null);
+    });
   }
   /**
    * Method to handle the window mouse move event for when the to-do lists' links are hovered.
@@ -766,26 +1785,63 @@ class VanillaToDoListsController {
     this.view = view;
     this.model.bindToDoListsChanged(this.onToDoListsChanged);
     this.view.bindCreateToDoList(this.handleCreateToDoList);
+    this.view.bindDeleteTemplate(this.handleDeleteTemplate);
     this.view.bindToggleAllToDoLists(this.handleToggleAllToDoLists);
     this.view.bindClearToDoLists(this.handleClearToDoLists);
-    this.onToDoListsChanged(this.model.toDoLists);
+    this.view.bindArchiveToDoLists(this.handleArchiveToDoLists);
+    this.view.bindFilterToDoListsByTag();
+    this.view.bindExportToDoLists(this.handleExportToDoLists);
+    this.view.bindReadBackup(this.handleReadBackup);
+    this.view.bindImportToDoLists(this.handleImportToDoLists);
+    this.view.bindUndo(this.handleUndo);
+    this.view.bindRedo(this.handleRedo);
+    this.view.bindSelectToDoLists();
+    this.view.bindUpdateToDoListsDone(this.handleUpdateToDoListsDone);
+    this.view.bindMoveToDoLists(this.handleMoveToDoLists);
+    this.view.bindTagToDoLists(this.handleTagToDoLists);
+    this.view.bindDeleteToDoLists(this.handleDeleteToDoLists);
+    // Render right away unless the shared store is still loading, as it notifies the model as soon as it's done.
+    if (this.model.loaded) {
+      this.onToDoListsChanged(this.model.toDoLists);
+    }
   }
   /**
    * Method for when the to-do lists changed.
    * @param {object} toDoList - The changed to-do lists.
+   * @param {object} change - An optional object describing the change.
    */
-  onToDoListsChanged = toDoLists => {
+  onToDoListsChanged = (toDoLists, change = {}) => {
+    // Keep an inline edit in progress when the to-do lists were changed by another browsing context.
+    const inlineEdit = change.remote ? this.view.captureInlineEdit() : null;
     this.view.render(toDoLists);
+    this.view.renderTags(this.model.tags);
+    this.view.renderHistory(this.model.canUndo, this.model.canRedo);
+    this.view.renderTrash(this.model.countTrashEntries);
+    this.view.renderTemplates(this.model.templates);
     this.view.bindUpdateToDoList(this.handleUpdateToDoList);
     this.view.bindDeleteToDoList(this.handleDeleteToDoList);
+    this.view.bindArchiveToDoList(this.handleArchiveToDoList);
     this.view.bindToggleToDoList(this.handleToggleToDoList);
-    this.view.bindRouteToDoList();
+    this.view.bindMoveToDoList(this.handleMoveToDoList);
+    if (inlineEdit !== null) {
+      this.view.restoreInlineEdit(inlineEdit);
+    }
   }
   /**
    * Method to handle the create a new to-do list event.
    */
-  handleCreateToDoList = toDoListName => {
-    this.model.createToDoList(toDoListName);
+  handleCreateToDoList = (toDoListName, templateId = null) => {
+    if (templateId !== null) {
+      this.model.createToDoListFromTemplate(templateId, toDoListName);
+    } else {
+      this.model.createToDoList(toDoListName);
+    }
+  };
+  /**
+   * Method to handle the delete a template event.
+   */
+  handleDeleteTemplate = id => {
+    this.model.deleteTemplate(id);
   };
   /**
    * Method to handle the update a to-do list event.
@@ -799,6 +1855,12 @@ class VanillaToDoListsController {
   handleDeleteToDoList = id => {
     this.model.deleteToDoList(id);
   };
+  /**
+   * Method to handle the move a to-do list event.
+   */
+  handleMoveToDoList = (id, targetId, placement) => {
+    this.model.moveToDoList(id, targetId, placement);
+  };
   /**
    * Method to handle the toggle a to-do list event.
    */
@@ -817,6 +1879,100 @@ class VanillaToDoListsController {
   handleClearToDoLists = () => {
     this.model.clearToDoLists();
   };
+  /**
+   * Method to handle the archive respectively unarchive a to-do list event.
+   */
+  handleArchiveToDoList = (id, archived) => {
+    if (archived) {
+      this.model.archiveToDoList(id);
+    } else {
+      this.model.unarchiveToDoList(id);
+    }
+  };
+  /**
+   * Method to handle the archive all done to-do lists event.
+   */
+  handleArchiveToDoLists = () => {
+    this.model.archiveToDoLists();
+  };
+  /**
+   * Method to handle the mark the selected to-do lists as done or pending event.
+   */
+  handleUpdateToDoListsDone = (ids, done) => {
+    this.model.updateToDoListsDone(ids, done);
+  };
+  /**
+   * Method to handle the move the selected to-do lists event.
+   */
+  handleMoveToDoLists = (ids, position) => {
+    this.model.moveToDoLists(ids, position);
+  };
+  /**
+   * Method to handle the tag all items of the selected to-do lists event.
+   */
+  handleTagToDoLists = (ids, tag) => {
+    this.model.tagToDoLists(ids, tag);
+  };
+  /**
+   * Method to handle the delete the selected to-do lists event.
+   */
+  handleDeleteToDoLists = ids => {
+    this.model.deleteToDoLists(ids);
+  };
+  /**
+   * Method to handle the export all to-do lists event.
+   */
+  handleExportToDoLists = () => {
+    const backup = this.model.createBackup();
+    this.view.download(`to-do-lists-${backup.exported.slice(0, 10)}.json`, 'application/json', JSON.stringify(backup, null, 2));
+  };
+  /**
+   * Method to handle the read a backup file event.
+   */
+  handleReadBackup = text => {
+    try {
+      this.view.renderImportOptions(this.model.parseBackup(text));
+    } catch (error) {
+      this.view.renderImportError(error.message);
+    }
+  };
+  /**
+   * Method to handle the import to-do lists event.
+   */
+  handleImportToDoLists = (toDoLists, mode) => {
+    this.model.importToDoLists(toDoLists, mode);
+  };
+  /**
+   * Method to handle the undo the latest change event.
+   */
+  handleUndo = () => {
+    this.model.undo();
+  };
+  /**
+   * Method to handle the redo the latest undone change event.
+   */
+  handleRedo = () => {
+    this.model.redo();
+  };
+  /**
+   * Method to get the overview's keyboard shortcuts.
+   */
+  get shortcuts() {
+    return [
+      {keys: 'j', description: 'Focus the next list', handler: () => this.view.focusToDoList(1)},
+      {keys: 'k', description: 'Focus the previous list', handler: () => this.view.focusToDoList(-1)},
+      {keys: 'x', description: 'Mark the focused list as done or pending', handler: () => this.view.toggleFocusedToDoList()},
+      {keys: 'e', description: 'Rename the focused list', handler: () => this.view.editFocusedToDoList()},
+      {keys: 'Delete', description: 'Move the focused list to the trash', handler: () => this.view.deleteFocusedToDoList()},
+      {keys: '1', description: 'Show all lists', handler: () => this.view.selectFilter(0)},
+      {keys: '2', description: 'Show pending lists', handler: () => this.view.selectFilter(1)},
+      {keys: '3', description: 'Show done lists', handler: () => this.view.selectFilter(2)},
+      {keys: '4', description: 'Show archived lists', handler: () => this.view.selectFilter(3)},
+      {keys: 'n', description: 'Create a new list', handler: () => this.view.focusCreateToDoList()},
+      {keys: 'Ctrl+Z', description: 'Undo the latest change', handler: this.handleUndo},
+      {keys: 'Ctrl+Shift+Z', description: 'Redo the latest undone change', handler: this.handleRedo}
+    ];
+  }
   /**
    * Method to handle the window hash change event.
    */
@@ -841,14 +1997,22 @@ class VanillaToDoLists extends HTMLElement {
     shadowRoot.querySelector('header input').focus();
   }
   connectedCallback() {
+    // Subscribe to the shared store.
+    this.application.model.connect();
     // Add an event handler for when the window hash changed.
     window.addEventListener('hashchange', this.application.handleWindowHashChange);
+    // Register the keyboard shortcuts.
+    this.unregisterShortcuts = shortcuts.register(this.application.shortcuts);
     // Add an event handler for when the window mouse moves (and to-do lists' links are hovered).
     window.addEventListener('mousemove', this.application.view.handleWindowMouseMove);
   }
   disconnectedCallback() {
+    // Unsubscribe from the shared store.
+    this.application.model.disconnect();
     // Remove the event handler for when the window hash changed.
     window.removeEventListener('hashchange', this.application.handleWindowHashChange);
+    // Unregister the keyboard shortcuts.
+    this.unregisterShortcuts();
     // Remove the event handler for when the window mouse moves (and to-do lists' links are hovered).
     window.removeEventListener('mousemove', this.application.view.handleWindowMouseMove);
   }
@@ -0,0 +1,63 @@
+/**
+ * A function to convert a date to a local date string (YYYY-MM-DD) as used for to-do list items' due dates.
+ * @param {object} date - The date to convert.
+ * @returns {string} The local date string.
+ */
+export const toDateString = date => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * A function to determine whether a to-do list item is overdue or due today.
+ * Done to-do list items as well as those without or with a future due date are neither.
+ * @param {object} toDoListItem - The to-do list item.
+ * @param {string} today - An optional local date string of today's date.
+ * @returns {string} Either "overdue", "due-today" or null.
+ */
+export const getDueStatus = (toDoListItem, today = toDateString(new Date())) => {
+  if (!toDoListItem.due || toDoListItem.done) {
+    return null;
+  }
+  if (toDoListItem.due < today) {
+    return 'overdue';
+  }
+  if (toDoListItem.due === today) {
+    return 'due-today';
+  }
+  return null;
+};
+
+/**
+ * A function to count the overdue to-do list items and those due today.
+ * @param {array} toDoListItems - The to-do list items to count.
+ * @param {string} today - An optional local date string of today's date.
+ * @returns {object} An object containing the number of overdue to-do list items and those due today.
+ */
+export const countDueToDoListItems = (toDoListItems, today = toDateString(new Date())) => {
+  const dueStatuses = toDoListItems.map(toDoListItem => getDueStatus(toDoListItem, today));
+  return {
+    overdue: dueStatuses.filter(dueStatus => dueStatus === 'overdue').length,
+    dueToday: dueStatuses.filter(dueStatus => dueStatus === 'due-today').length
+  };
+};
+
+/**
+ * A function to format a due date for display, e. g. "Today" or "Oct 20".
+ * @param {string} due - The due date's local date string.
+ * @param {string} today - An optional local date string of today's date.
+ * @returns {string} The formatted due date.
+ */
+export const formatDue = (due, today = toDateString(new Date())) => {
+  if (due === today) {
+    return 'Today';
+  }
+  const [year, month, day] = due.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    year: due.slice(0, 4) !== today.slice(0, 4) ? 'numeric' : undefined,
+    month: 'short',
+    day: 'numeric'
+  });
+};
\ No newline at end of file
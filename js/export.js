@@ -0,0 +1,78 @@
+/**
+ * Import a function to get a to-do list item's priority.
+ */
+import {getPriority} from './priority.js';
+/**
+ * Import a function to get a to-do list item's tags.
+ */
+import {getTags} from './tags.js';
+/**
+ * Import a function to arrange to-do list items as tasks and subtasks.
+ */
+import {toToDoListItemTree} from './subtasks.js';
+/**
+ * Import a function to describe recurrence rules.
+ */
+import {formatRecurrence} from './recurrence.js';
+/**
+ * Import a function to get a to-do list item's notes.
+ */
+import {getNotes} from './notes.js';
+
+/**
+ * A function to export a to-do list as a GitHub-style Markdown task list.
+ * @param {object} toDoList - The to-do list to export.
+ * @returns {string} The Markdown text.
+ */
+export const toMarkdown = toDoList => {
+  const toLines = (toDoListItem, indentation) => {
+    // Keep each to-do list item's text on a single line, as a line break would end the task list item.
+    const tags = getTags(toDoListItem).map(tag => ` #${tag}`).join('');
+    // Indent the notes below their task list item, so they continue it.
+    const notes = getNotes(toDoListItem);
+    const notesLines = notes !== '' ? notes.split(/\r\n?|\n/).map(line => line !== '' ? `${indentation}  ${line}` : '') : [];
+    return [`${indentation}- [${toDoListItem.done ? 'x' : ' '}] ${toDoListItem.text.replace(/\s*[\r\n]+\s*/g, ' ')}${tags}`, ...notesLines];
+  };
+  // Subtasks are nested task list items.
+  const lines = toToDoListItemTree(toDoList.items).flatMap(task => {
+    return [...toLines(task.toDoListItem, ''), ...task.subtasks.flatMap(subtask => toLines(subtask, '  '))];
+  });
+  return [`# ${toDoList.name}`, '', ...lines, ''].join('\n');
+};
+
+/**
+ * Private function to quote a CSV field if necessary.
+ * @param {*} value - The field's value.
+ */
+const toCsvField = value => {
+  const field = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * A function to export a to-do list as CSV (RFC 4180) with a header line.
+ * @param {object} toDoList - The to-do list to export.
+ * @returns {string} The CSV text.
+ */
+export const toCsv = toDoList => {
+  const columns = ['text', 'done', 'priority', 'due', 'tags', 'recurrence', 'parent', 'created', 'lastUpdated', 'notes'];
+  // List each task followed by its subtasks, which refer to it by its text.
+  const lines = toToDoListItemTree(toDoList.items).flatMap(task => {
+    return [[task.toDoListItem, null], ...task.subtasks.map(subtask => [subtask, task.toDoListItem.text])];
+  }).map(([toDoListItem, parent]) => {
+    const fields = {...toDoListItem, priority: getPriority(toDoListItem), tags: getTags(toDoListItem).join(' '), recurrence: toDoListItem.recurrence ? formatRecurrence(toDoListItem.recurrence) : null, parent, notes: getNotes(toDoListItem)};
+    return columns.map(column => toCsvField(fields[column])).join(',');
+  });
+  return [columns.join(','), ...lines, ''].join('\r\n');
+};
+
+/**
+ * A function to derive a file name from a to-do list's name.
+ * @param {object} toDoList - The to-do list.
+ * @param {string} extension - The file name's extension.
+ * @returns {string} The file name.
+ */
+export const toFileName = (toDoList, extension) => {
+  const baseName = toDoList.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+  return `${baseName || 'to-do-list'}.${extension}`;
+};
\ No newline at end of file
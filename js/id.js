@@ -0,0 +1,18 @@
+/**
+ * A function to create a new ID.
+ * Use a random (version 4) UUID as ID, so IDs created at the same time, e. g. when creating several IDs at once or in several browsing
+ * contexts, don't collide either.
+ * @returns {string} The new ID, e. g. "3b241101-e2bb-4255-8caf-4136c566a962".
+ */
+export const createId = () => {
+  // Random UUIDs are only available in secure contexts, so create them from random values otherwise.
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  // Set the version (4) and the variant (RFC 4122) bits.
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
\ No newline at end of file
@@ -1,59 +1,43 @@
+/**
+ * Import the router shared by all components.
+ */
+import {router} from './router.js';
+
 /**
  * The division element containing the single page application.
  */
 const nodeSinglePageApplication = document.getElementById('single-page-application');
 /**
- * An object containing the single page application's routes.
+ * An array containing the single page application's routes, where nested routes extend their parent's path.
  */
-const singlePageApplicationRoutes = {
-  '/': 'vanilla-to-do-lists',
-  '/to-do-list': 'vanilla-to-do-list'
-};
+const singlePageApplicationRoutes = [
+  {path: '/', component: 'vanilla-to-do-lists'},
+  {path: '/to-do-list', navigation: true, children: [
+    {path: '/:id', component: 'vanilla-to-do-list', children: [
+      {path: '/item/:itemId'}
+    ]}
+  ]},
+  {path: '/search', component: 'vanilla-to-do-list-search', navigation: true},
+  {path: '/trash', component: 'vanilla-to-do-list-trash', navigation: true}
+];
 /**
- * A function to handle a window load or popstate event.
+ * Restore the path the 404 page redirected from, e. g. when reloading a deep link, as static hosting only serves the single page application at its base path.
  */
-const eventHandler = () => {
-  // Split the pathname into slug and ID.
-  const pathParts = window.location.pathname.replace('/vanilla-to-do-list', '').split('/');
-  const slug = pathParts[1];
-  const id = pathParts[2];
-  // Determine which web component to display.
-  const webComponent = singlePageApplicationRoutes[`/${slug}`];
-  // Using the innerHTML property along with a template string rather than creating and appending the respective custom element
-  // to make the ID attribute present in the first place and therefore avoiding the need of an attribute changed callback.
-  nodeSinglePageApplication.innerHTML = `<${webComponent}${id ? ' id="' + id + '"' : ''}></${webComponent}>`;
-  // Show or hide the navigation bar depending on the currently displayed web component.
-  const navigation = document.querySelector('nav');
-  if (slug === 'to-do-list') {
-    navigation.classList.remove('hide');
-  } else {
-    navigation.classList.add('hide');
+try {
+  const redirectedPath = sessionStorage.getItem('redirectedPath');
+  if (redirectedPath !== null) {
+    sessionStorage.removeItem('redirectedPath');
+    window.history.replaceState(null, '', redirectedPath);
   }
-};
-/**
- * Add an event listener triggered when the whole document is loaded.
- */
-window.addEventListener('load', () => {
-  // Execute the previously defined event handler.
-  eventHandler();
-  // Add an event listener triggered when the navigation bar is clicked.
-  const navigationLink = document.querySelector('nav a');
-  navigationLink.addEventListener('click', event => {
-    // Prevent a page reload.
-    event.preventDefault();
-    // Assign the navigation bar anchor's href attribute's value, i. e. the hyperlink's target URL, to a pathname object.
-    const {pathname: path} = new URL(event.target.href);
-    // Add a new entry to the browser's session history stack.
-    window.history.pushState({path}, '', path);
-    // Assign a new popstate event including the previously assigned pathname object and trigger it manually.
-    const popStateEvent = new PopStateEvent('popstate', {pathname: path});
-    dispatchEvent(popStateEvent);
-  });
-});
+} catch (error) {
+  // Rather start at the base path than fail to start the single page application.
+  console.warn('The path redirected from could not be restored!', error);
+}
 /**
- * Add an event listener triggered when the browser's active history entry changes.
+ * Start rendering the single page application, which is served from the /vanilla-to-do-list path.
  */
-window.addEventListener('popstate', () => {
-  // Execute the previously defined event handler.
-  eventHandler();
+router.start(nodeSinglePageApplication, {
+  routes: singlePageApplicationRoutes,
+  notFound: 'vanilla-to-do-list-not-found',
+  basePath: '/vanilla-to-do-list'
 });
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Import a function to add a template, replacing any template of the same name.
+ */
+import {addTemplate} from './templates.js';
+
+/**
+ * A function to check whether two values are equal, comparing objects and arrays by their contents, e. g. two versions of the to-do lists.
+ * @param {any} valueA - The first value.
+ * @param {any} valueB - The second value.
+ * @returns {boolean} Whether both values are equal.
+ */
+export const isEqual = (valueA, valueB) => {
+  if (valueA === valueB) {
+    return true;
+  }
+  if (typeof valueA !== 'object' || typeof valueB !== 'object' || valueA === null || valueB === null || Array.isArray(valueA) !== Array.isArray(valueB)) {
+    return false;
+  }
+  const keys = Object.keys(valueA);
+  return keys.length === Object.keys(valueB).length && keys.every(key => Object.hasOwn(valueB, key) && isEqual(valueA[key], valueB[key]));
+};
+
+/**
+ * Private function to get the time a to-do list or to-do list item was changed last.
+ * @param {object} record - The to-do list or to-do list item.
+ * @returns {number} The time in milliseconds or 0 if it's unknown.
+ */
+const getTimeChanged = record => {
+  const times = [record.created, record.lastRenamed, record.lastUpdated].map(date => Date.parse(date ?? '')).filter(time => !Number.isNaN(time));
+  return Math.max(0, ...times);
+};
+
+/**
+ * Private function to check whether the local version of a record wins over the remote one, i. e. was changed later.
+ * Records changed at the same time are told apart by the passed values, so every browsing context picks the same version.
+ * @param {object} recordLocal - The local version of the to-do list or to-do list item.
+ * @param {object} recordRemote - The remote version of the to-do list or to-do list item.
+ * @param {any} valueLocal - The local value to decide by if both versions were changed at the same time.
+ * @param {any} valueRemote - The remote value to decide by if both versions were changed at the same time.
+ * @returns {boolean} Whether the local version wins.
+ */
+const isLocalNewer = (recordLocal, recordRemote, valueLocal, valueRemote) => {
+  const difference = getTimeChanged(recordLocal) - getTimeChanged(recordRemote);
+  return difference !== 0 ? difference > 0 : String(JSON.stringify(valueLocal)) > String(JSON.stringify(valueRemote));
+};
+
+/**
+ * Private function to merge the properties of a record changed in both browsing contexts.
+ * Every property takes the value of the version which changed it, while a property changed in both versions takes the value of the
+ * version changed last.
+ * @param {object} recordBase - The version both browsing contexts started from or an empty object if both added the record.
+ * @param {object} recordLocal - The local version.
+ * @param {object} recordRemote - The remote version.
+ * @returns {object} The merged record.
+ */
+const mergeProperties = (recordBase, recordLocal, recordRemote) => {
+  const keys = new Set([...Object.keys(recordRemote), ...Object.keys(recordLocal)]);
+  return Object.fromEntries([...keys].map(key => {
+    if (isEqual(recordLocal[key], recordBase[key])) {
+      return [key, recordRemote[key]];
+    }
+    if (isEqual(recordRemote[key], recordBase[key]) || isLocalNewer(recordLocal, recordRemote, recordLocal[key], recordRemote[key])) {
+      return [key, recordLocal[key]];
+    }
+    return [key, recordRemote[key]];
+  }).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Private function to merge two versions of a list of records (to-do lists or to-do list items) identified by their IDs.
+ * The records keep the order of the remote version, unless only the local version reordered them. Records added by one version are
+ * inserted after the record they follow in that version.
+ * @param {array} recordsBase - The version both browsing contexts started from.
+ * @param {array} recordsLocal - The local version.
+ * @param {array} recordsRemote - The remote version.
+ * @param {function} mergeRecord - A function to merge a record changed in both versions.
+ * @param {function} isRemoved - A function to check whether a record contained in one version only was removed, receiving its ID and
+ * whether the version both started from contains it.
+ * @returns {array} The merged records.
+ */
+const mergeRecords = (recordsBase, recordsLocal, recordsRemote, mergeRecord, isRemoved) => {
+  const recordsBaseById = new Map(recordsBase.map(record => [record.id, record]));
+  const recordsLocalById = new Map(recordsLocal.map(record => [record.id, record]));
+  const recordsRemoteById = new Map(recordsRemote.map(record => [record.id, record]));
+  const isReordered = records => {
+    const ids = records.map(record => record.id).filter(id => recordsBaseById.has(id));
+    return !isEqual(ids, recordsBase.map(record => record.id).filter(id => ids.includes(id)));
+  };
+  const [recordsFirst, recordsSecond] = isReordered(recordsLocal) && !isReordered(recordsRemote) ? [recordsLocal, recordsRemote] : [recordsRemote, recordsLocal];
+  const ids = recordsFirst.map(record => record.id);
+  recordsSecond.forEach((record, index) => {
+    if (!ids.includes(record.id)) {
+      const recordPrevious = recordsSecond.slice(0, index).findLast(recordPrevious => ids.includes(recordPrevious.id));
+      ids.splice(recordPrevious === undefined ? 0 : ids.indexOf(recordPrevious.id) + 1, 0, record.id);
+    }
+  });
+  return ids.flatMap(id => {
+    const recordBase = recordsBaseById.get(id);
+    const recordLocal = recordsLocalById.get(id);
+    const recordRemote = recordsRemoteById.get(id);
+    if (recordLocal === undefined || recordRemote === undefined) {
+      return isRemoved(id, recordBase !== undefined) ? [] : [recordLocal ?? recordRemote];
+    }
+    if (recordBase === undefined) {
+      return [mergeRecord({}, recordLocal, recordRemote)];
+    }
+    if (isEqual(recordLocal, recordBase)) {
+      return [recordRemote];
+    }
+    if (isEqual(recordRemote, recordBase)) {
+      return [recordLocal];
+    }
+    return [mergeRecord(recordBase, recordLocal, recordRemote)];
+  });
+};
+
+/**
+ * Private function to collect the IDs of the to-do lists and to-do list items contained in the trash.
+ * @param {array} trashEntries - The trash entries.
+ * @returns {Set} The IDs.
+ */
+const getTrashedIds = trashEntries => {
+  return new Set(trashEntries.flatMap(trashEntry => {
+    if (trashEntry.type === 'toDoList') {
+      return [trashEntry.toDoList.id, ...trashEntry.toDoList.items.map(toDoListItem => toDoListItem.id)];
+    }
+    return trashEntry.toDoListItems.map(toDoListItem => toDoListItem.id);
+  }));
+};
+
+/**
+ * A function to merge the to-do lists changed in this browsing context with the ones stored by another browsing context in the meantime,
+ * so neither browsing context's changes get lost.
+ * Both versions are compared to the to-do lists both started from: changes of one version are kept, while a to-do list or to-do list item
+ * changed in both versions is merged property by property, preferring the version changed last. A to-do list or to-do list item removed by
+ * one version stays removed, unless it was added since or moved to another to-do list. A to-do list item moved to different to-do lists by
+ * both versions ends up in the to-do list changed last.
+ * @param {array} toDoListsBase - The to-do lists both browsing contexts started from, i. e. the ones stored last by another browsing context.
+ * @param {array} toDoListsLocal - The to-do lists of this browsing context.
+ * @param {array} toDoListsRemote - The to-do lists stored by another browsing context.
+ * @param {array} trashEntries - The trash entries, telling the to-do lists and to-do list items which were deleted apart from added ones.
+ * @returns {array} The merged to-do lists.
+ */
+export const mergeToDoLists = (toDoListsBase, toDoListsLocal, toDoListsRemote, trashEntries) => {
+  const idsTrashed = getTrashedIds(trashEntries);
+  const getToDoListsByItemId = toDoLists => {
+    return new Map(toDoLists.flatMap(toDoList => toDoList.items.map(toDoListItem => [toDoListItem.id, toDoList])));
+  };
+  const toDoListsLocalByItemId = getToDoListsByItemId(toDoListsLocal);
+  const toDoListsRemoteByItemId = getToDoListsByItemId(toDoListsRemote);
+  const mergeToDoList = (toDoListBase, toDoListLocal, toDoListRemote) => {
+    const {items: toDoListItemsBase = [], ...propertiesBase} = toDoListBase;
+    const {items: toDoListItemsLocal, ...propertiesLocal} = toDoListLocal;
+    const {items: toDoListItemsRemote, ...propertiesRemote} = toDoListRemote;
+    const isToDoListItemRemoved = (id, inBase) => {
+      const toDoListLocalOfItem = toDoListsLocalByItemId.get(id);
+      const toDoListRemoteOfItem = toDoListsRemoteByItemId.get(id);
+      if (toDoListLocalOfItem !== undefined && toDoListRemoteOfItem !== undefined && toDoListLocalOfItem.id !== toDoListRemoteOfItem.id) {
+        const toDoListOfItem = isLocalNewer(toDoListLocalOfItem, toDoListRemoteOfItem, toDoListLocalOfItem.id, toDoListRemoteOfItem.id) ? toDoListLocalOfItem : toDoListRemoteOfItem;
+        return toDoListOfItem.id !== toDoListLocal.id;
+      }
+      return inBase || idsTrashed.has(id);
+    };
+    return {
+      ...mergeProperties(propertiesBase, propertiesLocal, propertiesRemote),
+      items: mergeRecords(toDoListItemsBase, toDoListItemsLocal, toDoListItemsRemote, mergeProperties, isToDoListItemRemoved)
+    };
+  };
+  return mergeRecords(toDoListsBase, toDoListsLocal, toDoListsRemote, mergeToDoList, (id, inBase) => inBase || idsTrashed.has(id));
+};
+
+/**
+ * A function to merge the trash changed in this browsing context with the one stored by another browsing context in the meantime.
+ * Trash entries added by either version are kept, while trash entries purged or restored by either version stay removed. The merged trash
+ * entries are sorted by their time of deletion again, newest first.
+ * @param {object} trashBase - The trash both browsing contexts started from, i. e. the one stored last by any browsing context.
+ * @param {object} trashLocal - The trash of this browsing context.
+ * @param {object} trashRemote - The trash stored by another browsing context.
+ * @returns {object} The merged trash.
+ */
+export const mergeTrash = (trashBase, trashLocal, trashRemote) => {
+  // Trash entries never change, so a trash entry contained in both versions is the same.
+  const entries = mergeRecords(trashBase.entries, trashLocal.entries, trashRemote.entries, (trashEntryBase, trashEntryLocal, trashEntryRemote) => {
+    return trashEntryRemote;
+  }, (id, inBase) => inBase);
+  const retentionDays = trashLocal.retentionDays !== trashBase.retentionDays ? trashLocal.retentionDays : trashRemote.retentionDays;
+  return {retentionDays, entries: entries.sort((trashEntryA, trashEntryB) => Date.parse(trashEntryB.deleted) - Date.parse(trashEntryA.deleted))};
+};
+
+/**
+ * A function to merge the templates changed in this browsing context with the ones stored by another browsing context in the meantime.
+ * Templates saved by either version are kept, while templates deleted by either version stay removed. Of the templates of the same name
+ * saved by both versions the one created last replaces the other one.
+ * @param {array} templatesBase - The templates both browsing contexts started from, i. e. the ones stored last by any browsing context.
+ * @param {array} templatesLocal - The templates of this browsing context.
+ * @param {array} templatesRemote - The templates stored by another browsing context.
+ * @returns {array} The merged templates in alphabetical order.
+ */
+export const mergeTemplates = (templatesBase, templatesLocal, templatesRemote) => {
+  // Templates never change, so a template contained in both versions is the same.
+  const templates = mergeRecords(templatesBase, templatesLocal, templatesRemote, (templateBase, templateLocal, templateRemote) => {
+    return templateRemote;
+  }, (id, inBase) => inBase);
+  return templates.sort((templateA, templateB) => Date.parse(templateA.created) - Date.parse(templateB.created)).reduce(addTemplate, []);
+};
\ No newline at end of file
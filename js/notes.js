@@ -0,0 +1,136 @@
+/**
+ * The URL schemes links within notes may use, so no link runs scripts.
+ */
+const linkProtocols = ['http:', 'https:', 'mailto:'];
+
+/**
+ * The inline Markdown syntax supported within notes: code spans, links, bare URLs, strong and emphasized text.
+ */
+const inlinePattern = /`([^`]+)`|\[([^\]]+)\]\(([^()\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,:;!?"')\]])|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:.*?[^*\s])?)\*|\b_([^_\s](?:.*?[^_\s])?)_\b/u;
+
+/**
+ * A list item's marker, i. e. a dash, an asterisk or a plus sign respectively a number followed by a dot or a parenthesis.
+ */
+const listItemPattern = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+/**
+ * A function to get a to-do list item's notes.
+ * @param {object} toDoListItem - The to-do list item.
+ * @returns {string} The to-do list item's notes, which are empty if there are none.
+ */
+export const getNotes = toDoListItem => {
+  return toDoListItem.notes;
+};
+
+/**
+ * A function to check whether a to-do list item has notes.
+ * @param {object} toDoListItem - The to-do list item.
+ * @returns {boolean} Whether the to-do list item's notes contain anything but whitespace.
+ */
+export const hasNotes = toDoListItem => {
+  return getNotes(toDoListItem).trim() !== '';
+};
+
+/**
+ * A function to normalize notes, i. e. to remove trailing whitespace and blank lines at the beginning and the end.
+ * @param {string} notes - The notes to normalize.
+ * @returns {string} The normalized notes, which are empty if there's nothing left.
+ */
+export const normalizeNotes = notes => {
+  return notes.replace(/\r\n?/g, '\n').replace(/[^\S\n]+$/gm, '').replace(/^\n+|\n+$/g, '');
+};
+
+/**
+ * Private function to check whether a link's URL is safe to open, i. e. absolute and using one of the allowed schemes.
+ * @param {string} href - The link's URL.
+ * @returns {boolean} Whether the URL is safe.
+ */
+const isSafeUrl = href => {
+  try {
+    return linkProtocols.includes(new URL(href).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Private function to parse the inline Markdown syntax of a text.
+ * @param {string} text - The text to parse.
+ * @returns {array} The inline nodes, each containing its type ("text", "code", "link", "strong" or "emphasis") and either its text or its children.
+ */
+const parseInlines = text => {
+  const inlines = [];
+  let rest = text;
+  let match;
+  while ((match = rest.match(inlinePattern)) !== null) {
+    const [source, code, linkText, href, url, strong, strongUnderscore, emphasis, emphasisUnderscore] = match;
+    if (match.index > 0) {
+      inlines.push({type: 'text', text: rest.slice(0, match.index)});
+    }
+    if (code !== undefined) {
+      inlines.push({type: 'code', text: code});
+    } else if (linkText !== undefined) {
+      // Show links to unsafe URLs as they were typed.
+      inlines.push(isSafeUrl(href) ? {type: 'link', href, children: parseInlines(linkText)} : {type: 'text', text: source});
+    } else if (url !== undefined) {
+      inlines.push({type: 'link', href: url, children: [{type: 'text', text: url}]});
+    } else if (strong !== undefined || strongUnderscore !== undefined) {
+      inlines.push({type: 'strong', children: parseInlines(strong ?? strongUnderscore)});
+    } else {
+      inlines.push({type: 'emphasis', children: parseInlines(emphasis ?? emphasisUnderscore)});
+    }
+    rest = rest.slice(match.index + source.length);
+  }
+  if (rest !== '') {
+    inlines.push({type: 'text', text: rest});
+  }
+  return inlines;
+};
+
+/**
+ * A function to parse notes written in a subset of Markdown: paragraphs, bulleted and numbered lists, fenced code blocks,
+ * code spans, links, strong and emphasized text.
+ * The result only describes the notes' structure, as it's up to the view to create elements with their text content,
+ * so any HTML within the notes is shown as it was typed rather than injected.
+ * @param {string} notes - The notes to parse.
+ * @returns {array} The blocks, each containing its type ("paragraph", "list" or "code") and its inline nodes, list items or text.
+ */
+export const parseMarkdown = notes => {
+  const blocks = [];
+  const lines = notes.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({type: 'paragraph', inlines: parseInlines(paragraph.join('\n'))});
+      paragraph = [];
+    }
+  };
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const listItemMatch = line.match(listItemPattern);
+    if (/^\s*```/.test(line)) {
+      endParagraph();
+      // A code block lasts until its closing fence or the end of the notes.
+      const indexEnd = lines.findIndex((lineEnd, indexLine) => indexLine > index && /^\s*```\s*$/.test(lineEnd));
+      const codeLines = lines.slice(index + 1, indexEnd === -1 ? lines.length : indexEnd);
+      blocks.push({type: 'code', text: codeLines.join('\n')});
+      index = indexEnd === -1 ? lines.length : indexEnd;
+    } else if (listItemMatch !== null) {
+      endParagraph();
+      const ordered = listItemMatch[2] !== undefined;
+      const blockLast = blocks[blocks.length - 1];
+      // Continue the list right above unless the kind of list changes.
+      if (blockLast?.type === 'list' && blockLast.ordered === ordered && lines[index - 1]?.trim() !== '') {
+        blockLast.items.push(parseInlines(listItemMatch[3]));
+      } else {
+        blocks.push({type: 'list', ordered, start: ordered ? +listItemMatch[2] : 1, items: [parseInlines(listItemMatch[3])]});
+      }
+    } else if (line.trim() === '') {
+      endParagraph();
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  endParagraph();
+  return blocks;
+};
\ No newline at end of file
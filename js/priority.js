@@ -0,0 +1,53 @@
+/**
+ * The to-do list items' priorities ordered from the highest to the lowest.
+ */
+export const priorities = ['urgent', 'high', 'normal', 'low'];
+
+/**
+ * The priority of new to-do list items and of the ones stored before priorities existed.
+ */
+export const defaultPriority = 'normal';
+
+/**
+ * A function to get a to-do list item's priority.
+ * @param {object} toDoListItem - The to-do list item.
+ * @returns {string} The to-do list item's priority.
+ */
+export const getPriority = toDoListItem => {
+  return toDoListItem.priority;
+};
+
+/**
+ * A function to sort to-do list items by priority and then by creation date, keeping the passed array as it is.
+ * @param {array} toDoListItems - The to-do list items to sort.
+ * @returns {array} The sorted to-do list items.
+ */
+export const sortByPriority = toDoListItems => {
+  return [...toDoListItems].sort((toDoListItemA, toDoListItemB) => {
+    const priorityDifference = priorities.indexOf(getPriority(toDoListItemA)) - priorities.indexOf(getPriority(toDoListItemB));
+    if (priorityDifference !== 0) {
+      return priorityDifference;
+    }
+    return String(toDoListItemA.created).localeCompare(String(toDoListItemB.created));
+  });
+};
+
+/**
+ * A function to sort to-do list items according to a to-do list's sort order.
+ * @param {object} toDoList - The to-do list providing the items and the sort order.
+ * @returns {array} The sorted to-do list items.
+ */
+export const sortToDoListItems = toDoList => {
+  return toDoList.sortBy === 'priority' ? sortByPriority(toDoList.items) : toDoList.items;
+};
+
+/**
+ * A function to count the pending to-do list items of high or urgent priority.
+ * @param {array} toDoListItems - The to-do list items to count.
+ * @returns {number} The number of pending to-do list items of high or urgent priority.
+ */
+export const countPendingHighPriority = toDoListItems => {
+  return toDoListItems.filter(toDoListItem => {
+    return toDoListItem.done === false && ['urgent', 'high'].includes(getPriority(toDoListItem));
+  }).length;
+};
\ No newline at end of file
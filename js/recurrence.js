@@ -0,0 +1,98 @@
+/**
+ * Import a function to convert a date to a local date string.
+ */
+import {toDateString} from './due.js';
+
+/**
+ * The frequencies of recurrence rules.
+ */
+export const frequencies = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+/**
+ * The days of the week's short names, starting with Sunday like Date.prototype.getDay() does.
+ */
+export const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * A function to check whether a value is a valid recurrence rule or null.
+ * @param {*} recurrence - The value to check.
+ * @returns {boolean} Whether the value is a valid recurrence rule or null.
+ */
+export const isRecurrence = recurrence => {
+  if (recurrence === null) {
+    return true;
+  }
+  if (typeof recurrence !== 'object' || !frequencies.includes(recurrence.frequency)) {
+    return false;
+  }
+  if (recurrence.frequency === 'weekly') {
+    return Array.isArray(recurrence.days) && recurrence.days.length > 0 && recurrence.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  }
+  if (recurrence.frequency === 'monthly') {
+    return Number.isInteger(recurrence.dayOfMonth) && recurrence.dayOfMonth >= 1 && recurrence.dayOfMonth <= 31;
+  }
+  return true;
+};
+
+/**
+ * Private function to convert a local date string to a date.
+ * @param {string} dateString - The local date string (YYYY-MM-DD).
+ */
+const toDate = dateString => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * A function to get the date of a recurring to-do list item's next occurrence.
+ * @param {object} recurrence - The recurrence rule.
+ * @param {string} after - The local date string the next occurrence has to be after.
+ * @returns {string} The next occurrence's local date string.
+ */
+export const getNextOccurrence = (recurrence, after) => {
+  const date = toDate(after);
+  if (recurrence.frequency === 'monthly') {
+    // Months shorter than the day of the month let the to-do list item recur on their last day.
+    const getOccurrence = (year, month) => {
+      return new Date(year, month, Math.min(recurrence.dayOfMonth, new Date(year, month + 1, 0).getDate()));
+    };
+    const occurrence = getOccurrence(date.getFullYear(), date.getMonth());
+    return toDateString(occurrence > date ? occurrence : getOccurrence(date.getFullYear(), date.getMonth() + 1));
+  }
+  do {
+    date.setDate(date.getDate() + 1);
+  } while ((recurrence.frequency === 'weekdays' && [0, 6].includes(date.getDay())) || (recurrence.frequency === 'weekly' && !recurrence.days.includes(date.getDay())));
+  return toDateString(date);
+};
+
+/**
+ * A function to get the date of a recurring to-do list item's first occurrence on or after a date.
+ * @param {object} recurrence - The recurrence rule.
+ * @param {string} from - The local date string the first occurrence may be on.
+ * @returns {string} The first occurrence's local date string.
+ */
+export const getFirstOccurrence = (recurrence, from) => {
+  const dayBefore = toDate(from);
+  dayBefore.setDate(dayBefore.getDate() - 1);
+  return getNextOccurrence(recurrence, toDateString(dayBefore));
+};
+
+/**
+ * A function to describe a recurrence rule, e. g. "weekly on Mon, Thu".
+ * @param {object} recurrence - The recurrence rule.
+ * @returns {string} The description.
+ */
+export const formatRecurrence = recurrence => {
+  if (recurrence.frequency === 'weekdays') {
+    return 'on weekdays';
+  }
+  if (recurrence.frequency === 'weekly') {
+    // List the days starting with Monday.
+    const days = [...recurrence.days].sort((dayA, dayB) => (dayA + 6) % 7 - (dayB + 6) % 7);
+    return `weekly on ${days.map(day => weekdayNames[day]).join(', ')}`;
+  }
+  if (recurrence.frequency === 'monthly') {
+    return `monthly on day ${recurrence.dayOfMonth}`;
+  }
+  return recurrence.frequency;
+};
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * The path the application is served from unless configured otherwise.
+ */
+export const defaultBasePath = '/vanilla-to-do-list';
+
+/**
+ * Private function to escape a value for use within an HTML attribute.
+ * @param {string} value - The value to escape.
+ * @returns {string} The escaped value.
+ */
+const escapeAttribute = value => {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
+/**
+ * Private function to convert a parameter's name to the name of the attribute passing it to a custom element, e. g. "itemId" to "item-id".
+ * @param {string} name - The parameter's name.
+ * @returns {string} The attribute's name.
+ */
+const toAttributeName = name => {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+};
+
+/**
+ * Private function to split a path into its segments, ignoring leading, trailing and repeated slashes.
+ * @param {string} path - The path, e. g. "/to-do-list/1".
+ * @returns {array} The segments, e. g. ["to-do-list", "1"].
+ */
+const toSegments = path => {
+  return path.split('/').filter(segment => segment !== '');
+};
+
+/**
+ * Private function to match the leading segments of a path against a route's path.
+ * @param {array} patternSegments - The route path's segments, where segments starting with a colon are parameters.
+ * @param {array} segments - The path's segments.
+ * @returns {object} The matched parameters or null if the route's path doesn't match.
+ */
+const matchSegments = (patternSegments, segments) => {
+  if (patternSegments.length > segments.length) {
+    return null;
+  }
+  const params = {};
+  for (const [index, patternSegment] of patternSegments.entries()) {
+    if (patternSegment.startsWith(':')) {
+      try {
+        params[patternSegment.slice(1)] = decodeURIComponent(segments[index]);
+      } catch (error) {
+        // A malformed escape sequence can't be part of any valid path.
+        return null;
+      }
+    } else if (patternSegment !== segments[index]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Private function to find the route matching all segments of a path, trying nested routes depth-first.
+ * @param {array} routes - The routes to try in order.
+ * @param {array} segments - The path's segments left to match.
+ * @param {array} parents - The routes matched so far, from the outermost one.
+ * @param {object} params - The parameters matched so far.
+ * @returns {object} The matched routes from the outermost to the innermost one along with the parameters or null if none matches.
+ */
+const matchRoutes = (routes, segments, parents = [], params = {}) => {
+  for (const route of routes) {
+    const patternSegments = toSegments(route.path);
+    const routeParams = matchSegments(patternSegments, segments);
+    if (routeParams === null) {
+      continue;
+    }
+    const matched = [...parents, route];
+    const segmentsRest = segments.slice(patternSegments.length);
+    const paramsMatched = {...params, ...routeParams};
+    const match = matchRoutes(route.children || [], segmentsRest, matched, paramsMatched);
+    if (match !== null) {
+      return match;
+    }
+    // A nested route without a custom element of its own may end the path as long as one of its parents renders one.
+    if (segmentsRest.length === 0 && matched.some(routeMatched => routeMatched.component !== undefined)) {
+      return {routes: matched, params: paramsMatched};
+    }
+  }
+  return null;
+};
+
+/**
+ * Class representing the router of the single page application, which renders the component of the route matching the current URL.
+ */
+export class Router {
+  /**
+   * The routes, each containing its path (e. g. "/to-do-list/:id"), optionally the custom element to render and any nested routes.
+   * Nested routes without a custom element of their own render the one of their closest parent.
+   */
+  #routes = [];
+  /**
+   * The custom element to render if no route matches.
+   */
+  #notFound = null;
+  /**
+   * The element to render the current route's custom element into or null until the router is started.
+   */
+  #outlet = null;
+  /**
+   * The callback functions executed whenever the route changed.
+   */
+  #subscribers = [];
+  /**
+   * The path of the URL rendered last.
+   */
+  #pathname = null;
+  /**
+   * Create the router.
+   * @param {string} basePath - The path the application is served from.
+   */
+  constructor(basePath = defaultBasePath) {
+    this.basePath = basePath.replace(/\/+$/, '');
+    this.route = null;
+  }
+  /**
+   * Method to get whether the router is started, i. e. renders the single page application.
+   */
+  get started() {
+    return this.#outlet !== null;
+  }
+  /**
+   * Method to start rendering the routes' custom elements, handling history changes and the clicks on links within the application.
+   * @param {object} outlet - The element to render the current route's custom element into.
+   * @param {object} options - An object containing the routes, the custom element to render if no route matches and optionally the base path.
+   */
+  start(outlet, {routes, notFound, basePath = this.basePath}) {
+    this.#routes = routes;
+    this.#notFound = notFound;
+    this.#outlet = outlet;
+    this.basePath = basePath.replace(/\/+$/, '');
+    window.addEventListener('popstate', this.#handleWindowPopState);
+    document.addEventListener('click', this.#handleDocumentClick);
+    this.#render();
+  }
+  /**
+   * Method to subscribe to route changes.
+   * @param {function} callback - A callback function executed with the current route whenever the route changed.
+   * @returns {function} A function to unsubscribe again.
+   */
+  subscribe(callback) {
+    this.#subscribers = [...this.#subscribers, callback];
+    return () => {
+      this.#subscribers = this.#subscribers.filter(subscriber => subscriber !== callback);
+    };
+  }
+  /**
+   * Method to get the URL of a path within the application.
+   * @param {string} path - The path relative to the base path, e. g. "/to-do-list/1".
+   * @returns {string} The URL's path including the base path.
+   */
+  href(path) {
+    return `${this.basePath}${path.startsWith('/') ? '' : '/'}${path}`;
+  }
+  /**
+   * Method to resolve a URL's path to the route matching it.
+   * @param {string} pathname - The URL's path including the base path.
+   * @returns {object} The route containing the custom element to render, the parameters and whether the navigation bar is shown, or null if no route matches.
+   */
+  resolve(pathname) {
+    if (pathname !== this.basePath && !pathname.startsWith(`${this.basePath}/`)) {
+      return null;
+    }
+    const match = matchRoutes(this.#routes, toSegments(pathname.slice(this.basePath.length)));
+    if (match === null) {
+      return null;
+    }
+    const routesRendering = match.routes.filter(route => route.component !== undefined);
+    const routeInnermost = routesRendering[routesRendering.length - 1];
+    return {
+      component: routeInnermost.component,
+      params: match.params,
+      navigation: match.routes.some(route => route.navigation === true)
+    };
+  }
+  /**
+   * Method to navigate to a URL within the application.
+   * Without the router being started, e. g. on the components' own pages, the URL is loaded in place of the current page.
+   * @param {string} url - The URL's path relative to the base path, optionally followed by a query string and a hash.
+   * @param {boolean} replace - Whether to replace the current entry of the browser's session history rather than adding a new one.
+   */
+  navigate(url, replace = false) {
+    const href = this.href(url);
+    if (!this.started) {
+      window.location.assign(href);
+      return;
+    }
+    if (replace) {
+      window.history.replaceState({path: href}, '', href);
+    } else {
+      window.history.pushState({path: href}, '', href);
+    }
+    this.#render();
+  }
+  /**
+   * Private method to render the custom element of the route matching the current URL.
+   */
+  #render() {
+    const route = this.resolve(window.location.pathname) || {component: this.#notFound, params: {path: window.location.pathname}, navigation: true};
+    // Using the innerHTML property along with a template string rather than creating and appending the respective custom element
+    // to make the attributes present in the first place and therefore avoiding the need of an attribute changed callback.
+    const attributes = Object.entries(route.params).map(([name, value]) => ` ${toAttributeName(name)}="${escapeAttribute(value)}"`).join('');
+    this.#outlet.innerHTML = `<${route.component}${attributes}></${route.component}>`;
+    this.#pathname = window.location.pathname;
+    this.route = route;
+    this.#subscribers.forEach(subscriber => subscriber(route));
+  }
+  /**
+   * Private method to handle the window pop state event, i. e. the browser's back and forward buttons.
+   */
+  #handleWindowPopState = () => {
+    // Leave changes of the hash only, e. g. of the filters, to the rendered custom element.
+    if (window.location.pathname !== this.#pathname) {
+      this.#render();
+    }
+  };
+  /**
+   * Private method to handle the document click event, navigating within the application rather than reloading the page for any link
+   * to one of its paths, including the links within the custom elements' shadow DOM.
+   * @param {object} event - The click event.
+   */
+  #handleDocumentClick = event => {
+    if (event.defaultPrevented || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    const nodeLink = event.composedPath().find(node => node.tagName === 'A' && node.hasAttribute('href'));
+    if (nodeLink === undefined || nodeLink.hasAttribute('download') || (nodeLink.target !== '' && nodeLink.target !== '_self')) {
+      return;
+    }
+    const url = new URL(nodeLink.href);
+    // Leave links to other sites and links only changing the hash, e. g. the filters, to the browser.
+    if (url.origin !== window.location.origin || (url.pathname !== this.basePath && !url.pathname.startsWith(`${this.basePath}/`))) {
+      return;
+    }
+    if (url.hash !== '' && url.pathname === window.location.pathname && url.search === window.location.search) {
+      return;
+    }
+    event.preventDefault();
+    this.navigate(`${url.pathname.slice(this.basePath.length)}${url.search}${url.hash}`);
+  };
+}
+
+/**
+ * The router shared by all components.
+ */
+export const router = new Router();
\ No newline at end of file
@@ -0,0 +1,419 @@
+/**
+ * Import the to-do list items' priorities.
+ */
+import {priorities, defaultPriority} from './priority.js';
+/**
+ * Import a function to normalize tags.
+ */
+import {normalizeTag} from './tags.js';
+/**
+ * Import a function to validate recurrence rules.
+ */
+import {isRecurrence} from './recurrence.js';
+/**
+ * Import a function to create a new ID.
+ */
+import {createId} from './id.js';
+
+/**
+ * The current version of the stored to-do lists' schema, stamped in the storage next to them.
+ * Stored to-do lists without a version predate the schema version and are treated as version 0.
+ */
+export const schemaVersion = 2;
+
+/**
+ * Private function to convert a numeric ID to a string, leaving any other value to the validation.
+ * @param {*} id - The ID to convert.
+ * @returns {*} The ID's digits if it's a number, otherwise the ID as it is.
+ */
+const toIdString = id => {
+  return typeof id === 'number' ? String(id) : id;
+};
+
+/**
+ * Private function to check whether a value is an object, leaving records which aren't to the validation.
+ * @param {*} value - The value to check.
+ */
+const isObject = value => {
+  return value !== null && typeof value === 'object';
+};
+
+/**
+ * Private function to give each to-do list item whose ID is taken already a new ID, so only the first one keeps it.
+ * Subtasks follow their task, so a subtask's parent is the closest preceding to-do list item having the parent's ID.
+ * @param {array} toDoListItems - The to-do list items.
+ * @param {Set} ids - The IDs of the to-do list items taken already, which the to-do list items' IDs are added to.
+ * @returns {array} The to-do list items having unique IDs.
+ */
+const assignUniqueToDoListItemIds = (toDoListItems, ids) => {
+  const idsAssigned = new Map();
+  return toDoListItems.map(toDoListItem => {
+    if (!isObject(toDoListItem)) {
+      return toDoListItem;
+    }
+    const id = ids.has(toDoListItem.id) ? createId() : toDoListItem.id;
+    const parentId = idsAssigned.get(toDoListItem.parentId) ?? toDoListItem.parentId;
+    ids.add(id);
+    idsAssigned.set(toDoListItem.id, id);
+    return id === toDoListItem.id && parentId === toDoListItem.parentId ? toDoListItem : {...toDoListItem, id, parentId};
+  });
+};
+
+/**
+ * Private function to give each to-do list whose ID is taken already a new ID, so only the first one keeps it, and each to-do list item
+ * alike.
+ * @param {array} toDoLists - The to-do lists.
+ * @param {Set} ids - The IDs of the to-do lists taken already, which the to-do lists' IDs are added to.
+ * @param {Set} idsToDoListItems - The IDs of the to-do list items taken already, which the to-do list items' IDs are added to.
+ * @returns {array} The to-do lists having unique IDs.
+ */
+const assignUniqueToDoListIds = (toDoLists, ids, idsToDoListItems) => {
+  return toDoLists.map(toDoList => {
+    if (!isObject(toDoList)) {
+      return toDoList;
+    }
+    const id = ids.has(toDoList.id) ? createId() : toDoList.id;
+    ids.add(id);
+    if (!Array.isArray(toDoList.items)) {
+      return {...toDoList, id};
+    }
+    return {...toDoList, id, items: assignUniqueToDoListItemIds(toDoList.items, idsToDoListItems)};
+  });
+};
+
+/**
+ * The migrations upgrading stored to-do lists, where the migration at index n upgrades version n to version n + 1.
+ * Each migration upgrades a single to-do list respectively a single to-do list item, so trash entries and templates can be upgraded alike,
+ * and optionally a single trash entry and a single template themselves. A migration may upgrade all to-do lists, all trash entries
+ * (knowing the upgraded to-do lists) and all templates at once, too, after upgrading them one by one.
+ * Add a migration along with incrementing the schema version whenever the shape of the to-do lists changes.
+ */
+const migrations = [
+  {
+    // Version 1 adds all properties introduced after the first release along with their default values.
+    toDoList: toDoList => {
+      return {lastRenamed: null, lastUpdated: null, archived: false, ...toDoList, items: toDoList.items ?? []};
+    },
+    toDoListItem: toDoListItem => {
+      return {lastUpdated: null, due: null, priority: defaultPriority, tags: [], parentId: null, recurrence: null, notes: '', ...toDoListItem};
+    }
+  },
+  {
+    // Version 2 replaces the numeric IDs, i. e. the times of creation, by strings like the random UUIDs created from now on.
+    // Keeping their digits keeps the URLs of existing to-do lists and to-do list items working.
+    toDoList: toDoList => {
+      return {...toDoList, id: toIdString(toDoList.id)};
+    },
+    toDoListItem: toDoListItem => {
+      return {...toDoListItem, id: toIdString(toDoListItem.id), parentId: toIdString(toDoListItem.parentId)};
+    },
+    trashEntry: trashEntry => {
+      const origin = trashEntry.type === 'toDoListItem' ? {...trashEntry.origin, toDoListId: toIdString(trashEntry.origin.toDoListId)} : trashEntry.origin;
+      return {...trashEntry, id: toIdString(trashEntry.id), origin};
+    },
+    template: template => {
+      return {...template, id: toIdString(template.id)};
+    },
+    // Records created within the same millisecond share their numeric ID, so all but the first one get a new ID rather than being
+    // rejected by the validation. The first one keeps its ID, so URLs and trash entries referring to it keep working.
+    toDoLists: toDoLists => {
+      return assignUniqueToDoListIds(toDoLists, new Set(), new Set());
+    },
+    trashEntries: (trashEntries, toDoLists) => {
+      const idsTrashEntries = new Set();
+      const ids = new Set(toDoLists.filter(isObject).map(toDoList => toDoList.id));
+      const idsToDoListItems = new Set(toDoLists.filter(toDoList => isObject(toDoList) && Array.isArray(toDoList.items)).flatMap(toDoList => {
+        return toDoList.items.filter(isObject).map(toDoListItem => toDoListItem.id);
+      }));
+      return trashEntries.map(trashEntry => {
+        const id = idsTrashEntries.has(trashEntry.id) ? createId() : trashEntry.id;
+        idsTrashEntries.add(id);
+        if (trashEntry.type === 'toDoList') {
+          return {...trashEntry, id, toDoList: assignUniqueToDoListIds([trashEntry.toDoList], ids, idsToDoListItems)[0]};
+        }
+        return {...trashEntry, id, toDoListItems: assignUniqueToDoListItemIds(trashEntry.toDoListItems, idsToDoListItems)};
+      });
+    },
+    templates: templates => {
+      const ids = new Set();
+      return templates.map(template => {
+        const id = ids.has(template.id) ? createId() : template.id;
+        ids.add(id);
+        return {...template, id};
+      });
+    }
+  }
+];
+
+/**
+ * The format of IDs, i. e. random UUIDs or the digits of the numeric IDs created before, so IDs are safe to use within URLs and HTML attributes.
+ */
+const idPattern = /^(?:\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/;
+
+/**
+ * A function to check whether a value is a valid ID.
+ * @param {*} id - The value to check.
+ */
+export const isId = id => {
+  return typeof id === 'string' && idPattern.test(id);
+};
+
+/**
+ * A function to check whether a value is a date string or null.
+ * @param {*} date - The value to check.
+ */
+export const isDateOrNull = date => {
+  return date === null || (typeof date === 'string' && !Number.isNaN(Date.parse(date)));
+};
+
+/**
+ * Private function to get the migrations upgrading stored to-do lists of a version to the current version.
+ * @param {number} version - The stored to-do lists' schema version.
+ * @returns {array} The migrations to apply in order.
+ * @throws {Error} If the version is newer than the current one, i. e. the to-do lists were stored by a newer version of the application.
+ */
+const getMigrations = version => {
+  if (!Number.isInteger(version) || version < 0 || version > schemaVersion) {
+    throw new Error(`The schema version ${version} isn't supported!`);
+  }
+  return migrations.slice(version);
+};
+
+/**
+ * Private function to apply a migration to a to-do list along with its to-do list items.
+ * Records which aren't objects are left to the validation.
+ * @param {*} toDoList - The stored to-do list.
+ * @param {object} migration - The migration to apply.
+ * @returns {*} The upgraded to-do list.
+ */
+const migrateToDoList = (toDoList, migration) => {
+  if (!isObject(toDoList)) {
+    return toDoList;
+  }
+  const toDoListMigrated = migration.toDoList(toDoList);
+  if (!Array.isArray(toDoListMigrated.items)) {
+    return toDoListMigrated;
+  }
+  return {...toDoListMigrated, items: toDoListMigrated.items.map(toDoListItem => isObject(toDoListItem) ? migration.toDoListItem(toDoListItem) : toDoListItem)};
+};
+
+/**
+ * A function to upgrade to-do lists stored in an older version of the schema.
+ * @param {array} toDoLists - The stored to-do lists.
+ * @param {number} version - The stored to-do lists' schema version.
+ * @returns {array} The upgraded to-do lists.
+ */
+export const migrateToDoLists = (toDoLists, version) => {
+  return getMigrations(version).reduce((toDoListsMigrated, migration) => {
+    const toDoListsUpgraded = toDoListsMigrated.map(toDoList => migrateToDoList(toDoList, migration));
+    return migration.toDoLists ? migration.toDoLists(toDoListsUpgraded) : toDoListsUpgraded;
+  }, toDoLists);
+};
+
+/**
+ * A function to upgrade the to-do lists and to-do list items within the trash stored in an older version of the schema,
+ * so restoring them brings back records of the current version.
+ * @param {object} trash - The stored trash.
+ * @param {number} version - The stored trash's schema version.
+ * @param {array} toDoLists - The upgraded to-do lists, e. g. so the records within the trash don't take their IDs.
+ * @returns {object} The upgraded trash.
+ */
+export const migrateTrash = (trash, version, toDoLists = []) => {
+  const entries = getMigrations(version).reduce((trashEntriesMigrated, migration) => {
+    const trashEntriesUpgraded = trashEntriesMigrated.map(trashEntry => {
+      const trashEntryMigrated = migration.trashEntry ? migration.trashEntry(trashEntry) : trashEntry;
+      if (trashEntryMigrated.type === 'toDoList') {
+        return {...trashEntryMigrated, toDoList: migrateToDoList(trashEntryMigrated.toDoList, migration)};
+      }
+      return {...trashEntryMigrated, toDoListItems: trashEntryMigrated.toDoListItems.map(migration.toDoListItem)};
+    });
+    return migration.trashEntries ? migration.trashEntries(trashEntriesUpgraded, toDoLists) : trashEntriesUpgraded;
+  }, trash.entries);
+  return {...trash, entries};
+};
+
+/**
+ * A function to upgrade the templates' to-do list items stored in an older version of the schema.
+ * @param {array} templates - The stored templates.
+ * @param {number} version - The stored templates' schema version.
+ * @returns {array} The upgraded templates.
+ */
+export const migrateTemplates = (templates, version) => {
+  return getMigrations(version).reduce((templatesMigrated, migration) => {
+    const templatesUpgraded = templatesMigrated.map(template => {
+      const templateMigrated = migration.template ? migration.template(template) : template;
+      return {...templateMigrated, items: templateMigrated.items.map(migration.toDoListItem)};
+    });
+    return migration.templates ? migration.templates(templatesUpgraded) : templatesUpgraded;
+  }, templates);
+};
+
+/**
+ * Private function to convert a stored value which isn't a text to a text, so it isn't lost.
+ * @param {*} value - The value to convert.
+ * @returns {string} The value as it is if it's a text, otherwise its JSON representation.
+ */
+const toText = value => {
+  return typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+};
+
+/**
+ * Private function to validate a stored to-do list item, repairing any invalid property which has a default value.
+ * A to-do list item without a valid ID gets a new one, while a value which isn't a to-do list item at all is kept as the text of a new
+ * to-do list item marked as rejected, i. e. to be moved to the trash.
+ * @param {*} toDoListItem - The to-do list item to validate.
+ * @param {string} path - The to-do list item's path for the problems' descriptions.
+ * @param {array} problems - The descriptions of the problems found so far, which new problems are added to.
+ * @param {WeakSet} rejected - The records which couldn't be repaired, which a rejected to-do list item is added to.
+ * @returns {object} The valid or repaired to-do list item or null if it's empty.
+ */
+const validateToDoListItem = (toDoListItem, path, problems, rejected) => {
+  if (toDoListItem === null || toDoListItem === undefined) {
+    problems.push(`${path} is empty and was removed.`);
+    return null;
+  }
+  if (!isObject(toDoListItem)) {
+    problems.push(`${path} is not an object and was moved to the trash.`);
+    const toDoListItemRejected = validateToDoListItem({id: createId(), text: toText(toDoListItem)}, path, [], rejected);
+    rejected.add(toDoListItemRejected);
+    return toDoListItemRejected;
+  }
+  // Numeric IDs, e. g. stored by another browsing context still running a former version, are converted rather than replaced.
+  if (typeof toDoListItem.id === 'number' || typeof toDoListItem.parentId === 'number') {
+    problems.push(`${path} has a numeric ID, which was converted.`);
+    toDoListItem = {...toDoListItem, id: toIdString(toDoListItem.id), parentId: toIdString(toDoListItem.parentId)};
+  }
+  if (!isId(toDoListItem.id)) {
+    problems.push(`${path} has an invalid ID, which was replaced.`);
+    toDoListItem = {...toDoListItem, id: createId()};
+  }
+  // Each repair keeps the property's value if it's valid and otherwise falls back to its default value.
+  const repair = (property, isValid, valueDefault) => {
+    if (isValid(toDoListItem[property])) {
+      return toDoListItem[property];
+    }
+    problems.push(`${path} has an invalid "${property}" property, which was reset.`);
+    return valueDefault;
+  };
+  const tags = repair('tags', tags => Array.isArray(tags) && tags.every(tag => typeof tag === 'string'), []);
+  return {
+    ...toDoListItem,
+    text: repair('text', text => typeof text === 'string', toText(toDoListItem.text)),
+    created: repair('created', isDateOrNull, null),
+    lastUpdated: repair('lastUpdated', isDateOrNull, null),
+    done: repair('done', done => typeof done === 'boolean', false),
+    due: repair('due', due => due === null || (typeof due === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(due)), null),
+    priority: repair('priority', priority => priorities.includes(priority), defaultPriority),
+    tags: [...new Set(tags.map(normalizeTag).filter(tag => tag !== ''))],
+    parentId: repair('parentId', parentId => parentId === null || isId(parentId), null),
+    recurrence: repair('recurrence', isRecurrence, null),
+    notes: repair('notes', notes => typeof notes === 'string', '')
+  };
+};
+
+/**
+ * Private function to validate a stored to-do list, repairing any invalid property which has a default value.
+ * A to-do list without a valid ID gets a new one, just like to-do list items having the same ID as a previous one, while a value which
+ * isn't a to-do list at all is kept as the name of a new to-do list marked as rejected, i. e. to be moved to the trash.
+ * @param {*} toDoList - The to-do list to validate.
+ * @param {string} path - The to-do list's path for the problems' descriptions.
+ * @param {array} problems - The descriptions of the problems found so far, which new problems are added to.
+ * @param {WeakSet} rejected - The records which couldn't be repaired, which rejected records are added to.
+ * @param {Set} idsToDoListItems - The IDs of the to-do list items validated so far, which the to-do list items' IDs are added to.
+ * @returns {object} The valid or repaired to-do list or null if it's empty.
+ */
+const validateToDoList = (toDoList, path, problems, rejected, idsToDoListItems) => {
+  if (toDoList === null || toDoList === undefined) {
+    problems.push(`${path} is empty and was removed.`);
+    return null;
+  }
+  if (!isObject(toDoList)) {
+    problems.push(`${path} is not an object and was moved to the trash.`);
+    const toDoListRejected = validateToDoList({id: createId(), name: toText(toDoList), items: []}, path, [], rejected, idsToDoListItems);
+    rejected.add(toDoListRejected);
+    return toDoListRejected;
+  }
+  if (typeof toDoList.id === 'number') {
+    problems.push(`${path} has a numeric ID, which was converted.`);
+    toDoList = {...toDoList, id: toIdString(toDoList.id)};
+  }
+  if (!isId(toDoList.id)) {
+    problems.push(`${path} has an invalid ID, which was replaced.`);
+    toDoList = {...toDoList, id: createId()};
+  }
+  const repair = (property, isValid, valueDefault) => {
+    if (isValid(toDoList[property])) {
+      return toDoList[property];
+    }
+    problems.push(`${path} has an invalid "${property}" property, which was reset.`);
+    return valueDefault;
+  };
+  const toDoListItems = repair('items', Array.isArray, []).map((toDoListItem, index) => {
+    return validateToDoListItem(toDoListItem, `${path}, item ${index + 1},`, problems, rejected);
+  });
+  const toDoListItemsUnique = assignUniqueToDoListItemIds(toDoListItems, idsToDoListItems);
+  toDoListItemsUnique.forEach((toDoListItem, index) => {
+    if (toDoListItem !== null && toDoListItem.id !== toDoListItems[index].id) {
+      problems.push(`${path}, item ${index + 1}, has the same ID as another item, which was replaced.`);
+    }
+  });
+  const ids = new Set(toDoListItemsUnique.filter(toDoListItem => toDoListItem !== null).map(toDoListItem => toDoListItem.id));
+  const items = toDoListItemsUnique.filter(toDoListItem => toDoListItem !== null).map(toDoListItem => {
+    // Subtasks whose parent doesn't exist or which are their own parent become tasks.
+    if (toDoListItem.parentId === null || (toDoListItem.parentId !== toDoListItem.id && ids.has(toDoListItem.parentId))) {
+      return toDoListItem;
+    }
+    problems.push(`${path} has a subtask without a parent, which became a task.`);
+    return {...toDoListItem, parentId: null};
+  });
+  return {
+    ...toDoList,
+    created: repair('created', isDateOrNull, null),
+    lastRenamed: repair('lastRenamed', isDateOrNull, null),
+    lastUpdated: repair('lastUpdated', isDateOrNull, null),
+    name: repair('name', name => typeof name === 'string', toText(toDoList.name)),
+    done: repair('done', done => typeof done === 'boolean', false),
+    archived: repair('archived', archived => typeof archived === 'boolean', false),
+    items
+  };
+};
+
+/**
+ * A function to validate stored to-do lists before any component renders them.
+ * Nothing stored is lost: invalid properties having a default value are repaired, records without a valid ID or having the same ID as a
+ * previous one get a new ID, and values which aren't records at all are recovered as records to move to the trash. Only empty values are
+ * removed.
+ * @param {*} toDoLists - The to-do lists to validate.
+ * @returns {object} An object containing the valid and repaired to-do lists, the same to-do lists along with the records to move to the
+ * trash and the descriptions of the problems found.
+ */
+export const validateToDoLists = toDoLists => {
+  const problems = [];
+  if (!Array.isArray(toDoLists)) {
+    if (toDoLists !== null && toDoLists !== undefined) {
+      problems.push('The to-do lists are not a list and were reset.');
+    }
+    return {toDoLists: [], toDoListsRecovered: [], problems};
+  }
+  const rejected = new WeakSet();
+  const ids = new Set();
+  const idsToDoListItems = new Set();
+  const toDoListsRecovered = toDoLists.flatMap((toDoList, index) => {
+    const toDoListValid = validateToDoList(toDoList, `To-do list ${index + 1}`, problems, rejected, idsToDoListItems);
+    if (toDoListValid === null) {
+      return [];
+    }
+    if (ids.has(toDoListValid.id)) {
+      problems.push(`To-do list ${index + 1} has the same ID as another to-do list, which was replaced.`);
+      const toDoListRepaired = {...toDoListValid, id: createId()};
+      ids.add(toDoListRepaired.id);
+      return [toDoListRepaired];
+    }
+    ids.add(toDoListValid.id);
+    return [toDoListValid];
+  });
+  const toDoListsValid = toDoListsRecovered.filter(toDoList => !rejected.has(toDoList)).map(toDoList => {
+    return toDoList.items.some(toDoListItem => rejected.has(toDoListItem)) ? {...toDoList, items: toDoList.items.filter(toDoListItem => !rejected.has(toDoListItem))} : toDoList;
+  });
+  return {toDoLists: toDoListsValid, toDoListsRecovered, problems};
+};
\ No newline at end of file
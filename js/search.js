@@ -0,0 +1,89 @@
+/**
+ * Import a function to get a to-do list item's notes.
+ */
+import {getNotes} from './notes.js';
+
+/**
+ * A function to split a search query into its terms.
+ * @param {string} query - The search query.
+ * @returns {array} The search terms without duplicates.
+ */
+export const toSearchTerms = query => {
+  return [...new Set(query.trim().split(/\s+/).filter(term => term !== ''))];
+};
+
+/**
+ * A function to find the ranges of a text matched by search terms, case-insensitively.
+ * @param {string} text - The text to search.
+ * @param {array} terms - The search terms.
+ * @returns {array} The matched ranges as sorted, non-overlapping [start, end] pairs or null unless every term matches.
+ */
+export const findMatches = (text, terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+  const ranges = [];
+  for (const term of terms) {
+    // Escape the term, as it's meant to be matched literally.
+    const regularExpression = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+    const termRanges = [...text.matchAll(regularExpression)].map(match => [match.index, match.index + match[0].length]);
+    if (termRanges.length === 0) {
+      return null;
+    }
+    ranges.push(...termRanges);
+  }
+  // Merge overlapping ranges, e. g. of the terms "to" and "do" within "todo".
+  return ranges.sort((rangeA, rangeB) => rangeA[0] - rangeB[0]).reduce((rangesMerged, range) => {
+    const rangeLast = rangesMerged[rangesMerged.length - 1];
+    if (rangeLast !== undefined && range[0] <= rangeLast[1]) {
+      rangeLast[1] = Math.max(rangeLast[1], range[1]);
+    } else {
+      rangesMerged.push([...range]);
+    }
+    return rangesMerged;
+  }, []);
+};
+
+/**
+ * A function to cut an excerpt of a long text around its first matched range, e. g. to show where an item's notes match.
+ * @param {string} text - The text.
+ * @param {array} matches - The matched ranges.
+ * @param {number} length - The excerpt's maximum length, not counting the ellipses marking the text left out.
+ * @returns {object} The excerpt on a single line and the matched ranges within it.
+ */
+export const toExcerpt = (text, matches, length = 80) => {
+  // Replace line breaks one by one, so the matched ranges stay valid.
+  const line = text.replace(/\s/g, ' ');
+  const start = Math.max(0, Math.min(matches[0][0] - Math.floor(length / 4), line.length - length));
+  const end = Math.min(line.length, start + length);
+  const prefix = start > 0 ? '\u2026' : '';
+  const suffix = end < line.length ? '\u2026' : '';
+  return {
+    text: `${prefix}${line.slice(start, end)}${suffix}`,
+    matches: matches.filter(([matchStart]) => matchStart < end).map(([matchStart, matchEnd]) => {
+      return [Math.max(matchStart, start) - start + prefix.length, Math.min(matchEnd, end) - start + prefix.length];
+    })
+  };
+};
+
+/**
+ * A function to search the names as well as the items' texts and notes of to-do lists.
+ * A to-do list is part of the results if its name or any of its items' texts or notes match, each of them only if it has the passed status.
+ * @param {array} toDoLists - The to-do lists to search.
+ * @param {string} query - The search query, whose terms all have to match.
+ * @param {string} status - Either "all", "pending" or "done".
+ * @returns {array} The results containing the to-do list, the ranges matched within its name or null and the matched items along with the ranges matched within their texts and notes or null.
+ */
+export const searchToDoLists = (toDoLists, query, status = 'all') => {
+  const terms = toSearchTerms(query);
+  const hasStatus = entry => {
+    return status === 'all' || (status === 'done') === entry.done;
+  };
+  return toDoLists.map(toDoList => {
+    const nameMatches = hasStatus(toDoList) ? findMatches(toDoList.name, terms) : null;
+    const items = toDoList.items.filter(hasStatus).map(toDoListItem => {
+      return {toDoListItem, matches: findMatches(toDoListItem.text, terms), notesMatches: findMatches(getNotes(toDoListItem), terms)};
+    }).filter(result => result.matches !== null || result.notesMatches !== null);
+    return {toDoList, nameMatches, items};
+  }).filter(result => result.nameMatches !== null || result.items.length > 0);
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * The elements typing into which never triggers keyboard shortcuts.
+ */
+const editableSelector = 'input:not([type=checkbox]), select, textarea, [contenteditable]';
+
+/**
+ * Private function to parse a keyboard shortcut's keys, e. g. "g o" or "Ctrl+Shift+Z", into the steps to press one after another.
+ * @param {string} keys - The keys, where steps are separated by spaces and modifiers by plus signs.
+ * @returns {array} The steps, each containing the key and whether Ctrl (or Cmd) and Shift are held down.
+ */
+const parseKeys = keys => {
+  return keys.split(' ').map(step => {
+    const parts = step.split('+');
+    return {
+      key: parts[parts.length - 1],
+      ctrl: parts.includes('Ctrl'),
+      shift: parts.includes('Shift')
+    };
+  });
+};
+
+/**
+ * Private function to check whether a key down event matches a step of a keyboard shortcut.
+ * Only steps held down with Ctrl take the Shift key into account, as it's needed to type keys like "?" in the first place.
+ * @param {object} step - The step.
+ * @param {object} event - The key down event.
+ * @returns {boolean} Whether the event matches the step.
+ */
+const matchesStep = (step, event) => {
+  if (event.altKey || step.ctrl !== (event.ctrlKey || event.metaKey)) {
+    return false;
+  }
+  if (step.ctrl) {
+    return step.shift === event.shiftKey && event.key.toLowerCase() === step.key.toLowerCase();
+  }
+  return event.key === step.key;
+};
+
+/**
+ * Class representing the registry of the application-wide keyboard shortcuts, which dispatches key presses to the bound handlers.
+ */
+export class ShortcutRegistry {
+  /**
+   * The registered bindings, each containing the keys, the description and the handler of a keyboard shortcut.
+   */
+  #bindings = [];
+  /**
+   * The key down events of a keyboard shortcut consisting of several steps pressed so far.
+   */
+  #pressed = [];
+  /**
+   * The timeout after which the steps pressed so far are discarded.
+   */
+  #timeout = null;
+  /**
+   * Create the registry and start listening to the window's key down events.
+   * @param {number} sequenceDelay - The number of milliseconds to wait for the next step of a keyboard shortcut.
+   */
+  constructor(sequenceDelay = 1000) {
+    this.sequenceDelay = sequenceDelay;
+    window.addEventListener('keydown', this.#handleWindowKeyDown);
+  }
+  /**
+   * Method to get the registered keyboard shortcuts in the order of their registration.
+   * @returns {array} The keyboard shortcuts, each containing the keys and the description.
+   */
+  get bindings() {
+    return this.#bindings.map(({keys, description}) => {
+      return {keys, description};
+    });
+  }
+  /**
+   * Method to register keyboard shortcuts.
+   * @param {array} bindings - The bindings, each containing the keys (e. g. "j", "g o" or "Ctrl+Z"), the description and the handler.
+   * @returns {function} A function to unregister the keyboard shortcuts again.
+   */
+  register(bindings) {
+    const bindingsParsed = bindings.map(binding => {
+      return {...binding, steps: parseKeys(binding.keys)};
+    });
+    this.#bindings = [...this.#bindings, ...bindingsParsed];
+    return () => {
+      this.#bindings = this.#bindings.filter(binding => !bindingsParsed.includes(binding));
+    };
+  }
+  /**
+   * Private method to find the bindings whose first steps match the passed key down events.
+   * @param {array} events - The key down events.
+   * @returns {array} The matching bindings.
+   */
+  #findBindings(events) {
+    return this.#bindings.filter(binding => {
+      return binding.steps.length >= events.length && events.every((event, index) => matchesStep(binding.steps[index], event));
+    });
+  }
+  /**
+   * Private method to handle the window key down event.
+   * @param {object} event - The key down event.
+   */
+  #handleWindowKeyDown = event => {
+    // Leave typing to the inputs as well as keys already handled.
+    const nodeTarget = event.composedPath()[0];
+    if (event.defaultPrevented || nodeTarget.matches?.(editableSelector) || ['Shift', 'Control', 'Meta', 'Alt'].includes(event.key)) {
+      return;
+    }
+    clearTimeout(this.#timeout);
+    let pressed = [...this.#pressed, event];
+    let bindings = this.#findBindings(pressed);
+    // Start over with the current key if it doesn't continue any keyboard shortcut.
+    if (bindings.length === 0 && pressed.length > 1) {
+      pressed = [event];
+      bindings = this.#findBindings(pressed);
+    }
+    const binding = bindings.find(binding => binding.steps.length === pressed.length);
+    if (binding !== undefined) {
+      event.preventDefault();
+      this.#pressed = [];
+      binding.handler(event);
+    } else if (bindings.length > 0) {
+      event.preventDefault();
+      this.#pressed = pressed;
+      this.#timeout = setTimeout(() => {
+        this.#pressed = [];
+      }, this.sequenceDelay);
+    } else {
+      this.#pressed = [];
+    }
+  };
+}
+
+/**
+ * The registry of keyboard shortcuts shared by all components.
+ */
+export const shortcuts = new ShortcutRegistry();
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * Class representing the interface every storage adapter has to implement.
+ */
+export class StorageAdapter {
+  /**
+   * Method to open the storage, which storage adapters needing to set up anything override.
+   * @returns {Promise} A promise resolved when the storage is ready or rejected if it can't be used.
+   */
+  async open() {}
+  /**
+   * Method to read a value.
+   * @param {string} key - The value's key.
+   * @returns {Promise} A promise resolved with the value or null if there is none.
+   */
+  async read(key) {
+    throw new Error(`${this.constructor.name} doesn't implement reading "${key}"!`);
+  }
+  /**
+   * Method to write a value.
+   * @param {string} key - The value's key.
+   * @param {*} value - The value to write.
+   * @returns {Promise} A promise resolved when the value is written.
+   */
+  async write(key, value) {
+    throw new Error(`${this.constructor.name} doesn't implement writing "${key}"!`);
+  }
+  /**
+   * Method to watch a value for changes written by another browsing context (e. g. another tab).
+   * Storage adapters not shared between browsing contexts simply never execute the callback functions.
+   * @param {string} key - The value's key.
+   * @param {function} callback - A callback function executed with the changed value.
+   * @param {function} errorCallback - A callback function executed with the error if the changed value can't be read.
+   */
+  watch(key, callback, errorCallback) {}
+}
+
+/**
+ * Class representing a storage adapter for the local storage.
+ * @extends StorageAdapter
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * Method to read a value from the local storage.
+   * @param {string} key - The value's key.
+   * @returns {Promise} A promise resolved with the value or null if there is none.
+   */
+  async read(key) {
+    return JSON.parse(localStorage.getItem(key));
+  }
+  /**
+   * Method to write a value to the local storage.
+   * @param {string} key - The value's key.
+   * @param {*} value - The value to write.
+   * @returns {Promise} A promise resolved when the value is written.
+   */
+  async write(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+  /**
+   * Method to watch a value for changes written by another browsing context using the window storage event.
+   * @param {string} key - The value's key.
+   * @param {function} callback - A callback function executed with the changed value.
+   * @param {function} errorCallback - A callback function executed with the error if the changed value can't be read.
+   */
+  watch(key, callback, errorCallback) {
+    window.addEventListener('storage', event => {
+      // A key of null means the whole local storage was cleared.
+      if (event.storageArea === localStorage && (event.key === key || event.key === null)) {
+        let value;
+        try {
+          value = JSON.parse(event.newValue);
+        } catch (error) {
+          errorCallback(error);
+          return;
+        }
+        callback(value);
+      }
+    });
+  }
+}
+
+/**
+ * Class representing a storage adapter for an IndexedDB database.
+ * @extends StorageAdapter
+ */
+export class IndexedDBAdapter extends StorageAdapter {
+  /**
+   * A promise resolved with the opened database.
+   */
+  #database = null;
+  /**
+   * Create a storage adapter for an IndexedDB database.
+   * @param {string} databaseName - The database's name, which also names the broadcast channel to notify other browsing contexts.
+   * @param {string} objectStoreName - The name of the object store holding the values.
+   */
+  constructor(databaseName = 'vanilla-to-do-list', objectStoreName = 'values') {
+    super();
+    this.databaseName = databaseName;
+    this.objectStoreName = objectStoreName;
+    this.channel = new BroadcastChannel(databaseName);
+  }
+  /**
+   * Private method to open the database once.
+   * @returns {Promise} A promise resolved with the opened database.
+   */
+  #open() {
+    if (this.#database === null) {
+      this.#database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.addEventListener('upgradeneeded', () => {
+          request.result.createObjectStore(this.objectStoreName);
+        });
+        request.addEventListener('success', () => {
+          resolve(request.result);
+        });
+        request.addEventListener('error', () => {
+          reject(request.error);
+        });
+      });
+    }
+    return this.#database;
+  }
+  /**
+   * Method to open the database, which is rejected e. g. in private browsing modes not offering IndexedDB.
+   * @returns {Promise} A promise resolved when the database is opened.
+   */
+  async open() {
+    await this.#open();
+  }
+  /**
+   * Private method to run a request within a transaction of the object store.
+   * @param {string} mode - The transaction's mode.
+   * @param {function} callback - A callback function receiving the object store and returning the request.
+   * @returns {Promise} A promise resolved with the request's result when the transaction completed.
+   */
+  async #request(mode, callback) {
+    const database = await this.#open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.objectStoreName, mode);
+      const request = callback(transaction.objectStore(this.objectStoreName));
+      transaction.addEventListener('complete', () => {
+        resolve(request.result);
+      });
+      transaction.addEventListener('error', () => {
+        reject(transaction.error);
+      });
+      transaction.addEventListener('abort', () => {
+        reject(transaction.error);
+      });
+    });
+  }
+  /**
+   * Method to read a value.
+   * Values not yet present in the database but in the local storage are moved to the database once.
+   * @param {string} key - The value's key.
+   * @returns {Promise} A promise resolved with the value or null if there is none.
+   */
+  async read(key) {
+    const value = await this.#request('readonly', objectStore => {
+      return objectStore.get(key);
+    });
+    if (value === undefined) {
+      return this.#migrateFromLocalStorage(key);
+    }
+    return value;
+  }
+  /**
+   * Method to write a value and notify other browsing contexts.
+   * @param {string} key - The value's key.
+   * @param {*} value - The value to write.
+   * @returns {Promise} A promise resolved when the value is written.
+   */
+  async write(key, value) {
+    await this.#request('readwrite', objectStore => {
+      return objectStore.put(value, key);
+    });
+    this.channel.postMessage({key});
+  }
+  /**
+   * Method to watch a value for changes written by another browsing context using the broadcast channel.
+   * @param {string} key - The value's key.
+   * @param {function} callback - A callback function executed with the changed value.
+   * @param {function} errorCallback - A callback function executed with the error if the changed value can't be read, e. g. as the
+   * database was deleted or its quota exceeded.
+   */
+  watch(key, callback, errorCallback) {
+    this.channel.addEventListener('message', async event => {
+      if (event.data.key === key) {
+        let value;
+        try {
+          value = await this.read(key);
+        } catch (error) {
+          errorCallback(error);
+          return;
+        }
+        callback(value);
+      }
+    });
+  }
+  /**
+   * Private method to move a value from the local storage to the database.
+   * The value is only removed from the local storage after it was written to the database successfully.
+   * @param {string} key - The value's key.
+   * @returns {Promise} A promise resolved with the moved value or null if there is none.
+   */
+  async #migrateFromLocalStorage(key) {
+    const value = JSON.parse(localStorage.getItem(key));
+    if (value !== null) {
+      await this.#request('readwrite', objectStore => {
+        return objectStore.put(value, key);
+      });
+      localStorage.removeItem(key);
+    }
+    return value;
+  }
+}
+
+/**
+ * Class representing a storage adapter keeping values in memory only, e. g. for tests or when no persistent storage is available.
+ * @extends StorageAdapter
+ */
+export class InMemoryAdapter extends StorageAdapter {
+  /**
+   * The values by key.
+   */
+  #values = new Map();
+  /**
+   * Method to read a value from memory.
+   * @param {string} key - The value's key.
+   * @returns {Promise} A promise resolved with the value or null if there is none.
+   */
+  async read(key) {
+    return this.#values.has(key) ? structuredClone(this.#values.get(key)) : null;
+  }
+  /**
+   * Method to write a value to memory.
+   * @param {string} key - The value's key.
+   * @param {*} value - The value to write.
+   * @returns {Promise} A promise resolved when the value is written.
+   */
+  async write(key, value) {
+    this.#values.set(key, structuredClone(value));
+  }
+}
+
+/**
+ * Class representing a storage adapter using a preferred storage adapter as long as it can be opened and a fallback storage adapter otherwise.
+ * @extends StorageAdapter
+ */
+export class FallbackAdapter extends StorageAdapter {
+  /**
+   * A promise resolved with the storage adapter to use once it's known whether the preferred one can be opened.
+   */
+  #adapter = null;
+  /**
+   * Create a storage adapter falling back to another one.
+   * @param {object} adapter - The preferred storage adapter.
+   * @param {object} fallback - The storage adapter to use if the preferred one can't be opened.
+   */
+  constructor(adapter, fallback) {
+    super();
+    this.adapter = adapter;
+    this.fallback = fallback;
+  }
+  /**
+   * Method to open the preferred storage adapter once, falling back to the other one if it can't be opened.
+   * @returns {Promise} A promise resolved with the storage adapter to use.
+   */
+  open() {
+    if (this.#adapter === null) {
+      this.#adapter = this.adapter.open().then(() => this.adapter).catch(error => {
+        console.warn(`The ${this.adapter.constructor.name} can't be used, so ${this.fallback.constructor.name} is used instead!`, error);
+        return this.fallback.open().then(() => this.fallback);
+      });
+    }
+    return this.#adapter;
+  }
+  /**
+   * Method to read a value using the storage adapter in use.
+   * @param {string} key - The value's key.
+   * @returns {Promise} A promise resolved with the value or null if there is none.
+   */
+  async read(key) {
+    const adapter = await this.open();
+    return adapter.read(key);
+  }
+  /**
+   * Method to write a value using the storage adapter in use.
+   * @param {string} key - The value's key.
+   * @param {*} value - The value to write.
+   * @returns {Promise} A promise resolved when the value is written.
+   */
+  async write(key, value) {
+    const adapter = await this.open();
+    return adapter.write(key, value);
+  }
+  /**
+   * Method to watch a value for changes written by another browsing context using the storage adapter in use.
+   * @param {string} key - The value's key.
+   * @param {function} callback - A callback function executed with the changed value.
+   * @param {function} errorCallback - A callback function executed with the error if the changed value can't be read.
+   */
+  watch(key, callback, errorCallback) {
+    this.open().then(adapter => {
+      adapter.watch(key, callback, errorCallback);
+    }).catch(error => {
+      console.error(`"${key}" can't be watched for changes!`, error);
+    });
+  }
+}
+
+/**
+ * Private function to create the most capable storage adapter available apart from IndexedDB.
+ * @returns {object} A storage adapter.
+ */
+const createFallbackStorageAdapter = () => {
+  try {
+    // Accessing the local storage throws if it is disabled.
+    if (window.localStorage !== undefined) {
+      return new LocalStorageAdapter();
+    }
+  } catch (error) {
+    console.warn('The local storage is not available, so changes won\'t be stored!', error);
+  }
+  return new InMemoryAdapter();
+};
+
+/**
+ * A function to create the most capable storage adapter available.
+ * IndexedDB may be present without being usable, e. g. in private browsing modes, so the other storage adapters serve as fallback.
+ * @returns {object} A storage adapter.
+ */
+export const createStorageAdapter = () => {
+  if (window.indexedDB !== undefined && window.BroadcastChannel !== undefined) {
+    return new FallbackAdapter(new IndexedDBAdapter(), createFallbackStorageAdapter());
+  }
+  return createFallbackStorageAdapter();
+};
\ No newline at end of file
@@ -0,0 +1,635 @@
+/**
+ * Import the named actions to apply to the to-do lists.
+ */
+import {actions} from './actions.js';
+/**
+ * Import a function to create the most capable storage adapter available.
+ */
+import {createStorageAdapter} from './storage.js';
+/**
+ * Import functions to keep deleted to-do lists and to-do list items in the trash.
+ */
+import {trashingActionNames, restoringActionNames, emptyTrash, collectTrashEntries, pruneTrashEntries, purgeExpiredTrashEntries} from './trash.js';
+/**
+ * Import functions to create templates of to-do lists.
+ */
+import {createTemplate, addTemplate} from './templates.js';
+/**
+ * Import the current schema version along with functions to upgrade and validate stored data.
+ */
+import {schemaVersion, migrateToDoLists, migrateTrash, migrateTemplates, validateToDoLists} from './schema.js';
+/**
+ * Import functions to merge the to-do lists changed in several browsing contexts.
+ */
+import {isEqual, mergeToDoLists, mergeTrash, mergeTemplates} from './merge.js';
+
+/**
+ * Class representing the single source of truth of the to-do lists shared by all components.
+ */
+export class VanillaToDoListsStore {
+  /**
+   * The current to-do lists.
+   */
+  #toDoLists = [];
+  /**
+   * The to-do lists stored last by any browsing context, i. e. the ones to merge changes of both browsing contexts from.
+   */
+  #toDoListsReceived = [];
+  /**
+   * The trash containing the deleted to-do lists and to-do list items along with the number of days to keep them.
+   */
+  #trash = emptyTrash;
+  /**
+   * The trash stored last by any browsing context, i. e. the one to merge changes of both browsing contexts from.
+   */
+  #trashReceived = emptyTrash;
+  /**
+   * The templates to create to-do lists from.
+   */
+  #templates = [];
+  /**
+   * The templates stored last by any browsing context, i. e. the ones to merge changes of both browsing contexts from.
+   */
+  #templatesReceived = [];
+  /**
+   * The callback functions executed when the to-do lists changed.
+   */
+  #subscribers = new Set();
+  /**
+   * A promise resolved when all pending writes are done, so writes never overtake each other.
+   */
+  #writing = Promise.resolve();
+  /**
+   * The command history containing the entries to undo and redo, kept for the browser session.
+   */
+  #history = this.#loadHistory();
+  /**
+   * Create the store and start loading the to-do lists from the passed storage adapter.
+   * @param {object} storage - The storage adapter to load the to-do lists from and store them to.
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.historySize = 50;
+    this.loaded = false;
+    this.loadFailed = false;
+    this.ready = this.#load();
+    // Add a callback function for when the to-do lists were stored by another browsing context (e. g. another tab).
+    this.storage.watch('toDoLists', this.#handleStorageChanged, this.#handleStorageFailed);
+    this.storage.watch('trash', this.#handleTrashStorageChanged, this.#handleStorageFailed);
+    this.storage.watch('templates', this.#handleTemplatesStorageChanged, this.#handleStorageFailed);
+  }
+  /**
+   * Method to get the current to-do lists.
+   */
+  get toDoLists() {
+    return this.#toDoLists;
+  }
+  /**
+   * Method to get the current trash.
+   */
+  get trash() {
+    return this.#trash;
+  }
+  /**
+   * Method to get the current templates.
+   */
+  get templates() {
+    return this.#templates;
+  }
+  /**
+   * Method to subscribe to changes of the to-do lists.
+   * @param {function} callback - A callback function executed with the changed to-do lists and an object describing the change.
+   * @returns {function} A function to unsubscribe the callback function again.
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+    return () => {
+      this.#subscribers.delete(callback);
+    };
+  }
+  /**
+   * Method to apply a named action to the to-do lists, notify all subscribers and store the result.
+   * Subscribers are notified right away, while the to-do lists are stored in the background.
+   * @param {string} actionName - The name of the action to apply.
+   * @param {array} payload - The arguments passed to the action after the current to-do lists.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  async dispatch(actionName, ...payload) {
+    const action = actions[actionName];
+    if (action === undefined) {
+      throw new Error(`Unknown action "${actionName}"!`);
+    }
+    // Never apply an action to to-do lists not loaded yet.
+    await this.ready;
+    const toDoLists = this.#toDoLists;
+    this.#toDoLists = action(this.#toDoLists, ...payload);
+    this.#updateTrash(toDoLists, this.#toDoLists, trashingActionNames.includes(actionName));
+    const historyEntry = this.#diff(actionName, toDoLists, this.#toDoLists);
+    if (historyEntry.ids.length > 0) {
+      this.#history.undo = [...this.#history.undo, historyEntry].slice(-this.historySize);
+      this.#history.redo = [];
+      this.#storeHistory();
+    }
+    this.#notify(this.#toDoLists, {actionName, remote: false});
+    return this.#store(this.#toDoLists);
+  }
+  /**
+   * Method to check whether there is a change to undo.
+   * @param {string} toDoListId - An optional to-do list's ID to only consider changes of this to-do list.
+   * @returns {boolean} Whether there is a change to undo.
+   */
+  canUndo(toDoListId) {
+    return this.#findHistoryEntry(this.#history.undo, toDoListId) !== null;
+  }
+  /**
+   * Method to check whether there is a change to redo.
+   * @param {string} toDoListId - An optional to-do list's ID to only consider changes of this to-do list.
+   * @returns {boolean} Whether there is a change to redo.
+   */
+  canRedo(toDoListId) {
+    return this.#findHistoryEntry(this.#history.redo, toDoListId) !== null;
+  }
+  /**
+   * Method to undo the latest change.
+   * @param {string} toDoListId - An optional to-do list's ID to only undo the latest change of this to-do list.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  async undo(toDoListId) {
+    await this.ready;
+    const historyEntry = this.#findHistoryEntry(this.#history.undo, toDoListId);
+    if (historyEntry === null) {
+      return;
+    }
+    const toDoLists = this.#toDoLists;
+    this.#toDoLists = this.#patch(this.#toDoLists, historyEntry.ids, historyEntry.before);
+    // Undoing a restore moves the restored to-do lists and to-do list items back to the trash.
+    this.#updateTrash(toDoLists, this.#toDoLists, restoringActionNames.includes(historyEntry.actionName));
+    this.#history.undo = this.#history.undo.filter(undoEntry => {
+      return undoEntry !== historyEntry;
+    });
+    this.#history.redo = [...this.#history.redo, historyEntry];
+    this.#storeHistory();
+    this.#notify(this.#toDoLists, {actionName: 'undo', remote: false});
+    return this.#store(this.#toDoLists);
+  }
+  /**
+   * Method to redo the latest undone change.
+   * @param {string} toDoListId - An optional to-do list's ID to only redo the latest undone change of this to-do list.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  async redo(toDoListId) {
+    await this.ready;
+    const historyEntry = this.#findHistoryEntry(this.#history.redo, toDoListId);
+    if (historyEntry === null) {
+      return;
+    }
+    const toDoLists = this.#toDoLists;
+    this.#toDoLists = this.#patch(this.#toDoLists, historyEntry.ids, historyEntry.after);
+    this.#updateTrash(toDoLists, this.#toDoLists, trashingActionNames.includes(historyEntry.actionName));
+    this.#history.redo = this.#history.redo.filter(redoEntry => {
+      return redoEntry !== historyEntry;
+    });
+    this.#history.undo = [...this.#history.undo, historyEntry];
+    this.#storeHistory();
+    this.#notify(this.#toDoLists, {actionName: 'redo', remote: false});
+    return this.#store(this.#toDoLists);
+  }
+  /**
+   * Method to restore a trash entry's to-do list respectively to-do list items.
+   * To-do list items are restored along with their to-do list if it's in the trash as well.
+   * @param {string} id - The trash entry's ID.
+   * @returns {Promise} A promise resolved when the changed to-do lists are stored.
+   */
+  async restoreTrashEntry(id) {
+    await this.ready;
+    const trashEntry = this.#trash.entries.find(trashEntry => trashEntry.id === id);
+    if (trashEntry === undefined) {
+      return;
+    }
+    if (trashEntry.type === 'toDoList') {
+      return this.dispatch('restoreToDoList', trashEntry.toDoList, trashEntry.origin.index);
+    }
+    const trashEntryToDoList = this.#trash.entries.find(trashEntryToDoList => {
+      return trashEntryToDoList.type === 'toDoList' && trashEntryToDoList.toDoList.id === trashEntry.origin.toDoListId;
+    });
+    if (trashEntryToDoList !== undefined && !this.#toDoLists.some(toDoList => toDoList.id === trashEntry.origin.toDoListId)) {
+      await this.dispatch('restoreToDoList', trashEntryToDoList.toDoList, trashEntryToDoList.origin.index);
+    }
+    return this.dispatch('restoreToDoListItems', trashEntry.origin, trashEntry.toDoListItems);
+  }
+  /**
+   * Method to permanently delete trash entries.
+   * @param {array} ids - The IDs of the trash entries to purge or null to empty the whole trash.
+   * @returns {Promise} A promise resolved when the trash is stored.
+   */
+  async purgeTrashEntries(ids = null) {
+    await this.ready;
+    this.#trash = {...this.#trash, entries: this.#trash.entries.filter(trashEntry => ids !== null && !ids.includes(trashEntry.id))};
+    this.#notify(this.#toDoLists, {actionName: 'purgeTrashEntries', remote: false});
+    return this.#storeTrash(this.#trash);
+  }
+  /**
+   * Method to update the number of days to keep trash entries, purging the ones deleted longer ago right away.
+   * @param {number} retentionDays - The number of days to keep trash entries or null to keep them forever.
+   * @returns {Promise} A promise resolved when the trash is stored.
+   */
+  async updateTrashRetention(retentionDays) {
+    await this.ready;
+    this.#trash = {retentionDays, entries: purgeExpiredTrashEntries(this.#trash.entries, retentionDays)};
+    this.#notify(this.#toDoLists, {actionName: 'updateTrashRetention', remote: false});
+    return this.#storeTrash(this.#trash);
+  }
+  /**
+   * Method to save a to-do list as template, replacing any template of the same name.
+   * @param {string} toDoListId - The to-do list's ID.
+   * @returns {Promise} A promise resolved when the templates are stored.
+   */
+  async saveTemplate(toDoListId) {
+    await this.ready;
+    const toDoList = this.#toDoLists.find(toDoList => toDoList.id === toDoListId);
+    if (toDoList === undefined) {
+      return;
+    }
+    this.#templates = addTemplate(this.#templates, createTemplate(toDoList));
+    this.#notify(this.#toDoLists, {actionName: 'saveTemplate', remote: false});
+    return this.#storeTemplates(this.#templates);
+  }
+  /**
+   * Method to delete a template.
+   * @param {string} id - The template's ID.
+   * @returns {Promise} A promise resolved when the templates are stored.
+   */
+  async deleteTemplate(id) {
+    await this.ready;
+    this.#templates = this.#templates.filter(template => template.id !== id);
+    this.#notify(this.#toDoLists, {actionName: 'deleteTemplate', remote: false});
+    return this.#storeTemplates(this.#templates);
+  }
+  /**
+   * Method to load the to-do lists, the trash and the templates again, e. g. after loading them failed.
+   * @returns {Promise} A promise resolved when the to-do lists, the trash and the templates are loaded.
+   */
+  reload() {
+    this.ready = this.#load();
+    return this.ready;
+  }
+  /**
+   * Private method to load the to-do lists, the trash and the templates from the storage adapter.
+   * Data stored in an older version of the schema is migrated and stored again along with the current schema version, while the to-do lists
+   * are validated before any component renders them and stored again if they had to be repaired. Repairing never loses any record, as
+   * records which can't be repaired are moved to the trash.
+   * Trash entries deleted longer ago than the retention period are purged on loading.
+   * As long as loading failed nothing is stored, so the data which couldn't be loaded is never overwritten.
+   */
+  async #load() {
+    let version = schemaVersion;
+    let toDoListsRecovered = [];
+    let repaired = false;
+    let failed = false;
+    try {
+      // Data stored before stamping the schema version has version 0.
+      version = await this.storage.read('schemaVersion') ?? 0;
+    } catch (error) {
+      failed = true;
+      console.error('The schema version could not be loaded!', error);
+    }
+    // Data stored by a newer version of the application is only validated, as it can't be migrated.
+    const migrating = version < schemaVersion;
+    if (version > schemaVersion) {
+      console.warn(`The to-do lists were stored by a newer version of the application (schema version ${version})!`);
+    }
+    try {
+      const toDoLists = await this.storage.read('toDoLists') || [];
+      const validation = validateToDoLists(migrating ? migrateToDoLists(toDoLists, version) : toDoLists);
+      validation.problems.forEach(problem => console.warn(problem));
+      this.#toDoLists = validation.toDoLists;
+      this.#toDoListsReceived = validation.toDoLists;
+      toDoListsRecovered = validation.toDoListsRecovered;
+      repaired = validation.problems.length > 0;
+    } catch (error) {
+      failed = true;
+      console.error('The to-do lists could not be loaded!', error);
+    }
+    try {
+      const trash = await this.storage.read('trash') || emptyTrash;
+      this.#trash = migrating ? migrateTrash(trash, version, this.#toDoLists) : trash;
+      this.#trashReceived = trash;
+    } catch (error) {
+      failed = true;
+      console.error('The trash could not be loaded!', error);
+    }
+    try {
+      const templates = await this.storage.read('templates') || [];
+      this.#templates = migrating ? migrateTemplates(templates, version) : templates;
+      this.#templatesReceived = templates;
+    } catch (error) {
+      failed = true;
+      console.error('The templates could not be loaded!', error);
+    }
+    this.loadFailed = failed;
+    if (!failed) {
+      // Move the records which couldn't be repaired to the trash.
+      this.#updateTrash(toDoListsRecovered, this.#toDoLists, true);
+    }
+    if (!failed && (migrating || repaired)) {
+      this.#store(this.#toDoLists);
+    }
+    if (!failed && migrating) {
+      // The command history kept for the browser session may still contain to-do lists of the former schema version.
+      this.#history = {undo: [], redo: []};
+      this.#storeHistory();
+      this.#storeTrash(this.#trash);
+      this.#storeTemplates(this.#templates);
+      // Stamp the schema version last, so data only partly stored is migrated again on loading.
+      this.#storeSchemaVersion(schemaVersion);
+    }
+    this.loaded = true;
+    this.#notify(this.#toDoLists, {actionName: null, remote: false});
+  }
+  /**
+   * Private method to store to-do lists using the storage adapter.
+   * @param {object} toDoLists - The to-do lists to store.
+   * @returns {Promise} A promise resolved when the to-do lists are stored.
+   */
+  #store(toDoLists) {
+    this.#toDoListsReceived = toDoLists;
+    return this.#write('toDoLists', toDoLists, 'The to-do lists could not be stored!');
+  }
+  /**
+   * Private method to store the schema version of the stored data using the storage adapter.
+   * @param {number} version - The schema version to store.
+   * @returns {Promise} A promise resolved when the schema version is stored.
+   */
+  #storeSchemaVersion(version) {
+    return this.#write('schemaVersion', version, 'The schema version could not be stored!');
+  }
+  /**
+   * Private method to store the trash using the storage adapter.
+   * @param {object} trash - The trash to store.
+   * @returns {Promise} A promise resolved when the trash is stored.
+   */
+  #storeTrash(trash) {
+    this.#trashReceived = trash;
+    return this.#write('trash', trash, 'The trash could not be stored!');
+  }
+  /**
+   * Private method to store the templates using the storage adapter.
+   * @param {array} templates - The templates to store.
+   * @returns {Promise} A promise resolved when the templates are stored.
+   */
+  #storeTemplates(templates) {
+    this.#templatesReceived = templates;
+    return this.#write('templates', templates, 'The templates could not be stored!');
+  }
+  /**
+   * Private method to write a value using the storage adapter once all pending writes are done, so writes never overtake each other.
+   * Nothing is written as long as loading failed.
+   * @param {string} key - The value's key.
+   * @param {*} value - The value to write.
+   * @param {string} message - The error message logged if the value could not be written.
+   * @returns {Promise} A promise resolved when the value is written.
+   */
+  #write(key, value, message) {
+    if (this.loadFailed) {
+      console.error(message, 'Loading failed, so nothing is stored until loading succeeds.');
+      return this.#writing;
+    }
+    this.#writing = this.#writing.then(() => {
+      return this.storage.write(key, value);
+    }).catch(error => {
+      console.error(message, error);
+    });
+    return this.#writing;
+  }
+  /**
+   * Private method to update the trash after the to-do lists changed.
+   * Removed to-do lists and to-do list items are moved to the trash if the change deleted them, while trash entries existing again
+   * (e. g. after undoing their deletion) or deleted longer ago than the retention period are removed from it.
+   * @param {array} toDoListsBefore - The to-do lists before the change.
+   * @param {array} toDoListsAfter - The to-do lists after the change.
+   * @param {boolean} trashing - Whether the change deleted the removed to-do lists and to-do list items.
+   */
+  #updateTrash(toDoListsBefore, toDoListsAfter, trashing) {
+    const trashEntries = trashing ? [...collectTrashEntries(toDoListsBefore, toDoListsAfter), ...this.#trash.entries] : this.#trash.entries;
+    const trashEntriesUpdated = purgeExpiredTrashEntries(pruneTrashEntries(trashEntries, toDoListsAfter), this.#trash.retentionDays);
+    const trashChanged = trashEntriesUpdated.length !== this.#trash.entries.length || trashEntriesUpdated.some((trashEntry, index) => {
+      return trashEntry !== this.#trash.entries[index];
+    });
+    if (trashChanged) {
+      this.#trash = {...this.#trash, entries: trashEntriesUpdated};
+      this.#storeTrash(this.#trash);
+    }
+  }
+  /**
+   * Private method to describe the difference between two versions of the to-do lists as a history entry.
+   * Rather than both versions as a whole, only the changed to-do lists along with their positions are kept, so changes can be
+   * undone and redone independently of changes to other to-do lists.
+   * @param {string} actionName - The name of the applied action.
+   * @param {array} toDoListsBefore - The to-do lists before applying the action.
+   * @param {array} toDoListsAfter - The to-do lists after applying the action.
+   * @returns {object} The history entry containing the changed to-do lists' IDs and their versions before and after applying the action.
+   */
+  #diff(actionName, toDoListsBefore, toDoListsAfter) {
+    const positionsBefore = new Map(toDoListsBefore.map((toDoList, index) => {
+      return [toDoList.id, {index, toDoList}];
+    }));
+    const positionsAfter = new Map(toDoListsAfter.map((toDoList, index) => {
+      return [toDoList.id, {index, toDoList}];
+    }));
+    // As actions copy changed to-do lists only, comparing the to-do lists' identities reveals every changed, created or deleted to-do list.
+    const ids = [...new Set([...positionsBefore.keys(), ...positionsAfter.keys()])].filter(id => {
+      const positionBefore = positionsBefore.get(id);
+      const positionAfter = positionsAfter.get(id);
+      return positionBefore === undefined || positionAfter === undefined || positionBefore.toDoList !== positionAfter.toDoList;
+    });
+    // Additionally, every to-do list moved relative to the others counts as changed, not however the ones merely shifted by others.
+    const idsUnchanged = toDoListsAfter.map(toDoList => toDoList.id).filter(id => {
+      return positionsBefore.has(id) && !ids.includes(id);
+    });
+    const idsInOrder = this.#findLongestOrderedSubsequence(idsUnchanged, id => positionsBefore.get(id).index);
+    ids.push(...idsUnchanged.filter(id => !idsInOrder.has(id)));
+    return {
+      actionName,
+      ids,
+      before: ids.filter(id => positionsBefore.has(id)).map(id => positionsBefore.get(id)),
+      after: ids.filter(id => positionsAfter.has(id)).map(id => positionsAfter.get(id))
+    };
+  }
+  /**
+   * Private method to find the longest subsequence of values in ascending order of their keys, i. e. the values not moved.
+   * @param {array} values - The values.
+   * @param {function} getKey - A function returning a value's key.
+   * @returns {Set} The values within the longest subsequence.
+   */
+  #findLongestOrderedSubsequence(values, getKey) {
+    // For each length, the index of the value ending the subsequence of this length with the lowest key so far.
+    const ends = [];
+    const predecessors = [];
+    values.forEach((value, index) => {
+      const key = getKey(value);
+      let low = 0;
+      let high = ends.length;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (getKey(values[ends[middle]]) < key) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      predecessors[index] = low > 0 ? ends[low - 1] : -1;
+      ends[low] = index;
+    });
+    const subsequence = new Set();
+    for (let index = ends.length > 0 ? ends[ends.length - 1] : -1; index !== -1; index = predecessors[index]) {
+      subsequence.add(values[index]);
+    }
+    return subsequence;
+  }
+  /**
+   * Private method to replace to-do lists with other versions of them.
+   * @param {array} toDoLists - The current to-do lists.
+   * @param {array} ids - The IDs of the to-do lists to replace.
+   * @param {array} positions - The to-do lists' other versions along with their positions.
+   * @returns {array} The patched to-do lists.
+   */
+  #patch(toDoLists, ids, positions) {
+    const toDoListsPatched = toDoLists.filter(toDoList => {
+      return !ids.includes(toDoList.id);
+    });
+    [...positions].sort((positionA, positionB) => positionA.index - positionB.index).forEach(position => {
+      toDoListsPatched.splice(position.index, 0, position.toDoList);
+    });
+    return toDoListsPatched;
+  }
+  /**
+   * Private method to find the latest history entry, optionally restricted to a single to-do list.
+   * Changes affecting other to-do lists as well, e. g. moving to-do list items between to-do lists, are only found if no later
+   * change affected any of these to-do lists, because undoing or redoing them would otherwise revert these later changes as well.
+   * @param {array} historyEntries - The history entries to search.
+   * @param {string} toDoListId - An optional to-do list's ID.
+   * @returns {object} The found history entry or null if there is none.
+   */
+  #findHistoryEntry(historyEntries, toDoListId) {
+    if (toDoListId === undefined) {
+      return historyEntries[historyEntries.length - 1] || null;
+    }
+    const index = historyEntries.findLastIndex(historyEntry => {
+      return historyEntry.ids.includes(toDoListId);
+    });
+    if (index === -1) {
+      return null;
+    }
+    const historyEntry = historyEntries[index];
+    const isSuperseded = historyEntries.slice(index + 1).some(historyEntryLater => {
+      return historyEntryLater.ids.some(id => historyEntry.ids.includes(id));
+    });
+    return isSuperseded ? null : historyEntry;
+  }
+  /**
+   * Private method to load the command history from the session storage.
+   * @returns {object} The command history or an empty one if there is none, it's invalid or the session storage can't be used.
+   */
+  #loadHistory() {
+    try {
+      const history = JSON.parse(sessionStorage.getItem('toDoListsHistory'));
+      if (history !== null && Array.isArray(history.undo) && Array.isArray(history.redo)) {
+        return history;
+      }
+    } catch (error) {
+      // Rather keep the command history in memory only than fail to create the store.
+      console.warn('The command history could not be loaded!', error);
+    }
+    return {undo: [], redo: []};
+  }
+  /**
+   * Private method to store the command history to the session storage, so it outlasts navigating between pages.
+   */
+  #storeHistory() {
+    try {
+      sessionStorage.setItem('toDoListsHistory', JSON.stringify(this.#history));
+    } catch (error) {
+      // Rather keep the command history in memory only than fail to apply the action.
+      console.warn('The command history could not be stored!', error);
+    }
+  }
+  /**
+   * Private method to handle to-do lists stored by another browsing context.
+   * As both browsing contexts may have changed the to-do lists before receiving the other one's changes, the incoming to-do lists are
+   * merged with the current ones per to-do list and per to-do list item rather than replacing them. They are validated, too, as the other
+   * browsing context may still run an older version of the application.
+   * @param {object} toDoLists - The to-do lists stored by another browsing context.
+   */
+  #handleStorageChanged = toDoLists => {
+    const validation = validateToDoLists(toDoLists);
+    validation.problems.forEach(problem => console.warn(problem));
+    this.#updateTrash(validation.toDoListsRecovered, validation.toDoLists, true);
+    const toDoListsMerged = mergeToDoLists(this.#toDoListsReceived, this.#toDoLists, validation.toDoLists, this.#trash.entries);
+    this.#toDoListsReceived = validation.toDoLists;
+    this.#toDoLists = toDoListsMerged;
+    this.#notify(this.#toDoLists, {actionName: null, remote: true});
+    // Store the changes the incoming to-do lists are missing, so the other browsing context receives them as well.
+    if (!isEqual(toDoListsMerged, validation.toDoLists)) {
+      this.#store(this.#toDoLists);
+    }
+  };
+  /**
+   * Private method to handle the trash stored by another browsing context.
+   * The incoming trash is merged with the current one rather than replacing it, so trash entries added or purged by this browsing context
+   * in the meantime aren't lost respectively don't come back.
+   * @param {object} trash - The trash stored by another browsing context.
+   */
+  #handleTrashStorageChanged = trash => {
+    const trashRemote = trash || emptyTrash;
+    const trashMerged = mergeTrash(this.#trashReceived, this.#trash, trashRemote);
+    this.#trashReceived = trashRemote;
+    this.#trash = {...trashMerged, entries: purgeExpiredTrashEntries(trashMerged.entries, trashMerged.retentionDays)};
+    this.#notify(this.#toDoLists, {actionName: null, remote: true});
+    // Store the changes the incoming trash is missing, so the other browsing context receives them as well.
+    if (!isEqual(this.#trash, trashRemote)) {
+      this.#storeTrash(this.#trash);
+    }
+  };
+  /**
+   * Private method to handle the templates stored by another browsing context.
+   * The incoming templates are merged with the current ones rather than replacing them, so templates saved or deleted by this browsing
+   * context in the meantime aren't lost respectively don't come back.
+   * @param {array} templates - The templates stored by another browsing context.
+   */
+  #handleTemplatesStorageChanged = templates => {
+    const templatesRemote = templates || [];
+    this.#templates = mergeTemplates(this.#templatesReceived, this.#templates, templatesRemote);
+    this.#templatesReceived = templatesRemote;
+    this.#notify(this.#toDoLists, {actionName: null, remote: true});
+    // Store the changes the incoming templates are missing, so the other browsing context receives them as well.
+    if (!isEqual(this.#templates, templatesRemote)) {
+      this.#storeTemplates(this.#templates);
+    }
+  };
+  /**
+   * Private method to handle a value stored by another browsing context which couldn't be read.
+   * As the to-do lists may lack the other browsing context's changes now, it's handled like failed loading, i. e. nothing is stored
+   * until loading succeeds again.
+   * @param {Error} error - The error reading the value.
+   */
+  #handleStorageFailed = error => {
+    console.error('A change stored by another browsing context could not be loaded!', error);
+    this.loadFailed = true;
+    this.#notify(this.#toDoLists, {actionName: null, remote: true});
+  };
+  /**
+   * Private method to notify all subscribers.
+   * @param {object} toDoLists - The changed to-do lists.
+   * @param {object} change - An object containing the applied action's name and whether the change originated from another browsing context.
+   */
+  #notify(toDoLists, change) {
+    this.#subscribers.forEach(callback => {
+      callback(toDoLists, change);
+    });
+  }
+}
+
+/**
+ * The store shared by all components.
+ */
+export const store = new VanillaToDoListsStore(createStorageAdapter());
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * A function to get the ID of a to-do list item's parent.
+ * @param {object} toDoListItem - The to-do list item.
+ * @returns {string} The parent's ID or null if the to-do list item isn't a subtask.
+ */
+export const getParentId = toDoListItem => {
+  return toDoListItem.parentId;
+};
+
+/**
+ * A function to arrange to-do list items as a tree of tasks and their subtasks, keeping the items' order.
+ * Subtasks whose parent doesn't exist (any longer) are taken for tasks.
+ * @param {array} toDoListItems - The to-do list items.
+ * @returns {array} The tasks, each containing the to-do list item and its subtasks.
+ */
+export const toToDoListItemTree = toDoListItems => {
+  const ids = new Set(toDoListItems.map(toDoListItem => toDoListItem.id));
+  const isTask = toDoListItem => {
+    return getParentId(toDoListItem) === null || !ids.has(getParentId(toDoListItem));
+  };
+  return toDoListItems.filter(isTask).map(toDoListItem => {
+    return {
+      toDoListItem,
+      subtasks: toDoListItems.filter(subtask => !isTask(subtask) && getParentId(subtask) === toDoListItem.id)
+    };
+  });
+};
+
+/**
+ * A function to count to-do list items, telling tasks and subtasks apart.
+ * @param {array} toDoListItems - The to-do list items to count.
+ * @returns {object} An object containing the number of all, pending and done tasks along with the number of all and done subtasks.
+ */
+export const countToDoListItems = toDoListItems => {
+  const tree = toToDoListItemTree(toDoListItems);
+  const subtasks = tree.flatMap(task => task.subtasks);
+  const countDone = tree.filter(task => task.toDoListItem.done !== false).length;
+  return {
+    all: tree.length,
+    pending: tree.length - countDone,
+    done: countDone,
+    subtasks: subtasks.length,
+    subtasksDone: subtasks.filter(subtask => subtask.done !== false).length
+  };
+};
+
+/**
+ * A function to describe the progress of subtasks, e. g. "2/5".
+ * @param {array} subtasks - The subtasks.
+ * @returns {string} The number of done subtasks and the number of all subtasks.
+ */
+export const formatProgress = subtasks => {
+  return `${subtasks.filter(subtask => subtask.done !== false).length}/${subtasks.length}`;
+};
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * The status filters of to-do lists respectively to-do list items.
+ */
+const statusFilters = ['all', 'pending', 'done'];
+
+/**
+ * The status filters of to-do lists, which can additionally be archived.
+ */
+export const toDoListStatusFilters = [...statusFilters, 'archived'];
+
+/**
+ * A function to normalize a tag, i. e. to lower case without a leading hash and with dashes instead of whitespace.
+ * @param {string} tag - The tag to normalize.
+ * @returns {string} The normalized tag, which is empty if there's nothing left.
+ */
+export const normalizeTag = tag => {
+  return tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+};
+
+/**
+ * A function to parse a text of tags separated by commas.
+ * @param {string} text - The text to parse, e. g. "review, #deploy".
+ * @returns {array} The normalized tags without duplicates.
+ */
+export const parseTags = text => {
+  return [...new Set(text.split(',').map(normalizeTag).filter(tag => tag !== ''))];
+};
+
+/**
+ * A function to get a to-do list item's tags.
+ * @param {object} toDoListItem - The to-do list item.
+ * @returns {array} The to-do list item's tags.
+ */
+export const getTags = toDoListItem => {
+  return toDoListItem.tags;
+};
+
+/**
+ * A function to collect the tags used in any to-do list.
+ * @param {array} toDoLists - The to-do lists.
+ * @returns {array} The tags in alphabetical order.
+ */
+export const collectTags = toDoLists => {
+  const tags = new Set();
+  toDoLists.forEach(toDoList => {
+    toDoList.items.forEach(toDoListItem => {
+      getTags(toDoListItem).forEach(tag => tags.add(tag));
+    });
+  });
+  return [...tags].sort((tagA, tagB) => tagA.localeCompare(tagB));
+};
+
+/**
+ * A function to check whether a to-do list item has a tag.
+ * @param {object} toDoListItem - The to-do list item.
+ * @param {string} tag - The tag.
+ * @returns {boolean} Whether the to-do list item has the tag.
+ */
+export const hasTag = (toDoListItem, tag) => {
+  return getTags(toDoListItem).includes(tag);
+};
+
+/**
+ * A function to parse a window location hash into a status filter and an optional tag filter, e. g. "#pending&tag=review".
+ * @param {string} hash - The window location hash.
+ * @param {array} statuses - The status filters to recognize, which default to the ones of to-do list items.
+ * @returns {object} An object containing the status (e. g. "all", "pending" or "done") and the tag or null.
+ */
+export const parseFilterHash = (hash, statuses = statusFilters) => {
+  const searchParams = new URLSearchParams(hash.replace(/^#/, ''));
+  const status = statuses.find(statusFilter => searchParams.has(statusFilter)) || 'all';
+  const tag = searchParams.get('tag');
+  return {status, tag: tag ? normalizeTag(tag) : null};
+};
+
+/**
+ * A function to create a window location hash from a status filter and an optional tag filter.
+ * @param {string} status - The status ("all", "pending" or "done").
+ * @param {string} tag - The tag or null.
+ * @returns {string} The window location hash.
+ */
+export const toFilterHash = (status, tag) => {
+  return tag ? `#${status}&tag=${encodeURIComponent(tag)}` : `#${status}`;
+};
\ No newline at end of file
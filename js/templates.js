@@ -0,0 +1,34 @@
+/**
+ * Import a function to create IDs.
+ */
+import {createId} from './id.js';
+
+/**
+ * A function to create a template from a to-do list, so further to-do lists can be created with the same items.
+ * The template's items are reset to pending and lose their due dates, as these only apply to the original to-do list.
+ * @param {object} toDoList - The to-do list.
+ * @returns {object} The template containing its ID, the time of creation, the to-do list's name and its items.
+ */
+export const createTemplate = toDoList => {
+  const templateDateCreated = new Date();
+  return {
+    id: createId(),
+    created: templateDateCreated.toJSON(),
+    name: toDoList.name,
+    items: toDoList.items.map(toDoListItem => {
+      return {...toDoListItem, lastUpdated: null, done: false, due: null};
+    })
+  };
+};
+
+/**
+ * A function to add a template, replacing any template of the same name.
+ * @param {array} templates - The current templates.
+ * @param {object} template - The template to add.
+ * @returns {array} The templates in alphabetical order.
+ */
+export const addTemplate = (templates, template) => {
+  return [...templates.filter(templateExisting => templateExisting.name !== template.name), template].sort((templateA, templateB) => {
+    return templateA.name.localeCompare(templateB.name);
+  });
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Import a function to create IDs.
+ */
+import {createId} from './id.js';
+/**
+ * Import a function to get the ID of a to-do list item's parent.
+ */
+import {getParentId} from './subtasks.js';
+
+/**
+ * The names of the actions moving the to-do lists and to-do list items they remove to the trash, including importing to-do lists,
+ * which replaces all to-do lists respectively the ones with the same ID as an imported one.
+ */
+export const trashingActionNames = ['deleteToDoList', 'deleteToDoLists', 'clearToDoLists', 'deleteToDoListItem', 'deleteToDoListItems', 'clearToDoList', 'importToDoLists'];
+
+/**
+ * The names of the actions restoring to-do lists and to-do list items from the trash, so undoing them moves these back to the trash.
+ */
+export const restoringActionNames = ['restoreToDoList', 'restoreToDoListItems'];
+
+/**
+ * The numbers of days to keep trash entries before purging them automatically, where null means forever.
+ */
+export const retentionPeriods = [1, 7, 30, 90, null];
+
+/**
+ * The trash kept if none is stored yet.
+ */
+export const emptyTrash = {retentionDays: 30, entries: []};
+
+/**
+ * A function to collect the to-do lists and to-do list items removed by a change as trash entries.
+ * Each trash entry keeps the removed record's origin and the time of deletion. A removed to-do list item is trashed along with
+ * its removed subtasks, so they are restored together.
+ * @param {array} toDoListsBefore - The to-do lists before the change.
+ * @param {array} toDoListsAfter - The to-do lists after the change.
+ * @returns {array} The new trash entries.
+ */
+export const collectTrashEntries = (toDoListsBefore, toDoListsAfter) => {
+  const trashEntryDateDeleted = new Date();
+  const toDoListsAfterById = new Map(toDoListsAfter.map(toDoList => [toDoList.id, toDoList]));
+  return toDoListsBefore.flatMap((toDoList, index) => {
+    const toDoListAfter = toDoListsAfterById.get(toDoList.id);
+    if (toDoListAfter === undefined) {
+      return [{
+        id: createId(),
+        deleted: trashEntryDateDeleted.toJSON(),
+        type: 'toDoList',
+        origin: {index},
+        toDoList
+      }];
+    }
+    const toDoListItems = toDoList.items;
+    const ids = new Set(toDoListAfter.items.map(toDoListItem => toDoListItem.id));
+    const idsRemoved = new Set(toDoListItems.filter(toDoListItem => !ids.has(toDoListItem.id)).map(toDoListItem => toDoListItem.id));
+    // Removed subtasks of removed to-do list items belong to their parent's trash entry.
+    return toDoListItems.filter(toDoListItem => idsRemoved.has(toDoListItem.id) && !idsRemoved.has(getParentId(toDoListItem))).map(toDoListItem => {
+      return {
+        id: createId(),
+        deleted: trashEntryDateDeleted.toJSON(),
+        type: 'toDoListItem',
+        origin: {toDoListId: toDoList.id, toDoListName: toDoList.name, index: toDoListItems.indexOf(toDoListItem)},
+        toDoListItems: [toDoListItem, ...toDoListItems.filter(subtask => idsRemoved.has(subtask.id) && getParentId(subtask) === toDoListItem.id)]
+      };
+    });
+  });
+};
+
+/**
+ * A function to remove the trash entries whose to-do list respectively to-do list items exist again, e. g. after undoing their deletion.
+ * @param {array} trashEntries - The trash entries.
+ * @param {array} toDoLists - The current to-do lists.
+ * @returns {array} The remaining trash entries.
+ */
+export const pruneTrashEntries = (trashEntries, toDoLists) => {
+  const ids = new Set(toDoLists.map(toDoList => toDoList.id));
+  const toDoListItemIds = new Set(toDoLists.flatMap(toDoList => toDoList.items.map(toDoListItem => toDoListItem.id)));
+  return trashEntries.filter(trashEntry => {
+    if (trashEntry.type === 'toDoList') {
+      return !ids.has(trashEntry.toDoList.id);
+    }
+    return !toDoListItemIds.has(trashEntry.toDoListItems[0].id);
+  });
+};
+
+/**
+ * A function to purge the trash entries deleted longer ago than the retention period.
+ * @param {array} trashEntries - The trash entries.
+ * @param {number} retentionDays - The number of days to keep trash entries or null to keep them forever.
+ * @returns {array} The remaining trash entries.
+ */
+export const purgeExpiredTrashEntries = (trashEntries, retentionDays) => {
+  if (retentionDays === null) {
+    return trashEntries;
+  }
+  const expired = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  return trashEntries.filter(trashEntry => Date.parse(trashEntry.deleted) > expired);
+};
+
+/**
+ * A function to describe a retention period, e. g. "after 30 days".
+ * @param {number} retentionDays - The number of days to keep trash entries or null to keep them forever.
+ * @returns {string} The description.
+ */
+export const formatRetentionPeriod = retentionDays => {
+  if (retentionDays === null) {
+    return 'never';
+  }
+  return `after ${retentionDays} ${retentionDays === 1 ? 'day' : 'days'}`;
+};
\ No newline at end of file